@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+// The boot runner and studio server tests run on this Node, they need node:sqlite and its backup()
+import { MIN_NODE_VERSION } from '../src/utils/validation.mjs';
+
+const [major, minor] = process.versions.node.split('.').map(Number);
+
+if (major < MIN_NODE_VERSION[0] || (major === MIN_NODE_VERSION[0] && minor < MIN_NODE_VERSION[1])) {
+  console.error(`The CLI tests need Node.js ${MIN_NODE_VERSION.join('.')} or newer for node:sqlite, found ${process.version}`);
+  process.exit(1);
+}
@@ -0,0 +1,345 @@
+import consola from 'consola';
+import { withErrorHandling, NuxflyError } from '../utils/errors.mjs';
+import { getAppName } from '../utils/config.mjs';
+import { checkAppAccess, getAppSecrets, setAppSecret, readRemoteEnv } from '../utils/flyctl.mjs';
+import { STORAGE_BUCKETS, verifyBucketCredentials } from '../utils/storage.mjs';
+import {
+  BUCKET_TYPES,
+  TIGRIS_ENDPOINT_URL,
+  TIGRIS_REGION,
+  getOrgName,
+  getExistingBuckets,
+  listBucketNames,
+  getBucketName,
+  isBucketEnabled,
+  createBucket,
+  destroyBucket,
+  unsetBucketSecrets,
+  setBucketSecrets,
+  bucketExists,
+  openBucketDashboard,
+} from '../utils/buckets.mjs';
+
+/**
+ * List command - shows the app's buckets and the secrets wired to each
+ */
+export const bucketsList = withErrorHandling(async (args, config) => {
+  const appName = requireAppName(config);
+
+  const existingBuckets = await listBucketNames(config);
+  const secretNames = (await getAppSecrets(config)).map(secret => secret.Name || secret.name);
+  const bucketNames = await resolveBucketNames(config);
+
+  consola.info(`🪣 Buckets for ${appName}:`);
+
+  for (const [type, bucketType] of Object.entries(BUCKET_TYPES)) {
+    const bucketName = bucketNames[type];
+    const exists = existingBuckets.includes(bucketName);
+    const enabled = isBucketEnabled(type, config);
+
+    consola.log('');
+    consola.log(`${exists ? '✅' : '❌'} ${bucketName} (${type}, ${exists ? 'exists' : 'missing'}${enabled ? '' : ', not enabled in nuxt config'})`);
+
+    for (const key of Object.values(bucketType.secrets)) {
+      consola.log(`   ${secretNames.includes(key) ? '✓' : '✗'} ${key}`);
+    }
+  }
+
+  consola.log('');
+});
+
+/**
+ * Create command - creates a bucket, or every missing bucket enabled in the nuxt config
+ */
+export const bucketsCreate = withErrorHandling(async (args, config) => {
+  const appName = requireAppName(config);
+
+  const hasAccess = await checkAppAccess(appName, config);
+  if (!hasAccess) {
+    throw new NuxflyError(`Cannot access app "${appName}"`, {
+      suggestion: 'Check the app name and that you are logged in with flyctl',
+    });
+  }
+
+  const orgName = await getOrgName(config);
+  if (!orgName) {
+    throw new NuxflyError('Could not determine organization name', {
+      suggestion: "Check 'nuxfly status' shows an owner for your app",
+    });
+  }
+
+  let types;
+  if (args.type) {
+    types = [resolveBucketType(args.type, config)];
+    if (!isBucketEnabled(types[0], config)) {
+      consola.warn(`${BUCKET_TYPES[types[0]].configKey} is not enabled in your nuxt config, the app will not use this bucket`);
+    }
+  } else {
+    types = Object.keys(BUCKET_TYPES).filter(type => isBucketEnabled(type, config));
+    if (types.length === 0) {
+      consola.info('No buckets are enabled in your nuxt config');
+      consola.info('Enable litestream, publicStorage or privateStorage, or pass a bucket type to create one anyway');
+      return;
+    }
+  }
+
+  const existingBuckets = await getExistingBuckets(config);
+  let bucketsCreated = 0;
+
+  for (const type of types) {
+    const bucketName = getBucketName(type, config);
+    if (existingBuckets.includes(bucketName)) {
+      consola.info(`Bucket already exists: ${bucketName}`);
+      continue;
+    }
+    await createBucket(type, orgName, config);
+    bucketsCreated++;
+  }
+
+  if (bucketsCreated > 0) {
+    consola.success(`✅ Created ${bucketsCreated} bucket(s)`);
+    consola.info("Run 'nuxfly deploy' to apply the new secrets");
+  } else {
+    consola.success('✅ All buckets already exist');
+  }
+});
+
+/**
+ * Delete command - destroys a bucket and unsets its secrets
+ */
+export const bucketsDelete = withErrorHandling(async (args, config) => {
+  requireAppName(config);
+
+  const type = resolveBucketType(args.type, config);
+  // Delete the bucket the app uses, which is not the default one after 'nuxfly buckets link'
+  const bucketName = (await resolveBucketNames(config))[type];
+  const linked = bucketName !== getBucketName(type, config);
+
+  if (!args.yes) {
+    const confirmed = await consola.prompt(`Permanently delete ${linked ? 'linked ' : ''}bucket ${bucketName} and all of its objects?${linked ? ' Other apps using it lose it too' : ''}`, {
+      type: 'confirm',
+      initial: false,
+    });
+    if (confirmed !== true) {
+      consola.info('Aborted');
+      return;
+    }
+  }
+
+  try {
+    await destroyBucket(bucketName, config);
+    consola.success(`✅ Deleted bucket: ${bucketName}`);
+  } catch (error) {
+    throw new NuxflyError(`Failed to delete bucket ${bucketName}: ${error.message}`, {
+      suggestion: "Check the bucket name with 'nuxfly buckets list'",
+      cause: error,
+    });
+  }
+
+  if (args['keep-secrets']) {
+    return;
+  }
+
+  try {
+    await unsetBucketSecrets(type, config);
+    consola.success(`✅ Unset ${type} bucket secrets, run 'nuxfly deploy' to apply`);
+  } catch (error) {
+    consola.warn(`Failed to unset ${type} bucket secrets: ${error.message}`);
+  }
+});
+
+/**
+ * Link command - attaches an existing bucket by name and sets its secrets
+ */
+export const bucketsLink = withErrorHandling(async (args, config) => {
+  requireAppName(config);
+
+  const type = resolveBucketType(args.type, config);
+  const bucketName = args.bucket;
+  if (!bucketName) {
+    throw new NuxflyError('No bucket name specified', {
+      suggestion: `Usage: nuxfly buckets link ${type} <bucket-name>`,
+    });
+  }
+
+  let exists = true;
+  try {
+    exists = await bucketExists(bucketName, config);
+  } catch (error) {
+    consola.warn(`Could not verify bucket ${bucketName} exists: ${error.message}`);
+  }
+
+  if (!exists) {
+    throw new NuxflyError(`Bucket not found: ${bucketName}`, {
+      suggestion: "Check the name with 'flyctl storage list' or create it first",
+    });
+  }
+
+  // flyctl only prints bucket keys on creation, so they have to be supplied for existing buckets
+  const accessKeyId = args['access-key-id'] || await promptForValue('Access key ID:');
+  const secretAccessKey = await readSecretValue('Secret access key:');
+
+  await setBucketSecrets(type, {
+    accessKeyId,
+    secretAccessKey,
+    endpointUrl: args.endpoint || TIGRIS_ENDPOINT_URL,
+    region: args.region || TIGRIS_REGION,
+    bucketName,
+  }, config);
+
+  // The public URL secret is derived from the bucket name, keep it pointing at the linked bucket
+  if (BUCKET_TYPES[type].public) {
+    await setAppSecret('NUXT_PUBLIC_S3_PUBLIC_URL', `https://${bucketName}.t3.storageapi.dev`, config);
+  }
+
+  consola.success(`✅ Linked ${bucketName} as the ${type} bucket`);
+  if (!isBucketEnabled(type, config)) {
+    consola.warn(`${BUCKET_TYPES[type].configKey} is not enabled in your nuxt config, the app will not use this bucket`);
+  }
+  consola.info("Run 'nuxfly deploy' to apply the new secrets");
+});
+
+/**
+ * Set-key command - points the app's secrets for a bucket at an access key created in the Tigris dashboard
+ *
+ * flyctl only issues keys when it creates a bucket and the bucket's own keys cannot manage keys, so this does
+ * not create or delete any key, the new one is created and the old one deleted in the dashboard. The secret access key is read from stdin or a
+ * prompt, never from the command line where it would end up in the shell history and the process list.
+ */
+export const bucketsSetKey = withErrorHandling(async (args, config) => {
+  requireAppName(config);
+
+  const type = resolveBucketType(args.type, config);
+  const bucketName = args.bucket || getBucketName(type, config);
+  const { secrets } = BUCKET_TYPES[type];
+
+  // Remember the key the app is using now so it can be deleted afterwards
+  let oldAccessKeyId;
+  try {
+    const remoteEnv = await readRemoteEnv([secrets.accessKeyId], config);
+    oldAccessKeyId = remoteEnv[secrets.accessKeyId];
+  } catch (error) {
+    consola.debug(`Could not read current access key: ${error.message}`);
+  }
+
+  if (!args['access-key-id']) {
+    consola.info(`Create a new access key with read/write access to ${bucketName} in the Tigris dashboard`);
+    if (args.dashboard) {
+      try {
+        await openBucketDashboard(bucketName, config);
+      } catch (error) {
+        consola.warn(`Could not open the dashboard: ${error.message}`);
+      }
+    }
+  }
+
+  const credentials = {
+    accessKeyId: args['access-key-id'] || await promptForValue('New access key ID:'),
+    secretAccessKey: await readSecretValue('New secret access key:'),
+    endpointUrl: args.endpoint || TIGRIS_ENDPOINT_URL,
+    region: args.region || TIGRIS_REGION,
+    bucketName,
+  };
+
+  if (credentials.accessKeyId === oldAccessKeyId) {
+    throw new NuxflyError('The new access key is the one the app already uses', {
+      suggestion: 'Create a new access key in the Tigris dashboard',
+    });
+  }
+
+  consola.info(`🔐 Verifying new credentials for ${bucketName}...`);
+  await verifyBucketCredentials(credentials);
+
+  await setBucketSecrets(type, credentials, config);
+  consola.success(`✅ Staged new ${type} bucket secrets`);
+  consola.info("Run 'nuxfly deploy' or 'nuxfly secrets deploy' to apply them");
+  if (oldAccessKeyId) {
+    consola.info(`The old access key ${oldAccessKeyId} keeps working until you delete it in the Tigris dashboard, do so once the new secrets are applied`);
+  } else {
+    consola.info('The old access key keeps working until you delete it in the Tigris dashboard, do so once the new secrets are applied');
+  }
+});
+
+/**
+ * Resolve the name of each bucket the way the app does, the secret on the app wins over the runtime
+ * config in nuxt.config.ts and the default name, e.g. for a bucket attached with `nuxfly buckets link`
+ */
+async function resolveBucketNames(config) {
+  let remoteEnv = {};
+  try {
+    remoteEnv = await readRemoteEnv(Object.values(BUCKET_TYPES).map(bucketType => bucketType.secrets.bucketName), config);
+  } catch (error) {
+    consola.warn(`Could not read the bucket secrets from a running machine, showing the configured bucket names: ${error.message}`);
+  }
+
+  return Object.fromEntries(Object.entries(BUCKET_TYPES).map(([type, bucketType]) => [
+    type,
+    remoteEnv[bucketType.secrets.bucketName]
+      || config.nuxt?.runtimeConfig?.nuxfly?.[STORAGE_BUCKETS[type]]?.s3Bucket
+      || getBucketName(type, config),
+  ]));
+}
+
+/**
+ * Require an app name for bucket commands
+ */
+function requireAppName(config) {
+  const appName = getAppName(config);
+  if (!appName) {
+    throw new NuxflyError('App name is required for buckets commands', {
+      suggestion: 'Set app name in your nuxfly config or use --app flag',
+    });
+  }
+  return appName;
+}
+
+/**
+ * Resolve a bucket type from a type name or the app's default bucket name
+ */
+function resolveBucketType(value, config) {
+  if (BUCKET_TYPES[value]) {
+    return value;
+  }
+
+  const type = Object.keys(BUCKET_TYPES).find(key => getBucketName(key, config) === value);
+  if (!type) {
+    throw new NuxflyError(`Unknown bucket type: ${value}`, {
+      suggestion: `Use one of: ${Object.keys(BUCKET_TYPES).join(', ')}`,
+    });
+  }
+  return type;
+}
+
+/**
+ * Prompt for a required value
+ */
+async function promptForValue(message) {
+  // Piped stdin carries the secret access key, see readSecretValue
+  const value = process.stdin.isTTY ? await consola.prompt(message, { type: 'text' }) : undefined;
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new NuxflyError(`${message.replace(/:$/, '')} is required`, {
+      suggestion: 'Pass the access key ID with --access-key-id, and type or pipe in the secret access key',
+    });
+  }
+  return value.trim();
+}
+
+/**
+ * Read a secret from stdin when it is piped in, otherwise prompt for it
+ */
+async function readSecretValue(message) {
+  if (process.stdin.isTTY) {
+    return promptForValue(message);
+  }
+
+  let value = '';
+  for await (const chunk of process.stdin) {
+    value += chunk;
+  }
+  if (!value.trim()) {
+    throw new NuxflyError(`${message.replace(/:$/, '')} is required`, {
+      suggestion: 'Pipe it in with the access key ID in --access-key-id, e.g. pbpaste | nuxfly buckets link <type> <bucket> --access-key-id <id>',
+    });
+  }
+  return value.trim();
+}
@@ -0,0 +1,755 @@
+import { existsSync, mkdirSync, renameSync, rmSync } from 'fs';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { basename, dirname, join, resolve } from 'path';
+import consola from 'consola';
+import { withErrorHandling, NuxflyError } from '../utils/errors.mjs';
+import { getLocalDatabasePath } from '../utils/config.mjs';
+import { backupFile, fileExists, directoryExists, getRelativePath } from '../utils/filesystem.mjs';
+import { validateLitestream, validateDeploymentConfig } from '../utils/validation.mjs';
+import { executeRemoteScript, executeFlyctl, getAppInfo, getAppSecrets, parseScriptSections, getSshTargetArgs, READ_REPLICA_PROCESS_GROUP } from '../utils/flyctl.mjs';
+import {
+  resolveLitestreamCredentials,
+  restoreDatabase,
+  normalizeTimestamp,
+  runLitestream,
+  parseLitestreamTable,
+  getLitestreamSettings,
+  getLitestreamOptions,
+  parseDuration,
+  LITESTREAM_AGE_SECRETS,
+} from '../utils/litestream.mjs';
+import { setFlySecrets } from '../utils/buckets.mjs';
+import { generateAgeKeyPair } from '../utils/age.mjs';
+import {
+  getMigrationOptions,
+  getMigrationsSourcePath,
+  copyMigrations,
+  getNuxflyMigrationsPath,
+  listMigrations,
+  getAppliedMigrations,
+  getPendingMigrations,
+  packMigrations,
+  lintMigrations,
+  getRemoteTableSizes,
+  getRowCountQuery,
+} from '../utils/migrations.mjs';
+import { generateMigrateScript, generateStatusScript, generateRestoreScript, generateVerifyRestoreScript } from '../templates/database.mjs';
+import { REMOTE_DATABASE_PATH, MAINTENANCE_FILE_PATH, getRemoteDatabasePath, queryRemoteDatabase, queryLocalDatabase, formatQueryTable } from '../utils/database.mjs';
+import { listVolumes } from '../utils/volumes.mjs';
+import { formatSize } from '../utils/storage.mjs';
+
+/**
+ * Where verify-backup restores on the machine, on the volume next to the live database
+ */
+const VERIFY_RESTORE_PATH = '/data/nuxfly-verify.sqlite';
+
+/**
+ * How often to check whether a machine restarted in maintenance mode, 3 seconds apart
+ */
+const MAINTENANCE_WAIT_ATTEMPTS = 20;
+
+/**
+ * Pull command - restores the latest Litestream replica to the local database
+ */
+export const dbPull = withErrorHandling(async (args, config) => {
+  consola.info('📥 Pulling database snapshot from Litestream replica...');
+
+  await validateLitestream();
+
+  const timestamp = args.at ? normalizeTimestamp(args.at) : undefined;
+  const outputPath = args.output ? resolve(args.output) : getLocalDatabasePath(config);
+  const tempPath = `${outputPath}.nuxfly-pull`;
+
+  const credentials = await resolveLitestreamCredentials(config);
+
+  // Litestream refuses to overwrite existing files so restore next to the target first
+  mkdirSync(dirname(outputPath), { recursive: true });
+  rmSync(tempPath, { force: true });
+
+  try {
+    if (timestamp) {
+      consola.info(`Restoring database as of ${timestamp}...`);
+    } else {
+      consola.info('Restoring latest database generation...');
+    }
+    await restoreDatabase(tempPath, credentials, { timestamp, config });
+  } catch (error) {
+    rmSync(tempPath, { force: true });
+    throw new NuxflyError(`Database pull failed: ${error.message}`, {
+      suggestion: args.at ? 'Make sure the timestamp is within the Litestream retention period' : 'Check the litestream output above for details',
+      cause: error,
+    });
+  }
+
+  // Keep a copy of the current local database and drop its stale WAL state
+  if (fileExists(outputPath)) {
+    const backupPath = await backupFile(outputPath);
+    consola.info(`Backed up existing database to ${getRelativePath(backupPath)}`);
+  }
+  for (const suffix of ['-wal', '-shm']) {
+    if (existsSync(`${outputPath}${suffix}`)) {
+      rmSync(`${outputPath}${suffix}`);
+    }
+  }
+  renameSync(tempPath, outputPath);
+
+  consola.success(`✅ Database restored to ${getRelativePath(outputPath)}`);
+});
+
+/**
+ * Migrate command - ships .nuxfly/migrations to a running machine and applies them
+ */
+export const dbMigrate = withErrorHandling(async (args, config) => {
+  const dryRun = !!args['dry-run'];
+  consola.info(dryRun ? '🔍 Checking for pending migrations...' : `🗄️  Migrating ${config.app} database...`);
+
+  await validateDeploymentConfig(config);
+
+  // Refresh .nuxfly/migrations from the project so we ship what the migration tool generated
+  await copyMigrations(config);
+
+  const migrations = getMigrationOptions(config);
+  const migrationsPath = getNuxflyMigrationsPath(config);
+  const entries = await listMigrations(migrations, migrationsPath);
+  const applied = await getAppliedMigrations(config, migrations);
+
+  // nuxfly cannot tell which migrations a custom command applies, so it always runs
+  if (!applied) {
+    if (dryRun) {
+      consola.info(`Migrations run with '${migrations.command}', which decides what is pending`);
+      return;
+    }
+    await runRemoteMigrations(config, migrationsPath, migrations);
+    consola.success('✅ Migration command finished');
+    return;
+  }
+
+  const pending = getPendingMigrations(entries, applied, migrations);
+  if (applied.length > entries.length) {
+    consola.warn(`Remote database has ${applied.length} applied migrations but only ${entries.length} exist locally`);
+  }
+
+  if (pending.length === 0) {
+    consola.success('✅ Database is up to date, no pending migrations');
+    return;
+  }
+
+  consola.info(`${pending.length} pending migration(s):`);
+  for (const entry of pending) {
+    consola.log(`  • ${entry.tag}`);
+  }
+
+  if (dryRun) {
+    return;
+  }
+
+  await runRemoteMigrations(config, migrationsPath, migrations);
+
+  // Confirm against the remote journal rather than trusting the exit code alone
+  const stillPending = getPendingMigrations(entries, await getAppliedMigrations(config, migrations), migrations);
+  const appliedNow = pending.filter(entry => !stillPending.includes(entry));
+
+  for (const entry of appliedNow) {
+    consola.success(`Applied ${entry.tag}`);
+  }
+
+  if (stillPending.length > 0) {
+    throw new NuxflyError(`${stillPending.length} migration(s) were not applied: ${stillPending.map(entry => entry.tag).join(', ')}`, {
+      suggestion: 'Check the migration output above for details',
+    });
+  }
+
+  consola.success(`✅ Applied ${appliedNow.length} migration(s)`);
+});
+
+/**
+ * Ship a migrations directory to a running machine and apply it with the boot runner
+ */
+async function runRemoteMigrations(config, migrationsPath, migrations) {
+  try {
+    // The command runner may keep its migrations in the image instead of a migrations directory
+    const archive = migrations.runner === 'command' && !directoryExists(migrationsPath) ? null : await packMigrations(migrationsPath);
+    await executeRemoteScript(generateMigrateScript(archive, migrations), config, { stream: true });
+  } catch (error) {
+    throw new NuxflyError(`Migration failed: ${error.message}`, {
+      suggestion: 'Check the migration output above for details',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Lint command - flags pending migrations that break the running release, with the size of the tables they touch
+ */
+export const dbLint = withErrorHandling(async (args, config) => {
+  const migrations = getMigrationOptions(config);
+  if (migrations.runner === 'command') {
+    throw new NuxflyError(`Migrations run with '${migrations.command}', nuxfly cannot read them to lint`);
+  }
+
+  // Lint the project's migrations, which the next build ships, falling back to the copy in .nuxfly
+  const sourcePath = await getMigrationsSourcePath(migrations);
+  const migrationsPath = sourcePath && directoryExists(sourcePath) ? sourcePath : getNuxflyMigrationsPath(config);
+  const entries = await listMigrations(migrations, migrationsPath);
+
+  let pending = entries;
+  if (!args.all) {
+    await validateDeploymentConfig(config);
+    pending = getPendingMigrations(entries, await getAppliedMigrations(config, migrations), migrations);
+  }
+
+  const results = await lintMigrations(migrationsPath, pending);
+  const tables = results.flatMap(result => result.findings.map(finding => finding.table));
+  const sizes = args.all || tables.length === 0 ? {} : await getRemoteTableSizes(config, tables);
+  const destructive = results.flatMap(result => result.findings).filter(finding => finding.destructive).length;
+
+  if (args.json) {
+    const migrations = results.map(result => ({
+      ...result,
+      findings: result.findings.map(finding => ({ ...finding, rows: sizes[finding.table] ?? null })),
+    }));
+    process.stdout.write(`${JSON.stringify({ migrations, destructive }, null, 2)}\n`);
+  } else if (results.length === 0) {
+    consola.success('✅ No pending migrations');
+  } else {
+    consola.info(`🔍 Linted ${results.length} ${args.all ? '' : 'pending '}migration(s):`);
+    displayMigrationLint(results, sizes);
+    if (destructive > 0) {
+      consola.error(`❌ ${destructive} destructive statement(s), the running release may break while they are deployed`);
+    } else {
+      consola.success('✅ No destructive statements');
+    }
+  }
+
+  if (destructive > 0) {
+    process.exitCode = 1;
+  }
+});
+
+/**
+ * Print the lint findings of each migration, with the rows of the tables they touch when known
+ */
+export function displayMigrationLint(results, sizes = {}) {
+  for (const { tag, findings } of results) {
+    const icon = findings.some(finding => finding.destructive) ? '❌' : (findings.length > 0 ? '⚠️ ' : '✅');
+    consola.log(`  ${icon} ${tag}`);
+    for (const finding of findings) {
+      consola.log(`     • ${finding.message}${formatMigrationCost(finding, sizes[finding.table])}`);
+    }
+  }
+}
+
+/**
+ * Describe what a finding costs on a table of the given size, rewrites and index builds hold the write lock
+ */
+function formatMigrationCost(finding, rows) {
+  if (rows === undefined) {
+    return '';
+  }
+  if (finding.type === 'rebuild' || finding.type === 'index') {
+    return `, ${rows} row(s), writes wait until it finishes`;
+  }
+  if (finding.type === 'drop-table') {
+    return `, ${rows} row(s) are lost`;
+  }
+  return ` (${rows} row(s))`;
+}
+
+/**
+ * Shell command - opens an interactive sqlite3 session on the remote database
+ */
+export const dbShell = withErrorHandling(async (args, config) => {
+  await validateDeploymentConfig(config);
+
+  const flags = args.write ? [] : ['-readonly'];
+  if (args.write) {
+    consola.warn('⚠️  Opening the database in read-write mode, changes apply to the live app');
+  } else {
+    consola.info('Opening the database in read-only mode, use --write to allow changes');
+  }
+
+  try {
+    await executeFlyctl('ssh', ['console', '--pty', ...getSshTargetArgs(config), '--command', ['sqlite3', ...flags, getRemoteDatabasePath(config)].join(' ')], config, {
+      stdio: 'inherit',
+    });
+  } catch (error) {
+    if (error.exitCode === 130) {
+      return;
+    }
+    throw new NuxflyError(`Database shell failed: ${error.message}`, {
+      suggestion: 'Check that your app has a running machine',
+      cause: error,
+    });
+  }
+});
+
+/**
+ * Query command - runs a single SQL statement on the remote database
+ */
+export const dbQuery = withErrorHandling(async (args, config) => {
+  if (!args.sql) {
+    throw new NuxflyError('No SQL specified', {
+      suggestion: 'Usage: nuxfly db query "SELECT * FROM users LIMIT 10"',
+    });
+  }
+
+  let rows;
+  try {
+    rows = await queryRemoteDatabase(args.sql, config, { write: !!args.write });
+  } catch (error) {
+    if (!args.write && /readonly database/i.test(`${error.message} ${error.suggestion || ''}`)) {
+      throw new NuxflyError('Query failed: the database is opened read-only by default, use --write to run mutations', {
+        cause: error,
+      });
+    }
+    throw new NuxflyError(`Query failed: ${error.message}`, {
+      suggestion: error.suggestion,
+      cause: error,
+    });
+  }
+
+  if (args.json) {
+    // Print plain JSON to stdout so the output can be piped
+    process.stdout.write(`${JSON.stringify(rows, null, 2)}\n`);
+    return;
+  }
+
+  if (rows.length === 0) {
+    consola.info('No rows returned');
+    return;
+  }
+
+  consola.log(formatQueryTable(rows));
+  consola.info(`${rows.length} row(s)`);
+});
+
+/**
+ * Restore command - rolls the live database back to a point in time or generation from the Litestream replica
+ */
+export const dbRestore = withErrorHandling(async (args, config) => {
+  if (!args.at) {
+    throw new NuxflyError('No restore point specified', {
+      suggestion: 'Usage: nuxfly db restore --at 2025-01-31T14:30:00Z, or --at <generation> from `nuxfly status`',
+    });
+  }
+
+  await validateDeploymentConfig(config);
+
+  // Litestream generations are 16 hex characters, anything else is a timestamp
+  const target = /^[0-9a-f]{16}$/.test(args.at) ? { generation: args.at } : { timestamp: normalizeTimestamp(args.at) };
+
+  const plan = await prepareLiveRestore(config, target);
+  displayRestoreSummary(config, plan);
+
+  if (!args.yes) {
+    const confirmed = await consola.prompt(`Restore the database of ${config.app} and discard the changes listed above?`, {
+      type: 'confirm',
+      initial: false,
+    });
+    if (confirmed !== true) {
+      consola.info('Aborted');
+      return;
+    }
+  }
+
+  await restoreLiveDatabase(config, plan);
+
+  consola.success(`✅ Database restored to ${describeRestoreTarget(target)}`);
+  consola.info(`The previous database was kept at ${plan.safetyPath} on the volume, remove it once you no longer need it`);
+});
+
+/**
+ * Check a live restore can run and gather what its summary shows
+ */
+export async function prepareLiveRestore(config, target) {
+  const { machine, others } = await findDatabaseMachine(config);
+
+  const support = await executeRemoteScript(`grep -c ${basename(MAINTENANCE_FILE_PATH)} /start.sh || true`, config, { machine: machine.id });
+  if (!parseInt(support.stdout, 10)) {
+    throw new NuxflyError(`The start.sh deployed on ${config.app} does not support maintenance mode, run 'nuxfly generate' and 'nuxfly deploy' first`);
+  }
+
+  const sections = parseScriptSections((await executeRemoteScript(generateStatusScript(), config, { machine: machine.id })).stdout);
+  const generations = parseLitestreamTable(sections.generations);
+  const latest = generations.sort((a, b) => (b.end || '').localeCompare(a.end || ''))[0];
+  if (target.generation && !generations.some(generation => generation.generation === target.generation)) {
+    throw new NuxflyError(`Generation ${target.generation} was not found in the replica`, {
+      suggestion: `Available generations: ${generations.map(generation => generation.generation).join(', ') || 'none'}`,
+    });
+  }
+
+  return {
+    target,
+    latest,
+    machine,
+    others,
+    safetyPath: `${REMOTE_DATABASE_PATH}.before-restore-${new Date().toISOString().replace(/\D/g, '').slice(0, 14)}`,
+    databaseSize: parseInt(sections.database, 10),
+  };
+}
+
+/**
+ * Replace the live database with a Litestream restore in maintenance mode, then bring the app back either way
+ */
+export async function restoreLiveDatabase(config, { target, machine, others, safetyPath }) {
+  const stopped = [];
+  for (const other of others) {
+    consola.info(`Stopping machine ${other.id}...`);
+    await executeFlyctl('machine', ['stop', other.id], config);
+    stopped.push(other);
+  }
+
+  consola.info(`🚧 Restarting ${machine.id} in maintenance mode...`);
+  await executeRemoteScript(`touch ${MAINTENANCE_FILE_PATH}`, config, { machine: machine.id });
+
+  let restoreError;
+  try {
+    // The app is not running in maintenance mode, so health checks would never pass
+    await executeFlyctl('machine', ['restart', machine.id, '--skip-health-checks'], config);
+    await waitForMaintenanceMode(config, machine.id);
+
+    await executeRemoteScript(generateRestoreScript({ ...target, safetyPath }), config, {
+      machine: machine.id,
+      stream: true,
+    });
+  } catch (error) {
+    restoreError = error;
+  }
+
+  // Always bring the app back, with the restored database or the untouched one
+  try {
+    await executeRemoteScript(`rm -f ${MAINTENANCE_FILE_PATH}`, config, { machine: machine.id });
+    consola.info(`Restarting ${machine.id}...`);
+    await executeFlyctl('machine', ['restart', machine.id], config);
+    for (const other of stopped) {
+      consola.info(`Starting machine ${other.id}...`);
+      await executeFlyctl('machine', ['start', other.id], config);
+    }
+  } catch (error) {
+    throw new NuxflyError(`Failed to leave maintenance mode: ${error.message}`, {
+      suggestion: `Remove ${MAINTENANCE_FILE_PATH} with 'fly ssh console --machine ${machine.id}' and restart the machine`,
+      cause: restoreError || error,
+    });
+  }
+
+  if (restoreError) {
+    throw new NuxflyError(`Restore failed, the app was restarted with its current database: ${restoreError.message}`, {
+      suggestion: 'Check the Litestream output above, and that the restore point is covered by the retention period',
+      cause: restoreError,
+    });
+  }
+}
+
+/**
+ * Find the machine the primary's sqlite_data volume is attached to, and the app's other running machines
+ */
+export async function findDatabaseMachine(config) {
+  const [appInfo, volumes] = await Promise.all([
+    getAppInfo(config.app, config),
+    listVolumes(config),
+  ]);
+
+  const machines = appInfo?.Machines || appInfo?.machines || [];
+  // Read replicas have sqlite_data volumes too, but only hold a copy of the database
+  const primaries = machines.filter(candidate => candidate.config?.metadata?.fly_process_group !== READ_REPLICA_PROCESS_GROUP);
+  const machine = volumes
+    .filter(candidate => candidate.name === 'sqlite_data' && candidate.attachedMachineId)
+    .map(volume => primaries.find(candidate => candidate.id === volume.attachedMachineId))
+    .find(Boolean);
+  if (!machine) {
+    throw new NuxflyError(`No machine of ${config.app} has the sqlite_data volume attached`, {
+      suggestion: "Run 'nuxfly status' to check the app's machines and volumes",
+    });
+  }
+  if (machine.state !== 'started') {
+    throw new NuxflyError(`Machine ${machine.id} is ${machine.state}, start it with 'fly machine start ${machine.id}' first`);
+  }
+
+  return {
+    machine,
+    others: machines.filter(candidate => candidate.id !== machine.id && candidate.state === 'started'),
+  };
+}
+
+/**
+ * Show what the restore replaces and what is lost
+ */
+function displayRestoreSummary(config, plan) {
+  consola.box({
+    title: '⚠️  Restore the live database',
+    message: describeLiveRestore(config, plan).join('\n'),
+    style: {
+      borderColor: 'red',
+      padding: 1,
+    },
+  });
+}
+
+/**
+ * Describe a live restore as summary lines
+ */
+function describeLiveRestore(config, { target, latest, machine, others, safetyPath, databaseSize }) {
+  const lines = [
+    `🗄️  Database of ${config.app}${isNaN(databaseSize) ? '' : ` (${formatSize(databaseSize)})`} on ${machine.id}`,
+    `⏪ Restored to ${describeRestoreTarget(target)}`,
+  ];
+
+  if (target.timestamp) {
+    lines.push(`❌ Every change after ${target.timestamp} is lost${latest?.end ? `, the latest replicated change is from ${latest.end}` : ''}`);
+  } else if (latest && latest.generation !== target.generation) {
+    lines.push(`❌ Every change made after generation ${target.generation}, up to ${latest.end}, is lost`);
+  }
+  lines.push(`💾 The current database, with everything above, is kept at ${safetyPath}`);
+  lines.push('', `🚧 The app is down until the restore finishes${others.length > 0 ? `, ${others.length} other machine(s) are stopped meanwhile` : ''}`);
+
+  return lines;
+}
+
+/**
+ * Describe a restore target, a generation, a point in time or both
+ */
+export function describeRestoreTarget(target) {
+  if (!target.timestamp) {
+    return `the end of generation ${target.generation}`;
+  }
+  return target.generation ? `${target.timestamp} in generation ${target.generation}` : target.timestamp;
+}
+
+/**
+ * Wait until a restarted machine accepts ssh connections in maintenance mode
+ */
+async function waitForMaintenanceMode(config, machineId) {
+  for (let attempt = 1; attempt <= MAINTENANCE_WAIT_ATTEMPTS; attempt++) {
+    try {
+      await executeRemoteScript(`test -f ${MAINTENANCE_FILE_PATH}`, config, { machine: machineId });
+      return;
+    } catch (error) {
+      consola.debug(`Machine not reachable yet (attempt ${attempt}): ${error.message}`);
+      await new Promise(resolve => setTimeout(resolve, 3000));
+    }
+  }
+
+  throw new NuxflyError(`Machine ${machineId} did not come back in maintenance mode`);
+}
+
+/**
+ * Keygen command - generates the age keypair that encrypts Litestream backups and stores it as app secrets
+ */
+export const dbKeygen = withErrorHandling(async (args, config) => {
+  await validateDeploymentConfig(config);
+
+  const secretNames = (await getAppSecrets(config)).map(secret => secret.Name || secret.name);
+  if (secretNames.includes(LITESTREAM_AGE_SECRETS.identity) && !args.force) {
+    throw new NuxflyError(`${config.app} already has a backup encryption key, backups made with it cannot be restored after replacing it. Use --force to replace it anyway`);
+  }
+
+  const { identity, recipient } = generateAgeKeyPair();
+  await setFlySecrets(config.app, config, {
+    [LITESTREAM_AGE_SECRETS.identity]: identity,
+    [LITESTREAM_AGE_SECRETS.recipient]: recipient,
+  });
+
+  consola.box({
+    title: '🔑 Backup encryption key',
+    message: [
+      `Identity:  ${identity}`,
+      `Recipient: ${recipient}`,
+      '',
+      'Store the identity in your password manager, backups cannot be restored without it.',
+      `It is set on ${config.app} as ${LITESTREAM_AGE_SECRETS.identity} and applied on the next deploy.`,
+    ].join('\n'),
+    style: {
+      borderColor: 'yellow',
+      padding: 1,
+    },
+  });
+
+  if (!getLitestreamOptions(config).encrypt) {
+    consola.info("Set nuxfly.litestream.encrypt to true in nuxt.config.ts, then run 'nuxfly generate' and deploy to encrypt backups");
+  }
+});
+
+/**
+ * Verify backup command - restores the latest replica generation and checks it against the live database
+ */
+export const dbVerifyBackup = withErrorHandling(async (args, config) => {
+  const remote = !!args.remote;
+  const results = [];
+  const report = (name, status, message) => {
+    results.push({ name, status, message });
+  };
+
+  await validateDeploymentConfig(config);
+  consola.info(`🔍 Verifying the latest Litestream backup of ${config.app}${remote ? ' on a running machine' : ''}...`);
+
+  let restored;
+  try {
+    restored = remote ? await restoreOnMachine(config) : await restoreLocally(config);
+  } catch (error) {
+    report('Restore', 'fail', error.message);
+    return finishVerification(results, args);
+  }
+
+  try {
+    report('Restore', 'pass', `Restored generation ${restored.snapshot?.generation || 'unknown'}`);
+
+    // Snapshot age against the configured snapshot interval and retention
+    const settings = await getLitestreamSettings(config);
+    const snapshotInterval = parseDuration(settings.snapshotInterval);
+    const retention = parseDuration(settings.retention);
+    const snapshotAt = restored.snapshot?.created ? new Date(restored.snapshot.created) : null;
+
+    if (!snapshotAt || isNaN(snapshotAt.getTime())) {
+      report('Snapshot age', 'fail', 'No snapshot found in the replica');
+    } else {
+      const age = Math.max(0, Date.now() - snapshotAt.getTime());
+      const message = `Latest snapshot is ${formatDuration(age)} old (snapshot-interval ${settings.snapshotInterval}, retention ${settings.retention})`;
+      if (retention && age > retention) {
+        report('Snapshot age', 'fail', message);
+      } else if (snapshotInterval && age > snapshotInterval * 2) {
+        report('Snapshot age', 'warn', message);
+      } else {
+        report('Snapshot age', 'pass', message);
+      }
+    }
+
+    // Integrity of the restored file
+    const [integrity] = await restored.query('PRAGMA integrity_check;');
+    const integrityResult = integrity ? Object.values(integrity)[0] : 'no result';
+    report('Integrity', integrityResult === 'ok' ? 'pass' : 'fail', `PRAGMA integrity_check: ${integrityResult}`);
+
+    // Row counts against the live database, writes since the last sync make small differences expected
+    const tables = (await restored.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' ORDER BY name;"))
+      .map(row => row.name);
+    if (tables.length === 0) {
+      report('Row counts', 'warn', 'The restored database has no tables');
+    } else {
+      const countSql = getRowCountQuery(tables);
+      const backupCounts = Object.fromEntries((await restored.query(countSql)).map(row => [row.name, row.count]));
+
+      let liveCounts;
+      try {
+        liveCounts = Object.fromEntries((await queryRemoteDatabase(countSql, config)).map(row => [row.name, row.count]));
+      } catch (error) {
+        report('Row counts', 'fail', `Could not count rows in the live database: ${error.message}`);
+      }
+
+      if (liveCounts) {
+        const differences = tables
+          .filter(table => liveCounts[table] !== backupCounts[table])
+          .map(table => `${table} ${backupCounts[table]} vs ${liveCounts[table]} live`);
+        if (differences.length === 0) {
+          report('Row counts', 'pass', `${tables.length} table(s) match the live database`);
+        } else {
+          report('Row counts', 'warn', `${differences.length} of ${tables.length} table(s) differ: ${differences.join(', ')}`);
+        }
+      }
+    }
+  } catch (error) {
+    report('Verification', 'fail', error.message);
+  } finally {
+    await restored.cleanup();
+  }
+
+  finishVerification(results, args);
+});
+
+/**
+ * Restore the latest generation to a local temp file, needs litestream and sqlite3 installed
+ */
+async function restoreLocally(config) {
+  await validateLitestream();
+
+  const credentials = await resolveLitestreamCredentials(config);
+  const tempDir = await mkdtemp(join(tmpdir(), 'nuxfly-verify-'));
+  const databasePath = join(tempDir, 'db.sqlite');
+
+  try {
+    await restoreDatabase(databasePath, credentials, { config });
+    const snapshots = await runLitestream('snapshots', [REMOTE_DATABASE_PATH], credentials, { config });
+
+    return {
+      snapshot: getLatestSnapshot(snapshots.stdout),
+      query: sql => queryLocalDatabase(databasePath, sql),
+      cleanup: () => rm(tempDir, { recursive: true, force: true }),
+    };
+  } catch (error) {
+    await rm(tempDir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Restore the latest generation next to the live database on a running machine, which has litestream, sqlite3 and the secrets
+ */
+async function restoreOnMachine(config) {
+  const restorePath = VERIFY_RESTORE_PATH;
+  const cleanup = async () => {
+    try {
+      await executeRemoteScript(`rm -f ${restorePath} ${restorePath}-wal ${restorePath}-shm`, config);
+    } catch (error) {
+      consola.warn(`Failed to remove ${restorePath} from the machine: ${error.message}`);
+    }
+  };
+
+  let result;
+  try {
+    result = await executeRemoteScript(generateVerifyRestoreScript(restorePath), config);
+  } catch (error) {
+    await cleanup();
+    throw new NuxflyError(`Restore failed on the machine: ${error.suggestion || error.message}`, {
+      cause: error,
+    });
+  }
+
+  return {
+    snapshot: getLatestSnapshot(parseScriptSections(result.stdout).snapshots),
+    query: sql => queryRemoteDatabase(sql, config, { databasePath: restorePath }),
+    cleanup,
+  };
+}
+
+/**
+ * Get the most recent snapshot from `litestream snapshots` output
+ */
+function getLatestSnapshot(output) {
+  return parseLitestreamTable(output).sort((a, b) => (b.created || '').localeCompare(a.created || ''))[0] || null;
+}
+
+/**
+ * Print the verification results and fail the process if any check failed
+ */
+function finishVerification(results, args) {
+  const failed = results.filter(result => result.status === 'fail').length;
+
+  if (args.json) {
+    process.stdout.write(`${JSON.stringify({ ok: failed === 0, checks: results }, null, 2)}\n`);
+  } else {
+    const icons = { pass: '✅', warn: '⚠️ ', fail: '❌' };
+    for (const result of results) {
+      consola.log(`${icons[result.status]} ${result.name}: ${result.message}`);
+    }
+    if (failed > 0) {
+      consola.error(`Backup verification failed (${failed} check(s))`);
+    } else {
+      consola.success('✅ Backup verified');
+    }
+  }
+
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Format a duration in milliseconds for display
+ */
+function formatDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) {
+    return `${minutes}m`;
+  }
+  const hours = Math.floor(minutes / 60);
+  return hours < 48 ? `${hours}h${minutes % 60 ? ` ${minutes % 60}m` : ''}` : `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
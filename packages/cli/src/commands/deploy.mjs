@@ -1,11 +1,16 @@
 import consola from 'consola';
-import { flyDeploy, checkAppAccess, ensurePublicBucketUrlSecret } from '../utils/flyctl.mjs';
+import { flyDeploy, checkAppAccess, getAppSecrets, ensurePublicBucketUrlSecret, executeRemoteScript, parseScriptSections } from '../utils/flyctl.mjs';
 import { validateDeploymentConfig } from '../utils/validation.mjs';
 import { withErrorHandling, NuxflyError } from '../utils/errors.mjs';
 import { hasDistDir } from '../utils/config.mjs';
-import { getOrgName, createLitestreamBucket, createPublicBucket, createPrivateBucket, getExistingBuckets } from '../utils/buckets.mjs';
+import { BUCKET_TYPES, getOrgName, createLitestreamBucket, createPublicBucket, createPrivateBucket, getExistingBuckets } from '../utils/buckets.mjs';
 import { buildApplication } from '../utils/build.mjs';
-import { copyDrizzleMigrations } from '../utils/filesystem.mjs';
+import { directoryExists } from '../utils/filesystem.mjs';
+import { getReplicaSecretNames, getLitestreamOptions, parseLitestreamTable, LITESTREAM_AGE_SECRETS } from '../utils/litestream.mjs';
+import { RESTORE_POINT_ENV, formatRestorePoint, queryRemoteDatabase, getHighAvailabilityArgs } from '../utils/database.mjs';
+import { generateRestorePointScript } from '../templates/database.mjs';
+import { getMigrationOptions, copyMigrations, getNuxflyMigrationsPath, listMigrations, getAppliedMigrations, getPendingMigrations, lintMigrations, getRemoteTableSizes } from '../utils/migrations.mjs';
+import { findDatabaseMachine, displayMigrationLint } from './db.mjs';
 
 /**
  * Check and create any missing S3 buckets based on current configuration
@@ -47,12 +52,27 @@ async function ensureBucketsExist(config) {
     // Check existing buckets to avoid duplicates
     const existingBuckets = await getExistingBuckets(config);
     
+    // Buckets attached with 'nuxfly buckets link' or shared by a preview have a different name, don't replace them
+    const secretNames = (await getAppSecrets(config)).map(secret => secret.Name || secret.name);
+    const isLinked = type => secretNames.includes(BUCKET_TYPES[type].secrets.bucketName);
+    
+    // Litestream does not start when a replica references a secret that is not set, which would crash the app
+    if (needsLitestreamBucket) {
+      const missingReplicaSecrets = getReplicaSecretNames(config).filter(name => !secretNames.includes(name));
+      if (missingReplicaSecrets.length > 0) {
+        throw new NuxflyError(`Secrets for the additional Litestream replicas are not set: ${missingReplicaSecrets.join(', ')}. Set them with 'fly secrets set' before deploying`);
+      }
+      if (getLitestreamOptions(config).encrypt && !Object.values(LITESTREAM_AGE_SECRETS).every(name => secretNames.includes(name))) {
+        throw new NuxflyError("Backups are encrypted but the age keypair is not set on the app, run 'nuxfly db keygen' before deploying");
+      }
+    }
+    
     let bucketsCreated = 0;
     
     // Create litestream bucket if needed and doesn't exist
     if (needsLitestreamBucket) {
       const litestreamBucketName = `${appName}-litestream`;
-      if (existingBuckets.includes(litestreamBucketName)) {
+      if (existingBuckets.includes(litestreamBucketName) || isLinked('litestream')) {
         consola.debug(`Litestream bucket already exists: ${litestreamBucketName}`);
       } else {
         consola.info(`Creating missing litestream bucket: ${litestreamBucketName}`);
@@ -64,7 +84,7 @@ async function ensureBucketsExist(config) {
     // Create public bucket if needed and doesn't exist
     if (needsPublicBucket) {
       const publicBucketName = `${appName}-public`;
-      if (existingBuckets.includes(publicBucketName)) {
+      if (existingBuckets.includes(publicBucketName) || isLinked('public')) {
         consola.debug(`Public bucket already exists: ${publicBucketName}`);
       } else {
         consola.info(`Creating missing public bucket: ${publicBucketName}`);
@@ -76,7 +96,7 @@ async function ensureBucketsExist(config) {
     // Create private bucket if needed and doesn't exist
     if (needsPrivateBucket) {
       const privateBucketName = `${appName}-private`;
-      if (existingBuckets.includes(privateBucketName)) {
+      if (existingBuckets.includes(privateBucketName) || isLinked('private')) {
         consola.debug(`Private bucket already exists: ${privateBucketName}`);
       } else {
         consola.info(`Creating missing private bucket: ${privateBucketName}`);
@@ -98,6 +118,81 @@ async function ensureBucketsExist(config) {
   }
 }
 
+/**
+ * Lint the migrations the deploy applies on boot, destructive ones need --allow-destructive
+ */
+async function checkMigrationSafety(config, allowDestructive) {
+  const migrations = getMigrationOptions(config);
+  const migrationsPath = getNuxflyMigrationsPath(config);
+  // The command runner's migrations cannot be read, and a project without migrations has nothing to check
+  if (migrations.runner === 'command' || !directoryExists(migrationsPath)) {
+    return;
+  }
+
+  let pending;
+  try {
+    const entries = await listMigrations(migrations, migrationsPath);
+    pending = getPendingMigrations(entries, await getAppliedMigrations(config, migrations), migrations);
+  } catch (error) {
+    // A first deploy has no machine to ask, and nothing to break
+    consola.warn(`Skipping the migration safety check, could not read the applied migrations: ${error.message}`);
+    return;
+  }
+
+  const results = await lintMigrations(migrationsPath, pending);
+  const findings = results.flatMap(result => result.findings);
+  if (findings.length === 0) {
+    consola.debug(`No destructive statements in ${pending.length} pending migration(s)`);
+    return;
+  }
+
+  const sizes = await getRemoteTableSizes(config, findings.map(finding => finding.table)).catch(() => ({}));
+  consola.info('🔍 Pending migrations:');
+  displayMigrationLint(results.filter(result => result.findings.length > 0), sizes);
+
+  const destructive = findings.filter(finding => finding.destructive).length;
+  if (destructive === 0) {
+    return;
+  }
+  if (!allowDestructive) {
+    throw new NuxflyError(`${destructive} destructive migration statement(s) would break the running release while deploying. Deploy once the running release no longer uses what they change, then re-run with --allow-destructive`);
+  }
+  consola.warn(`Deploying ${destructive} destructive migration statement(s) (--allow-destructive)`);
+}
+
+/**
+ * Record where the database stands right before deploying, so `nuxfly rollback` can go back to it
+ *
+ * Litestream 0.3 cannot take a snapshot on demand, so the restore point is the current generation at the
+ * machine's clock, which Litestream restores from the generation's latest snapshot and its WAL.
+ */
+async function createRestorePoint(config) {
+  const { machine } = await findDatabaseMachine(config);
+  const result = await executeRemoteScript(generateRestorePointScript(), config, { machine: machine.id });
+  const sections = parseScriptSections(result.stdout);
+
+  const latest = parseLitestreamTable(sections.generations).sort((a, b) => (b.end || '').localeCompare(a.end || ''))[0];
+  const timestamp = (sections.time || '').trim();
+  if (!latest || !timestamp) {
+    throw new NuxflyError('Litestream has not replicated the database yet');
+  }
+
+  return { generation: latest.generation, timestamp };
+}
+
+/**
+ * Find the last boot run recorded in the `fly` table if it failed, best effort since the machine may be restarting
+ */
+async function findFailedBoot(config) {
+  try {
+    const [run] = await queryRemoteDatabase('SELECT * FROM fly ORDER BY id DESC LIMIT 1;', config);
+    return run?.status === 'failed' ? run : null;
+  } catch (error) {
+    consola.debug(`Could not read the fly table: ${error.message}`);
+    return null;
+  }
+}
+
 /**
  * Deploy command - generates files and deploys to Fly.io
  */
@@ -113,10 +208,14 @@ export const deploy = withErrorHandling(async (args, config) => {
     process.exit(1);
   }
 
+  // Snapshot by default whenever there is a Litestream backup to restore from
+  const snapshot = args.snapshot ?? !!config.nuxt?.nuxfly?.litestream;
+  let restorePoint = null;
+
   try {
-    // Copy drizzle migrations from parent project when building
+    // Copy migrations from parent project when building
     if (args.build) {
-      await copyDrizzleMigrations(config);
+      await copyMigrations(config);
     }
 
     // Build the application first (unless --no-build is specified) to ensure .output is up to date
@@ -125,6 +224,9 @@ export const deploy = withErrorHandling(async (args, config) => {
     // Check and create any missing buckets before deployment
     await ensureBucketsExist(config);
     
+    // Catch migrations that break the release still running during the deploy
+    await checkMigrationSafety(config, !!args['allow-destructive']);
+    
     // Set public bucket URL secret if needed
     try {
       await ensurePublicBucketUrlSecret(config);
@@ -137,7 +239,7 @@ export const deploy = withErrorHandling(async (args, config) => {
     const deployOptions = {
       strategy: args.strategy,
       cwd: process.cwd(), // Deploy from project root instead of .nuxfly
-      extraArgs: ['--ha=false'], // Will be populated with any additional args
+      extraArgs: getHighAvailabilityArgs(config), // Will be populated with any additional args
     };
     
     // Add any extra arguments passed after --
@@ -148,11 +250,32 @@ export const deploy = withErrorHandling(async (args, config) => {
       }
     }
     
+    // Record the restore point in the release's environment, `nuxfly rollback` reads it from the machines
+    if (snapshot) {
+      try {
+        restorePoint = await createRestorePoint(config);
+        deployOptions.extraArgs.push('--env', `${RESTORE_POINT_ENV}=${formatRestorePoint(restorePoint)}`);
+        consola.info(`📸 Database restore point: ${restorePoint.timestamp} in generation ${restorePoint.generation}`);
+      } catch (error) {
+        // A first deploy has no database yet, only an explicit --snapshot has to succeed
+        if (args.snapshot) {
+          throw new NuxflyError(`Could not record a database restore point: ${error.message}`, { cause: error });
+        }
+        consola.warn(`Deploying without a database restore point: ${error.message}`);
+      }
+    }
+    
     consola.debug('Deploy options:', deployOptions);
     
     // Deploy the application
     await flyDeploy(deployOptions, config);
     
+    // The boot runner keeps the app from starting when a migration fails, so this only catches apps without health checks
+    const failedBoot = restorePoint && await findFailedBoot(config);
+    if (failedBoot) {
+      throw new NuxflyError(`Migrations failed on boot: ${failedBoot.error}`);
+    }
+    
     consola.success('🎉 Deployment completed successfully!');
     
     // Display success message with app info
@@ -165,6 +288,14 @@ export const deploy = withErrorHandling(async (args, config) => {
       return;
     }
     
+    if (restorePoint) {
+      const failedBoot = await findFailedBoot(config);
+      throw new NuxflyError(`Deployment failed: ${failedBoot ? `migrations failed on boot: ${failedBoot.error}` : error.message}. Run 'nuxfly rollback' to restore the previous image and the database as of ${restorePoint.timestamp}`, {
+        suggestion: 'Check the deployment output above for details',
+        cause: error,
+      });
+    }
+
     throw new NuxflyError(`Deployment failed: ${error.message}`, {
       suggestion: 'Check the deployment output above for details',
       cause: error,
@@ -0,0 +1,133 @@
+import { join, resolve } from 'path';
+import { mkdirSync } from 'fs';
+import consola from 'consola';
+import { withErrorHandling, NuxflyError } from '../utils/errors.mjs';
+import { getAppName } from '../utils/config.mjs';
+import { fileExists, getRelativePath } from '../utils/filesystem.mjs';
+import { validateLitestream } from '../utils/validation.mjs';
+import { getEnvironmentResources, destroyEnvironment } from '../utils/environments.mjs';
+import { BUCKET_TYPES, getBucketName } from '../utils/buckets.mjs';
+import { resolveLitestreamCredentials, restoreDatabase } from '../utils/litestream.mjs';
+import { STORAGE_BUCKETS, resolveStorageCredentials, downloadBucket } from '../utils/storage.mjs';
+
+/**
+ * Destroy command - removes the app, its volumes, its buckets and its fly.toml
+ */
+export const destroy = withErrorHandling(async (args, config) => {
+  const appName = getAppName(config);
+  if (!appName) {
+    throw new NuxflyError('App name is required to destroy an app', {
+      suggestion: 'Set app name in your nuxfly config or use --app flag',
+    });
+  }
+
+  const resources = await getEnvironmentResources(config);
+  const flyTomlPath = config._runtime.flyTomlPath;
+
+  if (!resources.appExists && resources.buckets.length === 0) {
+    if (!fileExists(flyTomlPath)) {
+      consola.info(`Nothing to destroy for ${appName}`);
+      return;
+    }
+    consola.warn(`App ${appName} was not found, only ${getRelativePath(flyTomlPath)} will be removed`);
+  }
+
+  displayDestroySummary(appName, resources, flyTomlPath, args);
+
+  if (!args.yes) {
+    const confirmed = await consola.prompt(`Permanently destroy ${appName}${args['keep-data'] ? '' : ' and its data'}?`, {
+      type: 'confirm',
+      initial: false,
+    });
+    if (confirmed !== true) {
+      consola.info('Aborted');
+      return;
+    }
+  }
+
+  if (args.export) {
+    await exportData(resolve(args.export), resources, config);
+  }
+
+  await destroyEnvironment(config, {
+    resources,
+    keepBuckets: !!args['keep-data'],
+  });
+
+  consola.success(`🗑️  ${appName} destroyed`);
+  if (args['keep-data'] && resources.buckets.length > 0) {
+    consola.info(`Kept bucket(s): ${resources.buckets.join(', ')}`);
+  }
+});
+
+/**
+ * Show what is going to be destroyed
+ */
+function displayDestroySummary(appName, resources, flyTomlPath, args) {
+  const lines = [];
+
+  if (resources.appExists) {
+    lines.push(`🚀 App ${appName} and its machines`);
+  }
+  for (const volume of resources.volumes) {
+    lines.push(`💾 Volume ${volume.name} (${volume.id}, ${volume.sizeGb}GB in ${volume.region})`);
+  }
+  for (const bucketName of resources.buckets) {
+    lines.push(`🪣 Bucket ${bucketName}${args['keep-data'] ? ' (kept)' : ''}`);
+  }
+  if (fileExists(flyTomlPath)) {
+    lines.push(`📄 ${getRelativePath(flyTomlPath)}`);
+  }
+  if (args.export) {
+    lines.push('', `Data is exported to ${getRelativePath(resolve(args.export))} first`);
+  }
+
+  consola.box({
+    title: '⚠️  This will permanently destroy',
+    message: lines.join('\n'),
+    style: {
+      borderColor: 'red',
+      padding: 1,
+    },
+  });
+}
+
+/**
+ * Export the latest database snapshot and the storage buckets before they are destroyed
+ */
+async function exportData(directory, resources, config) {
+  consola.info(`📦 Exporting data to ${getRelativePath(directory)}...`);
+  mkdirSync(directory, { recursive: true });
+
+  try {
+    if (resources.buckets.includes(getBucketName('litestream', config))) {
+      await validateLitestream();
+      const databasePath = join(directory, 'db.sqlite');
+      if (fileExists(databasePath)) {
+        throw new NuxflyError(`${getRelativePath(databasePath)} already exists`, {
+          suggestion: 'Export to an empty directory',
+        });
+      }
+
+      const credentials = await resolveLitestreamCredentials(config);
+      await restoreDatabase(databasePath, credentials, { config });
+      consola.success(`✅ Exported the latest database snapshot to ${getRelativePath(databasePath)}`);
+    }
+
+    for (const type of Object.keys(STORAGE_BUCKETS)) {
+      if (!resources.buckets.includes(getBucketName(type, config))) {
+        continue;
+      }
+
+      const credentials = await resolveStorageCredentials(type, config);
+      const count = await downloadBucket(credentials, join(directory, type));
+      consola.success(`✅ Exported ${count} object(s) from the ${BUCKET_TYPES[type].label.toLowerCase()} bucket`);
+    }
+  } catch (error) {
+    // Nothing has been destroyed yet, stop so the data is not lost
+    throw new NuxflyError(`Export failed, nothing was destroyed: ${error.message}`, {
+      suggestion: 'Run again without --export, or with --keep-data to retain the buckets',
+      cause: error,
+    });
+  }
+}
@@ -0,0 +1,422 @@
+import { join } from 'path';
+import consola from 'consola';
+import { withErrorHandling, NuxflyError } from '../utils/errors.mjs';
+import { loadConfig, getAppName, getRegion, getNuxflyDir, hasEnvironmentSpecificFiles, validateNuxflyEnv } from '../utils/config.mjs';
+import { fileExists, directoryExists, readFile, getRelativePath, loadDrizzleConfig } from '../utils/filesystem.mjs';
+import {
+  preflightChecks,
+  validateDependencies,
+  validateNuxtProject,
+  validateFlyTomlExists,
+  validateDirectoryWritable,
+  validateLitestream,
+  validateNodeVersion,
+} from '../utils/validation.mjs';
+import { checkFlyAuth, getAppSecrets } from '../utils/flyctl.mjs';
+import { BUCKET_TYPES, getBucketName, isBucketEnabled, getExistingBuckets } from '../utils/buckets.mjs';
+import { listVolumes } from '../utils/volumes.mjs';
+import { getMigrationOptions, getNuxflyMigrationsPath, listMigrations } from '../utils/migrations.mjs';
+import { getLitestreamOptions, getReplicaSecretNames, LITESTREAM_AGE_SECRETS } from '../utils/litestream.mjs';
+import { getReplicationOptions, getRemoteDatabasePath, REMOTE_DATABASE_PATH } from '../utils/database.mjs';
+import { renderNuxflyFiles } from './generate.mjs';
+
+const STATUS_ICONS = {
+  pass: '✅',
+  warn: '⚠️ ',
+  fail: '❌',
+};
+
+/**
+ * Doctor command - runs every diagnostic check and reports pass/warn/fail for each
+ */
+export const doctor = withErrorHandling(async (args) => {
+  const checks = [];
+
+  // Each check returns a message on success, returns warn() for problems that don't block a deploy,
+  // and throws a NuxflyError whose suggestion explains how to fix it
+  const check = async (category, name, fn) => {
+    let result;
+    try {
+      const outcome = await fn();
+      result = outcome?.status ? outcome : { status: 'pass', message: outcome || 'OK' };
+    } catch (error) {
+      result = { status: 'fail', message: error.message, suggestion: error.suggestion };
+    }
+    checks.push({ category, name, ...result });
+    return result.status !== 'fail';
+  };
+
+  // Tooling
+  const hasFlyctl = await check('Tooling', 'flyctl', async () => {
+    await validateDependencies('doctor');
+    return 'flyctl is installed';
+  });
+
+  const isAuthenticated = hasFlyctl && await check('Tooling', 'Fly.io authentication', async () => {
+    const user = await checkFlyAuth();
+    if (!user) {
+      throw new NuxflyError('Not authenticated with Fly.io', {
+        suggestion: 'Run "flyctl auth login" to authenticate',
+      });
+    }
+    return `Logged in as ${user}`;
+  });
+
+  // Configuration
+  await check('Configuration', 'Nuxt project', () => {
+    validateNuxtProject();
+    validateDirectoryWritable(process.cwd());
+    return 'Found nuxt.config in a writable directory';
+  });
+
+  const hasEnv = await check('Configuration', 'NUXFLY_ENV', () => {
+    validateNuxflyEnv('doctor');
+    if (!process.env.NUXFLY_ENV) {
+      return 'Not set, using fly.toml';
+    }
+    if (!hasEnvironmentSpecificFiles() && process.env.NUXFLY_ENV !== 'prod') {
+      return warn(`NUXFLY_ENV=${process.env.NUXFLY_ENV} but no fly.*.toml files exist`, `Run 'NUXFLY_ENV=${process.env.NUXFLY_ENV} nuxfly launch' or unset NUXFLY_ENV`);
+    }
+    return `NUXFLY_ENV=${process.env.NUXFLY_ENV}`;
+  });
+
+  let config;
+  if (hasEnv) {
+    await check('Configuration', 'Nuxt config', async () => {
+      config = await loadConfig();
+      return 'Loaded nuxt.config';
+    });
+  }
+
+  if (config?.nuxt?.nuxfly?.litestream) {
+    await check('Configuration', 'Litestream options', () => {
+      const options = getLitestreamOptions(config);
+      const replicas = options.replicas?.length || 0;
+      return Object.keys(options).length === 0 ? 'Using the defaults' : `Valid${replicas > 0 ? `, ${replicas} additional replica(s)` : ''}`;
+    });
+  }
+
+  if (config?.nuxt?.nuxfly?.database) {
+    await check('Configuration', 'Database replication', () => {
+      const replication = getReplicationOptions(config);
+      return replication.mode === 'litefs' ? `LiteFS with a ${replication.lease} lease` : 'Litestream';
+    });
+  }
+
+  const hasFlyToml = !!config && await check('Configuration', 'fly.toml', () => {
+    validateFlyTomlExists(config);
+    if (!getAppName(config)) {
+      throw new NuxflyError(`No app name in ${getRelativePath(config._runtime.flyTomlPath)}`, {
+        suggestion: "Run 'nuxfly launch' or 'nuxfly import' to set up the app",
+      });
+    }
+    return `${getRelativePath(config._runtime.flyTomlPath)} for app ${config.app}`;
+  });
+
+  if (hasFlyToml) {
+    await check('Configuration', 'fly.toml matches nuxt config', () => checkFlyTomlAgreement(config));
+  }
+
+  // Fly.io resources
+  const hasApp = hasFlyToml && isAuthenticated && await check('Fly.io', 'App access', async () => {
+    await preflightChecks('deploy', config);
+    return `You have access to ${config.app}`;
+  });
+
+  if (hasApp) {
+    await check('Fly.io', 'SQLite volume', async () => {
+      const volumes = (await listVolumes(config)).filter(volume => volume.name === 'sqlite_data');
+      const region = getRegion(config);
+      if (volumes.length === 0) {
+        throw new NuxflyError('No sqlite_data volume found', {
+          suggestion: `Create it with: flyctl volumes create sqlite_data --region ${region} --size 1`,
+        });
+      }
+      if (!volumes.some(volume => volume.region === region)) {
+        return warn(`No sqlite_data volume in the primary region ${region}`, `Create it with: flyctl volumes create sqlite_data --region ${region} --size 1`);
+      }
+      return `${volumes.length} sqlite_data volume(s) in ${[...new Set(volumes.map(volume => volume.region))].join(', ')}`;
+    });
+
+    // Listed once for the checks below, from inside them so a failure is reported as a failed check
+    let existingBuckets, secrets;
+    const listBuckets = () => existingBuckets ||= getExistingBuckets(config);
+    const listSecretNames = async () => (await (secrets ||= getAppSecrets(config))).map(secret => secret.Name || secret.name);
+
+    for (const type of Object.keys(BUCKET_TYPES)) {
+      if (!isBucketEnabled(type, config)) {
+        continue;
+      }
+      await check('Fly.io', `${BUCKET_TYPES[type].label} bucket`, async () => checkBucket(type, config, await listBuckets(), await listSecretNames()));
+    }
+
+    if (isLiteFSConsulLease(config)) {
+      await check('Fly.io', 'LiteFS lease', async () => {
+        if (!(await listSecretNames()).includes('FLY_CONSUL_URL')) {
+          throw new NuxflyError('Missing secret: FLY_CONSUL_URL', {
+            suggestion: "Run 'flyctl consul attach', LiteFS cannot elect a primary without it",
+          });
+        }
+        return 'Consul is attached';
+      });
+    }
+
+    if (isBucketEnabled('litestream', config)) {
+      await check('Fly.io', 'Litestream replicas', async () => {
+        const replicas = getLitestreamOptions(config).replicas || [];
+        if (replicas.length === 0) {
+          return 'Only the Litestream bucket, add replicas in nuxfly.litestream.replicas for off-site backups';
+        }
+        const secretNames = await listSecretNames();
+        const missing = getReplicaSecretNames(config).filter(name => !secretNames.includes(name));
+        if (missing.length > 0) {
+          throw new NuxflyError(`Missing secrets: ${missing.join(', ')}`, {
+            suggestion: 'Set them with fly secrets set, Litestream does not start without them',
+          });
+        }
+        return `${replicas.length} additional replica(s): ${replicas.map(replica => replica.name).join(', ')}`;
+      });
+
+      await check('Fly.io', 'Backup encryption', async () => {
+        if (!getLitestreamOptions(config).encrypt) {
+          return 'Not enabled, set nuxfly.litestream.encrypt to encrypt backups with age';
+        }
+        const secretNames = await listSecretNames();
+        const missing = Object.values(LITESTREAM_AGE_SECRETS).filter(name => !secretNames.includes(name));
+        if (missing.length > 0) {
+          throw new NuxflyError(`Missing secrets: ${missing.join(', ')}`, {
+            suggestion: "Run 'nuxfly db keygen' to generate the encryption key",
+          });
+        }
+        return 'Backups are encrypted with age';
+      });
+    }
+  }
+
+  // Build files
+  if (config) {
+    await check('Build', '.nuxfly files', () => checkNuxflyFiles(config));
+    await check('Build', 'Migrations', () => checkMigrations(config));
+    await check('Build', 'Node version', () => checkNodeVersion(config));
+  }
+
+  if (config?.nuxt?.nuxfly?.litestream) {
+    await check('Tooling', 'litestream', async () => {
+      try {
+        await validateLitestream();
+      } catch (error) {
+        return warn('litestream is not installed, db pull and restore commands are unavailable', error.suggestion);
+      }
+      return 'litestream is installed';
+    });
+  }
+
+  const summary = {
+    pass: checks.filter(item => item.status === 'pass').length,
+    warn: checks.filter(item => item.status === 'warn').length,
+    fail: checks.filter(item => item.status === 'fail').length,
+  };
+
+  if (args.json) {
+    process.stdout.write(`${JSON.stringify({ checks, summary }, null, 2)}\n`);
+  } else {
+    displayReport(checks, summary);
+  }
+
+  if (summary.fail > 0) {
+    process.exitCode = 1;
+  }
+});
+
+/**
+ * Build a warning result for a check
+ */
+function warn(message, suggestion) {
+  return { status: 'warn', message, suggestion };
+}
+
+/**
+ * Check whether LiteFS elects its primary with a Consul lease, invalid options fail the replication check instead
+ */
+function isLiteFSConsulLease(config) {
+  try {
+    const replication = getReplicationOptions(config);
+    return replication.mode === 'litefs' && replication.lease === 'consul';
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check fly.toml has the mount and Dockerfile the nuxt config relies on
+ */
+async function checkFlyTomlAgreement(config) {
+  const content = await readFile(config._runtime.flyTomlPath);
+
+  if (config.nuxt?.nuxfly?.litestream) {
+    const mountsData = /\[\[mounts\]\][^[]*destination\s*=\s*["']\/data["']/.test(content);
+    if (!mountsData) {
+      throw new NuxflyError('litestream is enabled but fly.toml does not mount a volume at /data', {
+        suggestion: "Add a [[mounts]] section with source = \"sqlite_data\" and destination = \"/data\", or run 'nuxfly generate'",
+      });
+    }
+  }
+
+  const databasePath = getRemoteDatabasePath(config);
+  if (databasePath !== REMOTE_DATABASE_PATH && !new RegExp(`DATABASE_PATH\\s*=\\s*["']${databasePath}["']`).test(content)) {
+    throw new NuxflyError(`LiteFS replication is enabled but fly.toml does not set DATABASE_PATH to ${databasePath}`, {
+      suggestion: "Run 'nuxfly generate' to regenerate fly.toml",
+    });
+  }
+
+  if (!/dockerfile\s*=\s*["']\.nuxfly\/Dockerfile["']/.test(content)) {
+    return warn('fly.toml does not build with .nuxfly/Dockerfile', "Run 'nuxfly generate' to regenerate fly.toml");
+  }
+
+  return 'Volume mount and Dockerfile are configured';
+}
+
+/**
+ * Check a bucket exists, or is linked, and all of its secrets are set
+ */
+function checkBucket(type, config, existingBuckets, secretNames) {
+  const { secrets, public: isPublic } = BUCKET_TYPES[type];
+  const bucketName = getBucketName(type, config);
+  const linked = secretNames.includes(secrets.bucketName);
+
+  if (!existingBuckets.includes(bucketName) && !linked) {
+    throw new NuxflyError(`Bucket ${bucketName} does not exist`, {
+      suggestion: `Run 'nuxfly buckets create ${type}' or 'nuxfly deploy' to create it`,
+    });
+  }
+
+  const requiredSecrets = [...Object.values(secrets), ...(isPublic ? ['NUXT_PUBLIC_S3_PUBLIC_URL'] : [])];
+  const missing = requiredSecrets.filter(key => !secretNames.includes(key));
+  if (missing.length > 0) {
+    throw new NuxflyError(`Missing secrets: ${missing.join(', ')}`, {
+      suggestion: `Run 'nuxfly buckets set-key ${type}' to set the bucket credentials`,
+    });
+  }
+
+  return existingBuckets.includes(bucketName) ? `${bucketName} exists and its secrets are set` : 'Linked to another bucket, secrets are set';
+}
+
+/**
+ * Compare the .nuxfly files with what the current templates generate
+ */
+async function checkNuxflyFiles(config) {
+  const nuxflyDir = getNuxflyDir(config);
+  const files = renderNuxflyFiles(config);
+
+  const missing = Object.keys(files).filter(name => !fileExists(join(nuxflyDir, name)));
+  if (missing.length > 0) {
+    throw new NuxflyError(`Missing ${missing.map(name => `.nuxfly/${name}`).join(', ')}`, {
+      suggestion: "Run 'nuxfly generate' to create the deployment files",
+    });
+  }
+
+  validateDirectoryWritable(nuxflyDir);
+
+  const outdated = [];
+  for (const [name, content] of Object.entries(files)) {
+    if (await readFile(join(nuxflyDir, name)) !== content) {
+      outdated.push(name);
+    }
+  }
+  if (outdated.length > 0) {
+    return warn(`${outdated.map(name => `.nuxfly/${name}`).join(', ')} differ from the current templates`, "Run 'nuxfly generate' to update them, or ignore this if you edited them on purpose");
+  }
+
+  return 'Up to date with the current templates';
+}
+
+/**
+ * Check the project's migrations resolve and match the copy in .nuxfly/migrations
+ */
+async function checkMigrations(config) {
+  const migrations = getMigrationOptions(config);
+  if (migrations.runner === 'command') {
+    return `Migrations run with '${migrations.command}'`;
+  }
+
+  let migrationsPath = migrations.path && join(process.cwd(), migrations.path);
+  if (!migrationsPath) {
+    const drizzleConfig = await loadDrizzleConfig();
+    if (!drizzleConfig?.out) {
+      return warn('No drizzle.config.ts with an "out" directory found', 'Migrations are not deployed without a drizzle config');
+    }
+    migrationsPath = join(process.cwd(), drizzleConfig.out);
+  }
+  if (!directoryExists(migrationsPath)) {
+    return warn(`Migrations directory ${getRelativePath(migrationsPath)} does not exist`, migrations.runner === 'drizzle' ? "Generate migrations with 'drizzle-kit generate'" : 'Set nuxfly.migrations.path to your migrations directory');
+  }
+
+  const entries = await listMigrations(migrations, migrationsPath);
+  const nuxflyMigrationsPath = getNuxflyMigrationsPath(config);
+  const copied = directoryExists(nuxflyMigrationsPath) ? await listMigrations(migrations, nuxflyMigrationsPath).catch(() => []) : [];
+
+  if (copied.length !== entries.length || copied.some((entry, index) => entry.tag !== entries[index].tag)) {
+    return warn(`.nuxfly/migrations has ${copied.length} of ${entries.length} migration(s)`, "Run 'nuxfly deploy --build' or 'nuxfly db migrate' to ship the latest migrations");
+  }
+
+  return `${entries.length} ${migrations.runner} migration(s) in ${getRelativePath(migrationsPath)}`;
+}
+
+/**
+ * Check the Node version in the Dockerfile matches the local one and package.json engines
+ */
+async function checkNodeVersion(config) {
+  const dockerfilePath = join(getNuxflyDir(config), 'Dockerfile');
+  const dockerfile = fileExists(dockerfilePath) ? await readFile(dockerfilePath) : renderNuxflyFiles(config)['Dockerfile'];
+  const imageTag = /^FROM\s+node:(\d[\d.]*)/m.exec(dockerfile)?.[1];
+  const imageVersion = imageTag?.split('.')[0];
+  const localVersion = process.versions.node.split('.')[0];
+
+  if (!imageVersion) {
+    return warn('Could not find the Node version in .nuxfly/Dockerfile', 'Use a node:<version> base image');
+  }
+
+  // boot.mjs needs node:sqlite, start.sh refuses to start the app without it
+  validateNodeVersion(imageTag);
+
+  const packageJsonPath = join(process.cwd(), 'package.json');
+  const engines = fileExists(packageJsonPath) ? JSON.parse(await readFile(packageJsonPath)).engines?.node : undefined;
+  const engineVersion = engines && /(\d+)/.exec(engines)?.[1];
+
+  if (engineVersion && !engines.includes('>') && engineVersion !== imageVersion) {
+    return warn(`package.json requires Node ${engines} but the Dockerfile uses Node ${imageVersion}`, 'Update the engines field or the Dockerfile base image');
+  }
+
+  if (imageVersion !== localVersion) {
+    return warn(`The Dockerfile uses Node ${imageVersion} but you are running Node ${localVersion}`, 'Builds may behave differently in production, use the same major version locally');
+  }
+
+  return `Node ${imageVersion} locally and in the Dockerfile`;
+}
+
+/**
+ * Display the report grouped by category
+ */
+function displayReport(checks, summary) {
+  const categories = [...new Set(checks.map(item => item.category))];
+  for (const category of categories) {
+    consola.log('');
+    consola.log(`🩺 ${category}`);
+    for (const item of checks.filter(check => check.category === category)) {
+      consola.log(`  ${STATUS_ICONS[item.status]} ${item.name}: ${item.message}`);
+      if (item.status !== 'pass' && item.suggestion) {
+        consola.log(`     💡 ${item.suggestion}`);
+      }
+    }
+  }
+
+  consola.log('');
+  const text = `${summary.pass} passed, ${summary.warn} warning(s), ${summary.fail} failed`;
+  if (summary.fail > 0) {
+    consola.error(text);
+  } else if (summary.warn > 0) {
+    consola.warn(text);
+  } else {
+    consola.success(text);
+  }
+}
@@ -0,0 +1,70 @@
+import { rmSync } from 'fs';
+import consola from 'consola';
+import { withErrorHandling, NuxflyError } from '../utils/errors.mjs';
+import { loadEnvironmentConfig, getEnvironmentSpecificFlyTomlPath } from '../utils/config.mjs';
+import { fileExists, getRelativePath } from '../utils/filesystem.mjs';
+import { validateLitestream } from '../utils/validation.mjs';
+import { getEnvironmentAppName, writeEnvironmentFlyToml, createEnvironmentApp, provisionEnvironment } from '../utils/environments.mjs';
+
+/**
+ * Clone command - creates a new environment with the configuration, secrets and optionally data of another
+ */
+export const envClone = withErrorHandling(async (args) => {
+  const { source, target } = args;
+
+  if (source === target) {
+    throw new NuxflyError('Source and target environments must be different');
+  }
+
+  const sourceConfig = await loadEnvironmentConfig(source);
+
+  const targetPath = getEnvironmentSpecificFlyTomlPath(target);
+  if (fileExists(targetPath)) {
+    throw new NuxflyError(`${getRelativePath(targetPath)} already exists`, {
+      suggestion: `Remove it first or use 'NUXFLY_ENV=${target} nuxfly deploy' to deploy the existing environment`,
+    });
+  }
+
+  if (args.data) {
+    await validateLitestream();
+  }
+
+  const appName = args.name || getEnvironmentAppName(sourceConfig.app, source, target);
+  consola.info(`🧬 Cloning ${source} (${sourceConfig.app}) to ${target} (${appName})...`);
+
+  await writeEnvironmentFlyToml(sourceConfig, targetPath, {
+    app: appName,
+    region: args.region,
+  });
+  consola.success(`Generated ${getRelativePath(targetPath)}`);
+
+  const targetConfig = await loadEnvironmentConfig(target);
+
+  let orgName;
+  try {
+    orgName = await createEnvironmentApp(sourceConfig, targetConfig, { org: args.org });
+  } catch (error) {
+    // Nothing was created on Fly.io yet, don't leave a fly.toml for an app that does not exist
+    rmSync(targetPath, { force: true });
+    throw error;
+  }
+
+  await provisionEnvironment(orgName, sourceConfig, targetConfig, {
+    size: args.size,
+    copySecrets: args.secrets,
+    withData: args.data,
+  });
+
+  consola.box({
+    title: '🎉 Environment created!',
+    message: `${appName} was cloned from ${sourceConfig.app} but is not yet deployed.
+
+Next steps:
+  1. Review ${getRelativePath(targetPath)}
+  2. Deploy it: NUXFLY_ENV=${target} nuxfly deploy${args.data ? '\n\nThe database will be restored from the copied snapshot on first boot.' : ''}`,
+    style: {
+      borderColor: 'green',
+      padding: 1,
+    },
+  });
+});
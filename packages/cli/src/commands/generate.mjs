@@ -1,12 +1,16 @@
 import { join } from 'path';
 import consola from 'consola';
-import { ensureNuxflyDir, writeFile, copyDrizzleMigrations } from '../utils/filesystem.mjs';
+import { ensureNuxflyDir, writeFile } from '../utils/filesystem.mjs';
 import { withErrorHandling } from '../utils/errors.mjs';
+import { validateNodeVersion } from '../utils/validation.mjs';
 import { hasDistDir, getEnvironmentSpecificFlyTomlPath } from '../utils/config.mjs';
 import { buildApplication, installNuxflyDependencies } from '../utils/build.mjs';
+import { getLitestreamOptions } from '../utils/litestream.mjs';
+import { getMigrationOptions, getDatabaseOptions, copyMigrations } from '../utils/migrations.mjs';
+import { getReplicationOptions, getRemoteDatabasePath } from '../utils/database.mjs';
 import { generateDockerfile, generateDockerignore } from '../templates/dockerfile.mjs';
 import { generateFlyToml } from '../templates/fly-toml.mjs';
-import { generateDrizzleConfig, generateLitestreamConfig, generateStartScript, generateDrizzlePackageJson } from '../templates/database.mjs';
+import { generateDrizzleConfig, generateLitestreamConfig, generateLiteFSConfig, generateStartScript, generateBootScript, generateMigrationsPackageJson } from '../templates/database.mjs';
 
 /**
  * Generate command - creates all fly-related files in .nuxfly directory
@@ -36,17 +40,15 @@ export const generate = withErrorHandling(async (args, config) => {
   try {
     // Generate environment-specific fly.toml
     consola.info(`Step ${step++}: Generating fly.toml...`);
-    const flyTomlContent = generateFlyToml(config);
+    const flyTomlContent = renderFlyToml(config);
     const flyTomlPath = getEnvironmentSpecificFlyTomlPath() || join(process.cwd(), 'fly.toml');
     await writeFile(flyTomlPath, flyTomlContent);
     consola.success(`Generated fly.toml at: ${flyTomlPath}`);
     
     // Generate Dockerfile
     consola.info(`Step ${step++}: Generating Dockerfile...`);
-    const dockerfileContent = generateDockerfile({
-      nodeVersion: config.nodeVersion,
-    });
-    await writeFile(join(nuxflyDir, 'Dockerfile'), dockerfileContent);
+    const files = renderNuxflyFiles(config);
+    await writeFile(join(nuxflyDir, 'Dockerfile'), files['Dockerfile']);
     
     // Generate .dockerignore
     consola.info(`Step ${step++}: Generating .dockerignore...`);
@@ -56,33 +58,38 @@ export const generate = withErrorHandling(async (args, config) => {
     // Generate database-related files
     consola.info(`Step ${step++}: Generating database configuration files...`);
     
-    // Generate drizzle.config.ts
-    const drizzleConfigContent = generateDrizzleConfig();
-    await writeFile(join(nuxflyDir, 'drizzle.config.ts'), drizzleConfigContent);
+    // Generate drizzle.config.ts for drizzle projects
+    if (files['drizzle.config.ts']) {
+      await writeFile(join(nuxflyDir, 'drizzle.config.ts'), files['drizzle.config.ts']);
+    }
     
-    // Generate litestream.yml
-    const litestreamConfigContent = generateLitestreamConfig({});
-    await writeFile(join(nuxflyDir, 'litestream.yml'), litestreamConfigContent);
+    // Generate litestream.yml, or litefs.yml for LiteFS replication
+    const replicationFile = files['litefs.yml'] ? 'litefs.yml' : 'litestream.yml';
+    await writeFile(join(nuxflyDir, replicationFile), files[replicationFile]);
     
     // Generate start.sh
-    const startScriptContent = generateStartScript();
-    await writeFile(join(nuxflyDir, 'start.sh'), startScriptContent);
+    await writeFile(join(nuxflyDir, 'start.sh'), files['start.sh']);
     
-    // Generate package.json for drizzle-kit
-    const drizzlePackageJsonContent = await generateDrizzlePackageJson();
-    await writeFile(join(nuxflyDir, 'package.json'), drizzlePackageJsonContent);
+    // Generate boot.mjs
+    await writeFile(join(nuxflyDir, 'boot.mjs'), files['boot.mjs']);
+    
+    // Generate package.json for the migration tool
+    const migrationsPackageJsonContent = await generateMigrationsPackageJson(getMigrationOptions(config), getDatabaseOptions(config));
+    await writeFile(join(nuxflyDir, 'package.json'), migrationsPackageJsonContent);
     
     // Install dependencies to populate package-lock.json
     await installNuxflyDependencies(nuxflyDir);
     
-    // Copy drizzle migrations from parent project
-    await copyDrizzleMigrations(config);
+    // Copy migrations from parent project
+    await copyMigrations(config);
     
     // Generate .nuxfly/.gitignore to ignore migrations and node_modules
     consola.info(`Step ${step++}: Generating .nuxfly/.gitignore...`);
     const nuxflyGitignoreContent = `# Nuxfly generated files
 migrations/
+databases/
 node_modules/
+drizzle.studio.config.ts
 `;
     await writeFile(join(nuxflyDir, '.gitignore'), nuxflyGitignoreContent);
     
@@ -97,6 +104,41 @@ node_modules/
 });
 
 
+/**
+ * Render fly.toml, LiteFS replication also sets the database path of the machines
+ */
+export function renderFlyToml(config) {
+  return generateFlyToml({
+    ...config,
+    databasePath: getReplicationOptions(config).mode === 'litefs' ? getRemoteDatabasePath(config) : undefined,
+  });
+}
+
+/**
+ * Render the .nuxfly files generated from templates, keyed by file name
+ */
+export function renderNuxflyFiles(config) {
+  const litestreamOptions = getLitestreamOptions(config);
+  const migrations = getMigrationOptions(config);
+  const databases = getDatabaseOptions(config);
+  const replication = getReplicationOptions(config);
+
+  return {
+    'Dockerfile': generateDockerfile({
+      nodeVersion: validateNodeVersion(config.nodeVersion),
+      migrations,
+      databases,
+      replication,
+    }),
+    ...(migrations.runner === 'drizzle' && { 'drizzle.config.ts': generateDrizzleConfig() }),
+    ...(replication.mode === 'litefs'
+      ? { 'litefs.yml': generateLiteFSConfig(replication) }
+      : { 'litestream.yml': generateLitestreamConfig({ ...litestreamOptions, databases }) }),
+    'start.sh': generateStartScript({ ...litestreamOptions, databases, replication }, migrations),
+    'boot.mjs': generateBootScript(),
+  };
+}
+
 /**
  * Display list of generated files
  */
@@ -106,10 +148,11 @@ function displayGeneratedFiles() {
     `📄 ${flyTomlPath} (Fly.io configuration)`,
     '🚫 .dockerignore (build exclusions)',
     '🐳 .nuxfly/Dockerfile (container image)',
-    '⚙️ .nuxfly/drizzle.config.ts (database configuration)',
-    '💾 .nuxfly/litestream.yml (database backup configuration)',
+    '⚙️ .nuxfly/drizzle.config.ts (database configuration, drizzle only)',
+    '💾 .nuxfly/litestream.yml (database backup configuration, litefs.yml for LiteFS replication)',
     '🚀 .nuxfly/start.sh (startup script)',
-    '📦 .nuxfly/package.json (drizzle-kit dependencies)',
+    '🥾 .nuxfly/boot.mjs (database restore and migration runner)',
+    '📦 .nuxfly/package.json (migration tool dependencies)',
     '🔒 .nuxfly/package-lock.json (dependency lock file)',
     '🙈 .nuxfly/.gitignore (git ignore for generated files)',
   ];
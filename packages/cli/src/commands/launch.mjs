@@ -1,16 +1,19 @@
 import { join, basename } from 'path';
 import { readFile } from 'fs/promises';
 import consola from 'consola';
-import { flyLaunch, executeFlyctl, ensurePublicBucketUrlSecret } from '../utils/flyctl.mjs';
-import { ensureNuxflyDir, fileExists, writeFile, copyDrizzleMigrations } from '../utils/filesystem.mjs';
+import { flyLaunch, ensurePublicBucketUrlSecret, executeFlyctl } from '../utils/flyctl.mjs';
+import { ensureNuxflyDir, fileExists, writeFile } from '../utils/filesystem.mjs';
 import { validateLaunchCommand } from '../utils/validation.mjs';
 import { withErrorHandling, NuxflyError } from '../utils/errors.mjs';
 import { getExistingBuckets, getOrgName, createLitestreamBucket, createPrivateBucket, createPublicBucket } from '../utils/buckets.mjs';
-import { generateDockerfile, generateDockerignore } from '../templates/dockerfile.mjs';
-import { generateFlyToml } from '../templates/fly-toml.mjs';
-import { generateDrizzleConfig, generateLitestreamConfig, generateStartScript, generateDrizzlePackageJson } from '../templates/database.mjs';
+import { generateDockerignore } from '../templates/dockerfile.mjs';
+import { generateMigrationsPackageJson } from '../templates/database.mjs';
 import { installNuxflyDependencies } from '../utils/build.mjs';
+import { getMigrationOptions, getDatabaseOptions, copyMigrations } from '../utils/migrations.mjs';
+import { getReplicationOptions, getHighAvailabilityArgs } from '../utils/database.mjs';
+import { createSqliteVolume } from '../utils/volumes.mjs';
 import { loadConfig, getEnvironmentSpecificFlyTomlPath } from '../utils/config.mjs';
+import { renderNuxflyFiles, renderFlyToml } from './generate.mjs';
 
 /**
  * Launch command - runs fly launch and saves config to environment-specific fly.toml
@@ -20,6 +23,9 @@ export const launch = withErrorHandling(async (args, config) => {
   
   // Validate command requirements
   await validateLaunchCommand(args);
+  const migrations = getMigrationOptions(config);
+  const replication = getReplicationOptions(config);
+  const files = renderNuxflyFiles(config);
   
   // Ensure .nuxfly directory exists
   const nuxflyDir = await ensureNuxflyDir(config);
@@ -35,10 +41,7 @@ export const launch = withErrorHandling(async (args, config) => {
   
   // Generate Dockerfile
   if (!fileExists(join(nuxflyDir, 'Dockerfile'))) {
-    const dockerfileContent = generateDockerfile({
-      nodeVersion: config.nodeVersion,
-    });
-    await writeFile(join(nuxflyDir, 'Dockerfile'), dockerfileContent);
+    await writeFile(join(nuxflyDir, 'Dockerfile'), files['Dockerfile']);
   }
 
   // Determine app name based on environment if not explicitly provided
@@ -61,7 +64,7 @@ export const launch = withErrorHandling(async (args, config) => {
     noDeploy: args['no-deploy'] !== false, // Default to true (no deploy)
     noObjectStorage: true, // Skip default bucket creation
     config: envFlyToml !== join(process.cwd(), 'fly.toml') ? basename(envFlyToml) : undefined,
-    extraArgs: ['--ha=false'], // Will be populated with any additional args
+    extraArgs: getHighAvailabilityArgs(config), // Will be populated with any additional args
   };
   
   // Add any extra arguments passed after --
@@ -91,8 +94,7 @@ export const launch = withErrorHandling(async (args, config) => {
       consola.debug(`Set region in config: ${args.region}`);
     }
     
-    const newFlyTomlContent = generateFlyToml(newConfig);
-    await writeFile(envFlyToml, newFlyTomlContent);
+    await writeFile(envFlyToml, renderFlyToml(newConfig));
     consola.success(`Generated environment-specific fly.toml: ${envFlyToml}`);
     
     // Generate .dockerignore file
@@ -101,37 +103,41 @@ export const launch = withErrorHandling(async (args, config) => {
     
     // Run fly launch with the pre-generated config
     consola.info('Running fly launch...');
-    consola.debug('Launch command:', `flyctl launch ${launchOptions.name ? `--name ${launchOptions.name}` : ''} ${launchOptions.region ? `--region ${launchOptions.region}` : ''} ${launchOptions.noDeploy ? '--no-deploy' : ''} --no-object-storage ${launchOptions.config ? `--config ${launchOptions.config}` : ''} --yes --ha=false`);
+    consola.debug('Launch command:', `flyctl launch ${launchOptions.name ? `--name ${launchOptions.name}` : ''} ${launchOptions.region ? `--region ${launchOptions.region}` : ''} ${launchOptions.noDeploy ? '--no-deploy' : ''} --no-object-storage ${launchOptions.config ? `--config ${launchOptions.config}` : ''} --yes ${launchOptions.extraArgs.join(' ')}`);
     await flyLaunch(launchOptions, newConfig);
     
     // Generate database-related files
     consola.info('📄 Generating database configuration files...');
     
-    // Generate drizzle.config.ts
-    const drizzleConfigContent = generateDrizzleConfig();
-    await writeFile(join(nuxflyDir, 'drizzle.config.ts'), drizzleConfigContent);
-    consola.success('Generated drizzle.config.ts');
+    // Generate drizzle.config.ts for drizzle projects
+    if (files['drizzle.config.ts']) {
+      await writeFile(join(nuxflyDir, 'drizzle.config.ts'), files['drizzle.config.ts']);
+      consola.success('Generated drizzle.config.ts');
+    }
     
-    // Generate litestream.yml
-    const litestreamConfigContent = generateLitestreamConfig({});
-    await writeFile(join(nuxflyDir, 'litestream.yml'), litestreamConfigContent);
-    consola.success('Generated litestream.yml');
+    // Generate litestream.yml, or litefs.yml for LiteFS replication
+    const replicationFile = files['litefs.yml'] ? 'litefs.yml' : 'litestream.yml';
+    await writeFile(join(nuxflyDir, replicationFile), files[replicationFile]);
+    consola.success(`Generated ${replicationFile}`);
     
     // Generate start.sh
-    const startScriptContent = generateStartScript();
-    await writeFile(join(nuxflyDir, 'start.sh'), startScriptContent);
+    await writeFile(join(nuxflyDir, 'start.sh'), files['start.sh']);
     consola.success('Generated start.sh');
     
-    // Generate package.json for drizzle-kit
-    const drizzlePackageJsonContent = await generateDrizzlePackageJson();
-    await writeFile(join(nuxflyDir, 'package.json'), drizzlePackageJsonContent);
-    consola.success('Generated package.json for drizzle-kit');
+    // Generate boot.mjs
+    await writeFile(join(nuxflyDir, 'boot.mjs'), files['boot.mjs']);
+    consola.success('Generated boot.mjs');
+    
+    // Generate package.json for the migration tool
+    const migrationsPackageJsonContent = await generateMigrationsPackageJson(migrations, getDatabaseOptions(config));
+    await writeFile(join(nuxflyDir, 'package.json'), migrationsPackageJsonContent);
+    consola.success(`Generated package.json for ${migrations.runner} migrations`);
     
     // Install dependencies to populate package-lock.json
     await installNuxflyDependencies(nuxflyDir);
     
-    // Copy drizzle migrations from parent project
-    await copyDrizzleMigrations(newConfig);
+    // Copy migrations from parent project
+    await copyMigrations(newConfig);
 
     // Create SQLite volume after successful launch
     const region = args.region || await extractRegionFromFlyToml(envFlyToml) || 'ord';
@@ -144,6 +150,17 @@ export const launch = withErrorHandling(async (args, config) => {
       });
     }
     
+    // The consul lease elects the LiteFS primary, attaching sets the FLY_CONSUL_URL secret litefs.yml reads
+    if (replication.mode === 'litefs' && replication.lease === 'consul') {
+      try {
+        await executeFlyctl('consul', ['attach'], newConfig);
+      } catch (error) {
+        throw new NuxflyError(`Failed to attach Consul for the LiteFS lease: ${error.message}`, {
+          suggestion: 'You can attach it manually with: flyctl consul attach',
+        });
+      }
+    }
+    
     // Create S3 buckets after successful launch
     try {
       const existingBuckets = await getExistingBuckets(newConfig);
@@ -167,7 +184,7 @@ export const launch = withErrorHandling(async (args, config) => {
         if (!existingBuckets.includes(`${newConfig.app}-litestream`)) {
           await createLitestreamBucket(orgName, newConfig);
         } else {
-          consola.error('Litestream bucket already exists, skipping creation. You will need to set the NUXT_NUXFLY_LITESTREAM_S3_ secrets manually.');
+          consola.error('Litestream bucket already exists, skipping creation. Run \'nuxfly buckets set-key litestream\' to set the LITESTREAM_S3_ secrets.');
         }
       }
       
@@ -176,7 +193,7 @@ export const launch = withErrorHandling(async (args, config) => {
         if (!existingBuckets.includes(`${newConfig.app}-public`)) {
           await createPublicBucket(orgName, newConfig);
         } else {
-          consola.error('Public bucket already exists, skipping creation. You will need to set the NUXT_NUXFLY_PUBLIC_BUCKET_S3_ secrets manually.');
+          consola.error('Public bucket already exists, skipping creation. Run \'nuxfly buckets set-key public\' to set the NUXT_NUXFLY_PUBLIC_BUCKET_S3_ secrets.');
         }
       }
       
@@ -185,7 +202,7 @@ export const launch = withErrorHandling(async (args, config) => {
         if (!existingBuckets.includes(`${newConfig.app}-private`)) {
           await createPrivateBucket(orgName, newConfig);
         } else {
-          consola.error('Private bucket already exists, skipping creation. You will need to set the NUXT_NUXFLY_PRIVATE_BUCKET_S3_ secrets manually.');
+          consola.error('Private bucket already exists, skipping creation. Run \'nuxfly buckets set-key private\' to set the NUXT_NUXFLY_PRIVATE_BUCKET_S3_ secrets.');
         }
       }
 
@@ -243,41 +260,6 @@ async function extractRegionFromFlyToml(flyTomlPath) {
   }
 }
 
-/**
- * Create SQLite volume for the app
- */
-async function createSqliteVolume(region, size, config) {
-  consola.info(`Creating SQLite volume (${size}GB) in region ${region}...`);
-  
-  try {
-    // Check if sqlite_data volume already exists
-    const { executeFlyctlWithOutput } = await import('../utils/flyctl.mjs');
-    const volumeListResult = await executeFlyctlWithOutput('volumes', ['list'], config);
-    
-    // Parse the output to check for existing sqlite_data volume
-    const existingVolumes = volumeListResult.stdout.split('\n');
-    const sqliteVolumeExists = existingVolumes.some(line =>
-      line.includes('sqlite_data') && line.includes(region)
-    );
-    
-    if (sqliteVolumeExists) {
-      consola.info(`SQLite volume 'sqlite_data' already exists in region ${region}`);
-      return;
-    }
-    
-    // Create the volume if it doesn't exist
-    const volumeArgs = ['sqlite_data', '--region', region, '--size', size];
-    await executeFlyctl('volumes', ['create', ...volumeArgs], config);
-    consola.success(`SQLite volume created successfully in ${region}`);
-  } catch (error) {
-    // Fail the entire launch if volume creation fails
-    throw new NuxflyError(`Failed to create SQLite volume: ${error.message}`, {
-      suggestion: `You can create the volume manually later with: flyctl volumes create sqlite_data --region ${region} --size ${size}`,
-      cause: error,
-    });
-  }
-}
-
 /**
  * Display helpful next steps after successful launch
  */
@@ -0,0 +1,192 @@
+import { appendFileSync, rmSync } from 'fs';
+import { execa } from 'execa';
+import consola from 'consola';
+import { withErrorHandling, NuxflyError } from '../utils/errors.mjs';
+import { loadEnvironmentConfig, getEnvironmentSpecificFlyTomlPath } from '../utils/config.mjs';
+import { fileExists, getRelativePath } from '../utils/filesystem.mjs';
+import { validateAppName } from '../utils/validation.mjs';
+import { writeEnvironmentFlyToml, createEnvironmentApp, provisionEnvironment, destroyEnvironment } from '../utils/environments.mjs';
+import { deploy } from './deploy.mjs';
+
+/**
+ * Volume size in GB for preview apps, they only hold test data
+ */
+const PREVIEW_VOLUME_SIZE = '1';
+
+/**
+ * Up command - creates a preview app for the current branch if needed and deploys it
+ */
+export const previewUp = withErrorHandling(async (args) => {
+  const preview = await resolvePreview(args);
+  const baseConfig = preview.baseConfig;
+
+  if (!fileExists(preview.flyTomlPath)) {
+    const storage = baseConfig.nuxt?.nuxfly?.preview?.storage || 'copy';
+    if (!['share', 'copy'].includes(storage)) {
+      throw new NuxflyError(`Invalid preview storage mode: ${storage}`, {
+        suggestion: "Set nuxfly.preview.storage to 'share' or 'copy' in nuxt.config.ts",
+      });
+    }
+
+    consola.info(`🔍 Creating preview ${preview.appName} from ${baseConfig.app}...`);
+
+    await writeEnvironmentFlyToml(baseConfig, preview.flyTomlPath, { app: preview.appName });
+    const previewConfig = await loadEnvironmentConfig(preview.env);
+
+    let orgName;
+    try {
+      orgName = await createEnvironmentApp(baseConfig, previewConfig, { org: args.org });
+    } catch (error) {
+      rmSync(preview.flyTomlPath, { force: true });
+      throw error;
+    }
+
+    await provisionEnvironment(orgName, baseConfig, previewConfig, {
+      size: PREVIEW_VOLUME_SIZE,
+      copySecrets: args.secrets,
+      storage,
+    });
+  } else {
+    consola.info(`🔍 Updating preview ${preview.appName}...`);
+  }
+
+  const previewConfig = await loadEnvironmentConfig(preview.env);
+  if (args.deploy) {
+    await deploy({ build: args.build, strategy: args.strategy }, previewConfig);
+  }
+
+  writePreviewOutput(args, {
+    app: preview.appName,
+    environment: preview.env,
+    url: `https://${preview.appName}.fly.dev`,
+    deployed: !!args.deploy,
+  });
+});
+
+/**
+ * Down command - destroys the preview app of the current branch with its volume and buckets
+ */
+export const previewDown = withErrorHandling(async (args) => {
+  const preview = await resolvePreview(args);
+
+  if (!fileExists(preview.flyTomlPath)) {
+    throw new NuxflyError(`No preview found for ${preview.slug}`, {
+      suggestion: `Expected ${getRelativePath(preview.flyTomlPath)}, pass the branch with --name if it differs from the current one`,
+    });
+  }
+
+  const previewConfig = await loadEnvironmentConfig(preview.env);
+  if (previewConfig.app === preview.baseConfig.app) {
+    throw new NuxflyError(`${getRelativePath(preview.flyTomlPath)} points to the base app ${previewConfig.app}, refusing to destroy it`);
+  }
+
+  if (!args.yes) {
+    const confirmed = await consola.prompt(`Permanently destroy ${previewConfig.app} with its volume and buckets?`, {
+      type: 'confirm',
+      initial: false,
+    });
+    if (confirmed !== true) {
+      consola.info('Aborted');
+      return;
+    }
+  }
+
+  await destroyEnvironment(previewConfig);
+
+  writePreviewOutput(args, {
+    app: previewConfig.app,
+    environment: preview.env,
+    destroyed: true,
+  });
+});
+
+/**
+ * Resolve the preview environment, app name and fly.toml for a branch
+ */
+async function resolvePreview(args) {
+  const branch = args.name || await getCurrentBranch();
+  const baseConfig = await loadEnvironmentConfig('prod');
+
+  // Keep the app name within the 30 characters Fly allows
+  const prefix = `${baseConfig.app}-pr-`;
+  const slug = slugify(branch).slice(0, 30 - prefix.length).replace(/-+$/, '');
+  if (!slug) {
+    throw new NuxflyError(`Cannot derive a preview name from "${branch}" for ${baseConfig.app}`, {
+      suggestion: 'Pass a shorter alphanumeric name with --name',
+    });
+  }
+
+  const appName = validateAppName(`${prefix}${slug}`);
+  const env = `preview-${slug}`;
+
+  return {
+    slug,
+    env,
+    appName,
+    baseConfig,
+    flyTomlPath: getEnvironmentSpecificFlyTomlPath(env),
+  };
+}
+
+/**
+ * Get the branch being previewed, preferring the pull request branch in GitHub Actions
+ */
+async function getCurrentBranch() {
+  if (process.env.GITHUB_HEAD_REF) {
+    return process.env.GITHUB_HEAD_REF;
+  }
+
+  let branch;
+  try {
+    const result = await execa('git', ['rev-parse', '--abbrev-ref', 'HEAD']);
+    branch = result.stdout.trim();
+  } catch (error) {
+    throw new NuxflyError('Could not determine the current git branch', {
+      suggestion: 'Pass the preview name with --name',
+      cause: error,
+    });
+  }
+
+  if (!branch || branch === 'HEAD') {
+    throw new NuxflyError('Not on a git branch', {
+      suggestion: 'Pass the preview name with --name',
+    });
+  }
+  return branch;
+}
+
+/**
+ * Turn a branch name into a lowercase slug usable in an app name
+ */
+function slugify(value) {
+  return value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Print the preview details for humans, as JSON with --json, and as step outputs in GitHub Actions
+ */
+function writePreviewOutput(args, output) {
+  if (process.env.GITHUB_OUTPUT) {
+    const lines = Object.entries(output).map(([key, value]) => `${key}=${value}`);
+    appendFileSync(process.env.GITHUB_OUTPUT, `${lines.join('\n')}\n`);
+  }
+
+  if (args.json) {
+    // Print plain JSON to stdout so CI can pick up the URL
+    process.stdout.write(`${JSON.stringify(output)}\n`);
+    return;
+  }
+
+  if (output.destroyed) {
+    consola.success(`✅ Preview ${output.app} destroyed`);
+    return;
+  }
+
+  consola.success(`✅ Preview ${output.deployed ? 'deployed' : 'ready'}: ${output.url}`);
+  if (!output.deployed) {
+    consola.info(`Deploy it with: NUXFLY_ENV=${output.environment} nuxfly deploy`);
+  }
+}
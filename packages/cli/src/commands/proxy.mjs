@@ -42,17 +42,37 @@ export const proxy = withErrorHandling(async (args, config, originalCommand) =>
   });
 });
 
+/**
+ * Commands shared with flyctl, only these subcommands are handled by nuxfly
+ */
+const partialCommands = {
+  storage: ['ls', 'cp', 'rm', 'sync', 'mirror'],
+  scale: ['regions'],
+};
+
 /**
  * Check if a command should be proxied to flyctl
  */
-export function shouldProxy(command) {
+export function shouldProxy(command, subCommand) {
+  if (partialCommands[command]) {
+    return !partialCommands[command].includes(subCommand);
+  }
+  
   // List of commands that nuxfly handles directly
   const nuxflyCommands = [
     'launch',
     'import',
     'generate',
     'deploy',
+    'rollback',
+    'destroy',
+    'doctor',
+    'status',
     'studio',
+    'db',
+    'buckets',
+    'env',
+    'preview',
     'help',
     '--help',
     '-h',
@@ -63,6 +83,68 @@ export function shouldProxy(command) {
   return !nuxflyCommands.includes(command);
 }
 
+/**
+ * Collect the flags that take a value from citty arg definitions, with their aliases
+ */
+export function getValueFlags(...argDefinitions) {
+  const flags = new Set();
+  for (const definition of argDefinitions) {
+    for (const [name, arg] of Object.entries(definition || {})) {
+      if (arg.type !== 'string') continue;
+      for (const flag of [name, ...[arg.alias || []].flat()]) {
+        flags.add(flag.length === 1 ? `-${flag}` : `--${flag}`);
+      }
+    }
+  }
+  return flags;
+}
+
+/**
+ * Find the index of the first argument that is neither a flag nor the value of one, -1 when there is none
+ */
+export function findSubCommandIndex(args, valueFlags) {
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--') {
+      return -1;
+    }
+    if (!args[i].startsWith('-')) {
+      return i;
+    }
+    // `--app=foo` carries its value, `--app foo` is followed by it
+    if (valueFlags.has(args[i])) {
+      i++;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Move the subcommands of a command in front of the flags given before them
+ *
+ * citty takes the first argument that is not a flag as the subcommand, which would be `foo` in
+ * `nuxfly storage --app foo ls`. The flags keep their values and still apply after the move.
+ */
+export function orderSubCommandArgs(args, command, globalArgs) {
+  const subCommands = [];
+  const flags = [];
+  const rest = [...args];
+
+  let current = command;
+  while (current?.subCommands) {
+    const children = Object.values(current.subCommands).map(child => child.args);
+    const index = findSubCommandIndex(rest, getValueFlags(globalArgs, current.args, ...children));
+    if (index === -1 || !current.subCommands[rest[index]]) {
+      break;
+    }
+
+    flags.push(...rest.splice(0, index));
+    subCommands.push(rest.shift());
+    current = current.subCommands[subCommands.at(-1)];
+  }
+
+  return [...subCommands, ...flags, ...rest];
+}
+
 /**
  * Get flyctl command suggestions for unknown commands
  */
@@ -0,0 +1,126 @@
+import consola from 'consola';
+import { withErrorHandling, NuxflyError } from '../utils/errors.mjs';
+import { getAppName } from '../utils/config.mjs';
+import { validateDeploymentConfig } from '../utils/validation.mjs';
+import { executeFlyctlWithOutput, flyDeploy, getAppInfo, parseFlyctlJSON } from '../utils/flyctl.mjs';
+import { RESTORE_POINT_ENV, parseRestorePoint, getHighAvailabilityArgs } from '../utils/database.mjs';
+import { prepareLiveRestore, restoreLiveDatabase, describeRestoreTarget } from './db.mjs';
+
+/**
+ * Rollback command - redeploys the previous image and restores the database to the restore point of the current release
+ */
+export const rollback = withErrorHandling(async (args, config) => {
+  const appName = getAppName(config);
+  if (!appName) {
+    throw new NuxflyError('App name is required to roll back', {
+      suggestion: 'Set app name in your nuxfly config or use --app flag',
+    });
+  }
+
+  await validateDeploymentConfig(config);
+
+  const [appInfo, releases] = await Promise.all([
+    getAppInfo(config.app, config),
+    getReleases(config),
+  ]);
+
+  const currentImage = getReleaseImage(releases[0]);
+  const previous = releases.slice(1).find(release => {
+    const image = getReleaseImage(release);
+    return image && image !== currentImage && !/fail/i.test(release.Status || release.status || '');
+  });
+  if (!previous) {
+    throw new NuxflyError(`No earlier release of ${appName} with a different image to roll back to`, {
+      suggestion: "Check the releases with 'fly releases --image'",
+    });
+  }
+
+  // `nuxfly deploy` records the restore point in the environment of the release it creates
+  const machines = appInfo?.Machines || appInfo?.machines || [];
+  const restorePoint = parseRestorePoint(machines.map(machine => machine.config?.env?.[RESTORE_POINT_ENV]).find(Boolean));
+  const restoreDatabase = args.database && !!config.nuxt?.nuxfly?.litestream;
+  if (restoreDatabase && !restorePoint) {
+    throw new NuxflyError(`The current release of ${appName} has no database restore point, run 'nuxfly rollback --no-database' to only redeploy the previous image and 'nuxfly db restore' for the database`);
+  }
+
+  displayRollbackSummary(appName, { previous, restorePoint: restoreDatabase ? restorePoint : null });
+
+  if (!args.yes) {
+    const confirmed = await consola.prompt(`Roll back ${appName}${restoreDatabase ? ' and its database' : ''}?`, {
+      type: 'confirm',
+      initial: false,
+    });
+    if (confirmed !== true) {
+      consola.info('Aborted');
+      return;
+    }
+  }
+
+  // Redeploy first, a restore under the failed release would run its migrations again on the next boot
+  consola.info(`⏪ Deploying the image of release v${previous.Version ?? previous.version}...`);
+  await flyDeploy({
+    cwd: process.cwd(),
+    extraArgs: ['--image', getReleaseImage(previous), ...getHighAvailabilityArgs(config)],
+  }, config);
+  consola.success(`✅ Redeployed ${getReleaseImage(previous)}`);
+
+  if (!restoreDatabase) {
+    return;
+  }
+
+  // Prepared only now, the machine may have been crash looping under the failed release
+  let plan;
+  try {
+    plan = await prepareLiveRestore(config, restorePoint);
+    await restoreLiveDatabase(config, plan);
+  } catch (error) {
+    // The redeployed release has no restore point, so name it for a manual restore
+    throw new NuxflyError(`The previous image is deployed but the database was not restored: ${error.message}. Restore it with 'nuxfly db restore --at ${restorePoint.timestamp}'`, {
+      cause: error,
+    });
+  }
+
+  consola.success(`✅ Database restored to ${describeRestoreTarget(restorePoint)}`);
+  consola.info(`The previous database was kept at ${plan.safetyPath} on the volume, remove it once you no longer need it`);
+});
+
+/**
+ * Get the app's releases with their images, newest first
+ */
+async function getReleases(config) {
+  const result = await executeFlyctlWithOutput('releases', ['--json', '--image'], config);
+  return parseFlyctlJSON(result.stdout) || [];
+}
+
+/**
+ * Get the image a release deployed
+ */
+function getReleaseImage(release) {
+  return release?.ImageRef || release?.imageRef || null;
+}
+
+/**
+ * Show what the rollback redeploys and restores
+ */
+function displayRollbackSummary(appName, { previous, restorePoint }) {
+  const lines = [
+    `🐳 Redeploy ${getReleaseImage(previous)}, the image of release v${previous.Version ?? previous.version}`,
+  ];
+
+  if (restorePoint) {
+    lines.push(`⏪ Restore the database to ${describeRestoreTarget(restorePoint)}, right before the current release was deployed`);
+    lines.push(`❌ Every change after ${restorePoint.timestamp} is lost, the current database is kept on the volume`);
+    lines.push('', '🚧 The app is down while the database is restored');
+  } else {
+    lines.push('', 'The database is left as it is');
+  }
+
+  consola.box({
+    title: `⚠️  Roll back ${appName}`,
+    message: lines.join('\n'),
+    style: {
+      borderColor: 'red',
+      padding: 1,
+    },
+  });
+}
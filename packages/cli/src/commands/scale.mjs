@@ -0,0 +1,72 @@
+import consola from 'consola';
+import { withErrorHandling, NuxflyError } from '../utils/errors.mjs';
+import { getAppName, getRegion } from '../utils/config.mjs';
+import { validateDeploymentConfig } from '../utils/validation.mjs';
+import { writeFile, getRelativePath } from '../utils/filesystem.mjs';
+import { executeFlyctl, executeFlyctlWithOutput, parseFlyctlJSON, READ_REPLICA_PROCESS_GROUP } from '../utils/flyctl.mjs';
+import { createSqliteVolume } from '../utils/volumes.mjs';
+import { getReplicationOptions } from '../utils/database.mjs';
+import { renderFlyToml } from './generate.mjs';
+
+/**
+ * Scale regions add command - adds a read-only replica machine in another region
+ *
+ * The replica runs `start.sh replica` in its own process group, which restores the database from Litestream
+ * and refreshes it on an interval. Writes are replayed on the primary region by the core module.
+ */
+export const scaleRegionsAdd = withErrorHandling(async (args, config) => {
+  const region = args.region;
+  if (!args['read-replica']) {
+    throw new NuxflyError(`A machine in ${region} would have its own empty database, run 'nuxfly scale regions add ${region} --read-replica' to add a read-only replica`, {
+      suggestion: "Use nuxfly.database.replication: 'litefs' for replicas that stay in sync with the primary",
+    });
+  }
+
+  const appName = getAppName(config);
+  if (!appName) {
+    throw new NuxflyError('App name is required to add a region', {
+      suggestion: 'Set app name in your nuxfly config or use --app flag',
+    });
+  }
+
+  await validateDeploymentConfig(config);
+
+  if (getReplicationOptions(config).mode === 'litefs') {
+    throw new NuxflyError(`LiteFS replicates the database itself, add machines in ${region} with 'fly scale count 1 --region ${region}' and a sqlite_data volume there`);
+  }
+  if (!config.nuxt?.nuxfly?.litestream) {
+    throw new NuxflyError('Read replicas restore the database from Litestream, enable nuxfly.litestream in nuxt.config.ts and deploy first');
+  }
+  if (region === getRegion(config)) {
+    throw new NuxflyError(`${region} is the primary region of ${appName}, read replicas go in other regions`);
+  }
+
+  // Deploys remove machines of process groups missing from fly.toml
+  if (!config.processes?.[READ_REPLICA_PROCESS_GROUP]) {
+    config.processes = { app: '/start.sh', ...config.processes, [READ_REPLICA_PROCESS_GROUP]: '/start.sh replica' };
+    await writeFile(config._runtime.flyTomlPath, renderFlyToml(config));
+    consola.success(`Added the ${READ_REPLICA_PROCESS_GROUP} process group to ${getRelativePath(config._runtime.flyTomlPath)}`);
+  }
+
+  // fly scale count only creates machines of process groups the current release knows
+  if (!await isProcessGroupDeployed(config)) {
+    throw new NuxflyError(`The ${READ_REPLICA_PROCESS_GROUP} process group is not deployed yet, run 'nuxfly deploy' and then 'nuxfly scale regions add ${region} --read-replica' again`);
+  }
+
+  // fly scale count attaches the unattached volume instead of creating an empty one
+  await createSqliteVolume(region, args.size || '1', config);
+
+  consola.info(`🌍 Adding a read replica of ${appName} in ${region}...`);
+  await executeFlyctl('scale', ['count', `${READ_REPLICA_PROCESS_GROUP}=1`, '--region', region, '--yes'], config);
+
+  consola.success(`✅ Read replica added in ${region}`);
+  consola.info('It refreshes the database from Litestream every 60s, set NUXFLY_REPLICA_INTERVAL in fly.toml to change that');
+});
+
+/**
+ * Check whether the app's current release has the read replica process group
+ */
+async function isProcessGroupDeployed(config) {
+  const result = await executeFlyctlWithOutput('config', ['show'], config);
+  return !!parseFlyctlJSON(result.stdout)?.processes?.[READ_REPLICA_PROCESS_GROUP];
+}
@@ -0,0 +1,274 @@
+import { join } from 'path';
+import consola from 'consola';
+import { withErrorHandling, NuxflyError } from '../utils/errors.mjs';
+import { getAppName } from '../utils/config.mjs';
+import { fileExists } from '../utils/filesystem.mjs';
+import { executeFlyctlWithOutput, executeRemoteScript, getAppInfo, getAppSecrets, parseFlyctlJSON, parseScriptSections } from '../utils/flyctl.mjs';
+import { BUCKET_TYPES, getBucketName, isBucketEnabled, getExistingBuckets } from '../utils/buckets.mjs';
+import { listVolumes } from '../utils/volumes.mjs';
+import { parseSqliteJson } from '../utils/database.mjs';
+import { parseLitestreamTable } from '../utils/litestream.mjs';
+import { getNuxflyMigrationsPath, readMigrationJournal } from '../utils/migrations.mjs';
+import { formatSize } from '../utils/storage.mjs';
+import { generateStatusScript } from '../templates/database.mjs';
+
+/**
+ * Status command - shows machines, volume, buckets, backups and migrations of the app
+ */
+export const status = withErrorHandling(async (args, config) => {
+  const appName = getAppName(config);
+  if (!appName) {
+    throw new NuxflyError('App name is required for status', {
+      suggestion: 'Set app name in your nuxfly config or use --app flag',
+    });
+  }
+
+  if (!args.watch) {
+    const report = await collectStatus(config);
+    printStatus(report, args);
+    return;
+  }
+
+  const interval = parseInt(args.interval, 10);
+  if (isNaN(interval) || interval < 1) {
+    throw new NuxflyError(`Invalid interval: ${args.interval}`, {
+      suggestion: 'Use a number of seconds, e.g. --interval 10',
+    });
+  }
+
+  // Runs until interrupted with Ctrl+C
+  while (true) {
+    const report = await collectStatus(config);
+    if (!args.json) {
+      console.clear();
+    }
+    printStatus(report, args);
+    if (!args.json) {
+      consola.log(`Refreshing every ${interval}s, press Ctrl+C to stop`);
+    }
+    await new Promise(resolve => setTimeout(resolve, interval * 1000));
+  }
+});
+
+/**
+ * Gather the status of the app and every resource nuxfly manages for it
+ */
+async function collectStatus(config) {
+  const [appInfo, releases, volumes, existingBuckets, secrets] = await Promise.all([
+    getAppInfo(config.app, config),
+    getReleases(config),
+    listVolumes(config).catch(() => []),
+    getExistingBuckets(config),
+    getAppSecrets(config),
+  ]);
+
+  if (!appInfo) {
+    throw new NuxflyError(`Could not get the status of ${config.app}`, {
+      suggestion: 'Check that the app exists and you are logged in with flyctl',
+    });
+  }
+
+  const machines = (appInfo.Machines || appInfo.machines || []).map(machine => ({
+    id: machine.id,
+    name: machine.name,
+    region: machine.region,
+    state: machine.state,
+    image: machine.image_ref?.tag || null,
+    updatedAt: machine.updated_at || null,
+  }));
+
+  const release = releases[0];
+  const secretNames = secrets.map(secret => secret.Name || secret.name);
+  const buckets = Object.keys(BUCKET_TYPES).map((type) => {
+    const bucketSecrets = Object.values(BUCKET_TYPES[type].secrets);
+    const bucketName = getBucketName(type, config);
+    return {
+      type,
+      name: bucketName,
+      enabled: isBucketEnabled(type, config),
+      exists: existingBuckets.includes(bucketName),
+      linked: secretNames.includes(BUCKET_TYPES[type].secrets.bucketName),
+      missingSecrets: bucketSecrets.filter(key => !secretNames.includes(key)),
+    };
+  });
+
+  const report = {
+    app: config.app,
+    status: appInfo.Status || appInfo.status || null,
+    hostname: appInfo.Hostname || appInfo.hostname || null,
+    release: release ? {
+      version: release.Version ?? release.version,
+      status: release.Status || release.status || null,
+      createdAt: release.CreatedAt || release.createdAt || null,
+    } : null,
+    machines,
+    volumes: volumes.filter(volume => volume.name === 'sqlite_data'),
+    buckets,
+    database: null,
+    backup: null,
+    migration: null,
+    checkedAt: new Date().toISOString(),
+  };
+
+  // Usage, backups and migrations can only be read from inside a running machine
+  if (machines.some(machine => machine.state === 'started')) {
+    try {
+      Object.assign(report, await collectRemoteStatus(config));
+    } catch (error) {
+      consola.debug(`Failed to read status from a machine: ${error.message}`);
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Get the app's releases, newest first
+ */
+async function getReleases(config) {
+  try {
+    const result = await executeFlyctlWithOutput('releases', ['--json'], config);
+    return parseFlyctlJSON(result.stdout) || [];
+  } catch (error) {
+    consola.debug('Failed to get releases:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Run the status script on a machine and parse its sections
+ */
+async function collectRemoteStatus(config) {
+  const result = await executeRemoteScript(generateStatusScript(), config);
+  const sections = parseScriptSections(result.stdout);
+
+  // df -Pk prints: filesystem, 1024-blocks, used, available, capacity, mount point
+  const disk = (sections.disk || '').trim().split(/\s+/);
+  const databaseSize = parseInt(sections.database, 10);
+
+  const generations = parseLitestreamTable(sections.generations);
+  const snapshots = parseLitestreamTable(sections.snapshots);
+  const latestGeneration = generations.sort((a, b) => (b.end || '').localeCompare(a.end || ''))[0];
+  const latestSnapshot = snapshots.sort((a, b) => (b.created || '').localeCompare(a.created || ''))[0];
+
+  const [flyRun] = parseSqliteJson(sections.fly);
+  const [lastMigration] = parseSqliteJson(sections.migration);
+
+  return {
+    database: {
+      size: isNaN(databaseSize) ? null : databaseSize,
+      volumeUsed: disk.length >= 6 ? parseInt(disk[2], 10) * 1024 : null,
+      volumeTotal: disk.length >= 6 ? parseInt(disk[1], 10) * 1024 : null,
+    },
+    backup: latestGeneration ? {
+      generation: latestGeneration.generation,
+      lag: latestGeneration.lag,
+      replicatedAt: latestGeneration.end,
+      snapshotAt: latestSnapshot?.created || null,
+    } : null,
+    migration: {
+      tag: lastMigration ? await findMigrationTag(config, lastMigration.created_at) : null,
+      appliedAt: lastMigration ? new Date(Number(lastMigration.created_at)).toISOString() : null,
+      machineVersion: flyRun?.machine_version || null,
+      ranAt: flyRun?.updated_at || null,
+      runStatus: flyRun?.status || null,
+      runError: flyRun?.error || null,
+    },
+  };
+}
+
+/**
+ * Look up the tag of an applied migration in the local journal, drizzle stores the journal `when` as created_at
+ */
+async function findMigrationTag(config, createdAt) {
+  const migrationsPath = getNuxflyMigrationsPath(config);
+  if (!fileExists(join(migrationsPath, 'meta', '_journal.json'))) {
+    return null;
+  }
+
+  const entries = await readMigrationJournal(migrationsPath);
+  return entries.find(entry => entry.when === Number(createdAt))?.tag || null;
+}
+
+/**
+ * Print the status report, as JSON or grouped sections
+ */
+function printStatus(report, args) {
+  if (args.json) {
+    // One line per report so --watch output can be consumed line by line
+    process.stdout.write(`${JSON.stringify(report, null, args.watch ? 0 : 2)}\n`);
+    return;
+  }
+
+  const releaseText = report.release ? `v${report.release.version} (${report.release.status || 'unknown'}, ${formatTime(report.release.createdAt)})` : 'no releases';
+  consola.log('');
+  consola.log(`🚀 ${report.app} - ${report.status || 'unknown'}, release ${releaseText}`);
+  if (report.hostname) {
+    consola.log(`   https://${report.hostname}`);
+  }
+
+  consola.log('');
+  consola.log(`🖥️  Machines (${report.machines.length})`);
+  for (const machine of report.machines) {
+    consola.log(`   ${machine.state === 'started' ? '🟢' : '⚪'} ${machine.id} ${machine.region} ${machine.state}${machine.image ? ` ${machine.image}` : ''}`);
+  }
+
+  consola.log('');
+  consola.log('💾 Volume');
+  if (report.volumes.length === 0) {
+    consola.log('   ❌ No sqlite_data volume');
+  }
+  for (const volume of report.volumes) {
+    consola.log(`   ${volume.id} ${volume.region} ${volume.sizeGb}GB${volume.attachedMachineId ? `, attached to ${volume.attachedMachineId}` : ', not attached'}`);
+  }
+  if (report.database?.volumeTotal) {
+    const percent = Math.round(report.database.volumeUsed / report.database.volumeTotal * 100);
+    consola.log(`   ${formatSize(report.database.volumeUsed)} of ${formatSize(report.database.volumeTotal)} used (${percent}%), database ${report.database.size !== null ? formatSize(report.database.size) : 'missing'}`);
+  }
+
+  consola.log('');
+  consola.log('🪣 Buckets');
+  for (const bucket of report.buckets) {
+    if (!bucket.enabled && !bucket.exists) {
+      continue;
+    }
+    const wired = bucket.missingSecrets.length === 0;
+    const location = bucket.exists ? bucket.name : (bucket.linked ? 'linked bucket' : `${bucket.name} missing`);
+    consola.log(`   ${bucket.exists || bucket.linked ? '✅' : '❌'} ${bucket.type}: ${location}, ${wired ? 'secrets set' : `missing ${bucket.missingSecrets.length} secret(s)`}${bucket.enabled ? '' : ', not enabled'}`);
+  }
+
+  consola.log('');
+  consola.log('🔄 Backups');
+  if (report.backup) {
+    consola.log(`   Generation ${report.backup.generation}, lag ${report.backup.lag}, replicated ${formatTime(report.backup.replicatedAt)}`);
+    consola.log(`   Last snapshot ${formatTime(report.backup.snapshotAt)}`);
+  } else {
+    consola.log('   No Litestream generations found (or no running machine)');
+  }
+
+  consola.log('');
+  consola.log('🗄️  Migrations');
+  if (report.migration?.appliedAt) {
+    consola.log(`   Latest applied: ${report.migration.tag || 'unknown tag'} (${formatTime(report.migration.appliedAt)})`);
+  } else {
+    consola.log('   No migrations applied (or no running machine)');
+  }
+  if (report.migration?.machineVersion) {
+    consola.log(`   Last run for machine version ${report.migration.machineVersion} at ${report.migration.ranAt}${report.migration.runStatus ? `, ${report.migration.runStatus}` : ''}`);
+  }
+  if (report.migration?.runError) {
+    consola.log(`   ❌ ${report.migration.runError}`);
+  }
+  consola.log('');
+}
+
+/**
+ * Format a timestamp for display
+ */
+function formatTime(value) {
+  if (!value) {
+    return 'never';
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? value : date.toISOString().replace('T', ' ').slice(0, 19);
+}
@@ -0,0 +1,327 @@
+import { createHash } from 'crypto';
+import { createReadStream, existsSync, readdirSync, statSync } from 'fs';
+import { basename, join, relative, resolve, sep } from 'path';
+import consola from 'consola';
+import { withErrorHandling, NuxflyError } from '../utils/errors.mjs';
+import { getRelativePath } from '../utils/filesystem.mjs';
+import { STORAGE_BUCKETS, createStorageClient, listObjects, parseStorageTarget, resolveStorageCredentials, mirrorBucket, formatSize } from '../utils/storage.mjs';
+
+// User metadata with the MD5 of uploaded files, multipart ETags are not one
+const LOCAL_MD5_METADATA = 'nuxfly-md5';
+
+/**
+ * ls command - lists objects in a storage bucket
+ */
+export const storageLs = withErrorHandling(async (args, config) => {
+  const target = requireStorageTarget(args.target || 'public:');
+  const { client, bucketName } = await connect(target, config, args);
+
+  const objects = await listObjects(client, bucketName, target.path, !!args.recursive);
+
+  if (objects.length === 0) {
+    consola.info(`No objects found in ${target.type}:${target.path}`);
+    return;
+  }
+
+  let totalSize = 0;
+  for (const object of objects) {
+    if (object.prefix) {
+      consola.log(`${'PRE'.padStart(32)}  ${object.prefix}`);
+      continue;
+    }
+    totalSize += object.size;
+    const modified = object.lastModified ? object.lastModified.toISOString().replace('T', ' ').slice(0, 19) : '';
+    consola.log(`${modified.padEnd(19)} ${formatSize(object.size).padStart(12)}  ${object.name}`);
+  }
+
+  const fileCount = objects.filter(object => !object.prefix).length;
+  consola.info(`${fileCount} object(s), ${formatSize(totalSize)} in ${bucketName}`);
+});
+
+/**
+ * cp command - copies a single file between the local filesystem and a storage bucket
+ */
+export const storageCp = withErrorHandling(async (args, config) => {
+  const source = parseStorageTarget(args.source);
+  const destination = parseStorageTarget(args.destination);
+
+  if (source && destination) {
+    throw new NuxflyError('Copying between buckets is not supported', {
+      suggestion: 'Copy the object to a local file first',
+    });
+  }
+
+  if (!source && !destination) {
+    throw new NuxflyError('One side of the copy must be a bucket path', {
+      suggestion: 'Usage: nuxfly storage cp ./logo.png public:images/',
+    });
+  }
+
+  if (destination) {
+    // Upload
+    const localPath = resolve(args.source);
+    if (!existsSync(localPath)) {
+      throw new NuxflyError(`File not found: ${args.source}`);
+    }
+    if (statSync(localPath).isDirectory()) {
+      throw new NuxflyError(`${args.source} is a directory`, {
+        suggestion: `Use 'nuxfly storage sync ${args.source} ${args.destination}' to upload a directory`,
+      });
+    }
+
+    const key = !destination.path || destination.path.endsWith('/')
+      ? `${destination.path}${basename(localPath)}`
+      : destination.path;
+
+    const { client, bucketName } = await connect(destination, config, args);
+    await client.fPutObject(bucketName, key, localPath, { [LOCAL_MD5_METADATA]: await hashFile(localPath) });
+    consola.success(`✅ Uploaded ${getRelativePath(localPath)} to ${destination.type}:${key}`);
+    return;
+  }
+
+  // Download
+  if (!source.path || source.path.endsWith('/')) {
+    throw new NuxflyError(`${args.source} is not an object key`, {
+      suggestion: 'Pass the full key of the object to download',
+    });
+  }
+
+  let localPath = resolve(args.destination);
+  if (args.destination.endsWith('/') || (existsSync(localPath) && statSync(localPath).isDirectory())) {
+    localPath = join(localPath, basename(source.path));
+  }
+
+  const { client, bucketName } = await connect(source, config, args);
+  try {
+    await client.fGetObject(bucketName, source.path, localPath);
+  } catch (error) {
+    throw objectError(error, source);
+  }
+  consola.success(`✅ Downloaded ${source.type}:${source.path} to ${getRelativePath(localPath)}`);
+});
+
+/**
+ * rm command - removes an object, or every object under a prefix with --recursive
+ */
+export const storageRm = withErrorHandling(async (args, config) => {
+  const target = requireStorageTarget(args.target);
+  const { client, bucketName } = await connect(target, config, args);
+
+  if (!args.recursive) {
+    if (!target.path) {
+      throw new NuxflyError('No object key specified', {
+        suggestion: 'Use --recursive to remove everything under a prefix',
+      });
+    }
+
+    try {
+      // S3 deletes are silent for missing keys, check first so typos are reported
+      await client.statObject(bucketName, target.path);
+    } catch (error) {
+      throw objectError(error, target);
+    }
+
+    await client.removeObject(bucketName, target.path);
+    consola.success(`✅ Removed ${target.type}:${target.path}`);
+    return;
+  }
+
+  const objects = await listObjects(client, bucketName, target.path, true);
+  if (objects.length === 0) {
+    consola.info(`No objects found in ${target.type}:${target.path}`);
+    return;
+  }
+
+  if (!args.yes) {
+    const confirmed = await consola.prompt(`Remove ${objects.length} object(s) from ${target.type}:${target.path}?`, {
+      type: 'confirm',
+      initial: false,
+    });
+    if (confirmed !== true) {
+      consola.info('Aborted');
+      return;
+    }
+  }
+
+  await client.removeObjects(bucketName, objects.map(object => object.name));
+  consola.success(`✅ Removed ${objects.length} object(s) from ${target.type}:${target.path}`);
+});
+
+/**
+ * sync command - uploads new and changed files from a local directory to a bucket prefix
+ */
+export const storageSync = withErrorHandling(async (args, config) => {
+  const sourceDir = resolve(args.source);
+  if (!existsSync(sourceDir) || !statSync(sourceDir).isDirectory()) {
+    throw new NuxflyError(`Directory not found: ${args.source}`, {
+      suggestion: 'Usage: nuxfly storage sync ./public/uploads public:uploads/',
+    });
+  }
+
+  const target = requireStorageTarget(args.destination);
+  const prefix = target.path && !target.path.endsWith('/') ? `${target.path}/` : target.path;
+  const dryRun = !!args['dry-run'];
+
+  const { client, bucketName } = await connect(target, config, args);
+
+  const remoteObjects = new Map();
+  for (const object of await listObjects(client, bucketName, prefix, true)) {
+    remoteObjects.set(object.name, object);
+  }
+
+  const localFiles = readdirSync(sourceDir, { recursive: true })
+    .map(file => join(sourceDir, file))
+    .filter(file => statSync(file).isFile());
+
+  let uploaded = 0;
+  let unchanged = 0;
+
+  for (const file of localFiles) {
+    const key = `${prefix}${relative(sourceDir, file).split(sep).join('/')}`;
+    const remote = remoteObjects.get(key);
+    remoteObjects.delete(key);
+
+    const md5 = await hashFile(file);
+    if (remote && await isUnchanged(client, bucketName, file, md5, remote)) {
+      unchanged++;
+      continue;
+    }
+
+    consola.log(`${dryRun ? '(dry run) ' : ''}${remote ? 'update' : 'upload'}: ${key}`);
+    if (!dryRun) {
+      await client.fPutObject(bucketName, key, file, { [LOCAL_MD5_METADATA]: md5 });
+    }
+    uploaded++;
+  }
+
+  let removed = 0;
+  if (args.delete && remoteObjects.size > 0) {
+    for (const key of remoteObjects.keys()) {
+      consola.log(`${dryRun ? '(dry run) ' : ''}delete: ${key}`);
+    }
+    if (!dryRun) {
+      await client.removeObjects(bucketName, [...remoteObjects.keys()]);
+    }
+    removed = remoteObjects.size;
+  }
+
+  const summary = `${uploaded} uploaded, ${unchanged} unchanged${args.delete ? `, ${removed} deleted` : ''}`;
+  if (dryRun) {
+    consola.info(`Dry run: ${summary}`);
+  } else {
+    consola.success(`✅ Synced ${getRelativePath(sourceDir)} to ${target.type}:${prefix} (${summary})`);
+  }
+});
+
+/**
+ * mirror command - copies new and changed objects from one environment's buckets to another's
+ *
+ * Buckets on the same endpoint are copied server side. When the destination's keys cannot read the
+ * source bucket, objects are streamed through the CLI instead, without touching the local disk.
+ */
+export const storageMirror = withErrorHandling(async (args, fromConfig, toConfig) => {
+  if (fromConfig.app === toConfig.app) {
+    throw new NuxflyError(`--from and --to both point to ${fromConfig.app}`, {
+      suggestion: 'Mirror between two different environments, e.g. --from prod --to staging',
+    });
+  }
+
+  if (args.type && !STORAGE_BUCKETS[args.type]) {
+    throw new NuxflyError(`Unknown bucket type: ${args.type}`, {
+      suggestion: `Use one of: ${Object.keys(STORAGE_BUCKETS).join(', ')}`,
+    });
+  }
+
+  const types = args.type ? [args.type] : Object.keys(STORAGE_BUCKETS);
+  const prefixes = args.prefix ? args.prefix.split(',').map(prefix => prefix.trim().replace(/^\/+/, '')) : [''];
+  const dryRun = !!args['dry-run'];
+
+  consola.info(`🪞 Mirroring ${types.join(' and ')} storage from ${fromConfig.app} to ${toConfig.app}...`);
+
+  for (const type of types) {
+    let source;
+    let destination;
+    try {
+      source = await resolveStorageCredentials(type, fromConfig);
+      destination = await resolveStorageCredentials(type, toConfig);
+    } catch (error) {
+      // Without an explicit type, environments without a bucket of this kind are skipped
+      if (args.type) {
+        throw error;
+      }
+      consola.warn(`Skipping ${type} storage: ${error.message}`);
+      continue;
+    }
+
+    await mirrorBucket(type, source, destination, prefixes, { delete: !!args.delete, dryRun });
+  }
+});
+
+/**
+ * Parse a storage target argument or fail with usage help
+ */
+function requireStorageTarget(value) {
+  const target = parseStorageTarget(value);
+  if (!target) {
+    throw new NuxflyError(`Invalid storage path: ${value}`, {
+      suggestion: 'Storage paths look like public:images/logo.png or private:exports/',
+    });
+  }
+  return target;
+}
+
+/**
+ * Resolve credentials for a target and create a client
+ */
+async function connect(target, config, args) {
+  const credentials = await resolveStorageCredentials(target.type, config, { local: !!args.local });
+  consola.debug(`Using ${target.type} bucket ${credentials.bucketName} at ${credentials.endpointUrl}`);
+
+  return {
+    client: createStorageClient(credentials),
+    bucketName: credentials.bucketName,
+  };
+}
+
+/**
+ * Turn a missing object error into a readable one
+ */
+function objectError(error, target) {
+  if (error.code === 'NotFound' || error.code === 'NoSuchKey') {
+    return new NuxflyError(`Object not found: ${target.type}:${target.path}`, {
+      suggestion: `List objects with 'nuxfly storage ls ${target.type}:'`,
+    });
+  }
+  return new NuxflyError(`Storage request failed: ${error.code || error.message}`, {
+    cause: error,
+  });
+}
+
+/**
+ * Compare a local file to a remote object by MD5, which is the ETag of single part uploads
+ *
+ * Multipart ETags are not a plain MD5, those objects are compared with the MD5 stored on upload instead.
+ */
+async function isUnchanged(client, bucketName, file, md5, remote) {
+  if (statSync(file).size !== remote.size) {
+    return false;
+  }
+
+  if (!remote.etag?.includes('-')) {
+    return md5 === remote.etag?.replace(/"/g, '');
+  }
+
+  const stat = await client.statObject(bucketName, remote.name);
+  return stat.metaData?.[LOCAL_MD5_METADATA] === md5;
+}
+
+/**
+ * Compute the hex MD5 of a local file
+ */
+async function hashFile(file) {
+  const hash = createHash('md5');
+  for await (const chunk of createReadStream(file)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
@@ -1,58 +1,105 @@
+import { readFileSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { randomBytes } from 'crypto';
+import { fileURLToPath } from 'url';
 import consola from 'consola';
 import { validateDeploymentConfig } from '../utils/validation.mjs';
 import { withErrorHandling, NuxflyError } from '../utils/errors.mjs';
-import { getAppName } from '../utils/config.mjs';
+import { getAppName, getLocalDatabasePath } from '../utils/config.mjs';
 import { validatePort } from '../utils/validation.mjs';
+import { buildFlyctlArgs } from '../utils/flyctl.mjs';
+import { ensureNuxflyDir, fileExists, loadDrizzleConfig, writeFile } from '../utils/filesystem.mjs';
+import { getRemoteDatabasePath } from '../utils/database.mjs';
 
 /**
- * Studio command - Opens Drizzle Studio with secure tunnel to database
+ * Studio command - Opens Drizzle Studio against the remote or local SQLite database
  */
 export const studio = withErrorHandling(async (args, config) => {
   consola.info('🔧 Setting up Drizzle Studio...');
-  
+
+  const studioPort = validatePort(args.port || 4983, 'studio port');
+
+  // Check if drizzle-kit is available
+  await validateDrizzleKit();
+
+  const drizzleConfig = await loadDrizzleConfig();
+  if (!drizzleConfig?.schema) {
+    throw new NuxflyError('No schema found in drizzle.config.ts', {
+      suggestion: 'Set the "schema" option in your drizzle.config.ts so studio can load your tables',
+    });
+  }
+
+  if (args.local) {
+    const databasePath = getLocalDatabasePath(config);
+    if (!fileExists(databasePath)) {
+      throw new NuxflyError(`Local database not found: ${databasePath}`, {
+        suggestion: "Start your app once to create it, or run 'nuxfly db pull' to download a copy",
+      });
+    }
+
+    const studioConfigPath = await writeStudioConfig(config, drizzleConfig, {
+      dialect: 'sqlite',
+      dbCredentials: { url: databasePath },
+    });
+
+    consola.info(`🚀 Launching Drizzle Studio for ${databasePath}...`);
+    await launchDrizzleStudio(studioPort, args.host, studioConfigPath);
+    return;
+  }
+
   // Validate deployment configuration
   await validateDeploymentConfig(config);
-  
+
   const appName = getAppName(config);
   if (!appName) {
     throw new NuxflyError('App name is required for studio command', {
       suggestion: 'Set app name in your nuxfly config or use --app flag',
     });
   }
-  
-  // Default ports
-  const localPort = validatePort(args.port || 4983, 'local port');
-  const remotePort = validatePort(args['remote-port'] || 5432, 'remote port');
-  
+
+  const remotePort = validatePort(args['remote-port'] || 8080, 'remote port');
+  const tunnelPort = validatePort(args['tunnel-port'] || 8081, 'tunnel port');
+  const token = randomBytes(24).toString('hex');
+  const cleanups = [];
+
   try {
-    // Check if drizzle-kit is available
-    await validateDrizzleKit();
-    
-    // Set up SSH tunnel in the background
+    // Start the database server on the machine for the lifetime of the ssh session
+    consola.info(`Starting database server on ${appName}...`);
+    cleanups.push(await startRemoteServer(config, remotePort, token));
+
+    // Tunnel the database server to this machine
     consola.info(`Setting up secure tunnel to ${appName}...`);
-    await setupTunnel(appName, localPort, remotePort);
-    
-    // Wait a moment for tunnel to establish
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    
+    cleanups.push(await setupTunnel(appName, tunnelPort, remotePort));
+
+    const studioConfigPath = await writeStudioConfig(config, drizzleConfig, {
+      dialect: 'turso',
+      dbCredentials: {
+        url: `http://127.0.0.1:${tunnelPort}`,
+        authToken: token,
+      },
+    });
+
     // Display tunnel information
-    displayTunnelInfo(appName, localPort, remotePort);
-    
+    displayTunnelInfo(appName, getRemoteDatabasePath(config), studioPort, tunnelPort, remotePort);
+
     // Launch Drizzle Studio
     consola.info('🚀 Launching Drizzle Studio...');
-    await launchDrizzleStudio(localPort, config);
-    
+    await launchDrizzleStudio(studioPort, args.host, studioConfigPath);
+
   } catch (error) {
     if (error.exitCode === 130) {
       // User cancelled (Ctrl+C)
       consola.info('Studio session cancelled by user');
       return;
     }
-    
+
     throw new NuxflyError(`Studio setup failed: ${error.message}`, {
-      suggestion: 'Check that your app is running and database is accessible',
+      suggestion: `Check that your app has a running machine and the database exists at ${getRemoteDatabasePath(config)}`,
       cause: error,
     });
+  } finally {
+    // Studio has exited, stop the tunnel and the remote server
+    cleanups.reverse().forEach(cleanup => cleanup());
   }
 });
 
@@ -62,12 +109,12 @@ export const studio = withErrorHandling(async (args, config) => {
 async function validateDrizzleKit() {
   try {
     const { execa } = await import('execa');
-    await execa('drizzle-kit', ['--version'], { stdio: 'pipe' });
+    await execa('drizzle-kit', ['--version'], { stdio: 'pipe', preferLocal: true });
     return true;
   } catch (error) {
     if (error.code === 'ENOENT') {
       throw new NuxflyError('drizzle-kit not found', {
-        suggestion: 'Install drizzle-kit: npm install -g drizzle-kit',
+        suggestion: 'Install drizzle-kit in your project: npm install -D drizzle-kit',
         exitCode: 127,
       });
     }
@@ -77,17 +124,104 @@ async function validateDrizzleKit() {
 }
 
 /**
- * Set up SSH tunnel to database
+ * Register cleanup handlers for a background process
  */
-async function setupTunnel(appName, localPort, remotePort) {
+function registerCleanup(subprocess, message) {
+  const cleanup = () => {
+    if (subprocess && !subprocess.killed && subprocess.exitCode === null) {
+      consola.info(message);
+      subprocess.kill('SIGTERM');
+    }
+  };
+
+  process.on('SIGINT', cleanup);
+  process.on('SIGTERM', cleanup);
+  process.on('exit', cleanup);
+
+  // Failures are surfaced by waitForOutput, killing the process on cleanup is expected
+  subprocess.catch(() => {});
+
+  return cleanup;
+}
+
+/**
+ * Wait for a background process to print a line matching the pattern
+ */
+function waitForOutput(subprocess, pattern, name) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      reject(new Error(`${name} setup timeout`));
+    }, 30000);
+
+    subprocess.stdout.on('data', (data) => {
+      const output = data.toString();
+      consola.debug(`${name}: ${output.trim()}`);
+      if (pattern.test(output)) {
+        clearTimeout(timeout);
+        resolve();
+      }
+    });
+
+    subprocess.on('error', (error) => {
+      clearTimeout(timeout);
+      reject(error);
+    });
+
+    subprocess.on('exit', (code) => {
+      clearTimeout(timeout);
+      reject(new Error(`${name} process exited with code ${code}`));
+    });
+  });
+}
+
+/**
+ * Start the libsql compatible HTTP server on the machine via ssh
+ */
+async function startRemoteServer(config, remotePort, token) {
+  const serverScript = readFileSync(join(dirname(fileURLToPath(import.meta.url)), '..', 'runtime', 'sqld.mjs'), 'utf8');
+  const command = `node --input-type=module - ${getRemoteDatabasePath(config)} ${remotePort} ${token}`;
+  const serverArgs = buildFlyctlArgs('ssh', ['console', '--command', command], config);
+
+  consola.debug(`Starting server: flyctl ${serverArgs.join(' ').replace(token, '***')}`);
+
+  try {
+    const { execa } = await import('execa');
+    const serverProcess = execa('flyctl', serverArgs, {
+      // The script is piped over stdin, the session ends when the server exits
+      input: serverScript,
+      stdout: 'pipe',
+      stderr: consola.level >= 4 ? 'inherit' : 'ignore',
+      env: {
+        ...process.env,
+        FLY_ACCESS_TOKEN: process.env.FLY_ACCESS_TOKEN || process.env.FLY_API_TOKEN || undefined,
+      },
+    });
+
+    const cleanup = registerCleanup(serverProcess, 'Stopping database server...');
+    await waitForOutput(serverProcess, /nuxfly-sqld listening/, 'Database server');
+
+    return cleanup;
+
+  } catch (error) {
+    throw new NuxflyError(`Failed to start database server: ${error.message}`, {
+      suggestion: 'The server requires Node.js 22.13+ in your image. Run with --verbose to see the remote output',
+      cause: error,
+    });
+  }
+}
+
+/**
+ * Set up tunnel to the database server
+ */
+async function setupTunnel(appName, tunnelPort, remotePort) {
   const tunnelArgs = [
     'proxy',
-    `${localPort}:localhost:${remotePort}`,
+    `${tunnelPort}:${remotePort}`,
     '--app', appName,
   ];
-  
+
   consola.debug(`Setting up tunnel: flyctl ${tunnelArgs.join(' ')}`);
-  
+
   try {
     // Start tunnel process in background
     const { execa } = await import('execa');
@@ -98,49 +232,12 @@ async function setupTunnel(appName, localPort, remotePort) {
         FLY_ACCESS_TOKEN: process.env.FLY_ACCESS_TOKEN || process.env.FLY_API_TOKEN || undefined,
       },
     });
-    
-    // Handle tunnel process cleanup
-    const cleanup = () => {
-      if (tunnelProcess && !tunnelProcess.killed) {
-        consola.info('Closing tunnel...');
-        tunnelProcess.kill('SIGTERM');
-      }
-    };
-    
-    // Register cleanup handlers
-    process.on('SIGINT', cleanup);
-    process.on('SIGTERM', cleanup);
-    process.on('exit', cleanup);
-    
-    // Check if tunnel started successfully
-    await new Promise((resolve, reject) => {
-      const timeout = setTimeout(() => {
-        reject(new Error('Tunnel setup timeout'));
-      }, 10000);
-      
-      tunnelProcess.stdout.on('data', (data) => {
-        const output = data.toString();
-        if (output.includes('Proxying') || output.includes('localhost')) {
-          clearTimeout(timeout);
-          resolve();
-        }
-      });
-      
-      tunnelProcess.on('error', (error) => {
-        clearTimeout(timeout);
-        reject(error);
-      });
-      
-      tunnelProcess.on('exit', (code) => {
-        if (code !== 0) {
-          clearTimeout(timeout);
-          reject(new Error(`Tunnel process exited with code ${code}`));
-        }
-      });
-    });
-    
-    return tunnelProcess;
-    
+
+    const cleanup = registerCleanup(tunnelProcess, 'Closing tunnel...');
+    await waitForOutput(tunnelProcess, /Proxying|localhost/, 'Tunnel');
+
+    return cleanup;
+
   } catch (error) {
     throw new NuxflyError(`Failed to setup tunnel: ${error.message}`, {
       suggestion: 'Check that flyctl is installed and you have access to the app',
@@ -149,49 +246,57 @@ async function setupTunnel(appName, localPort, remotePort) {
   }
 }
 
+/**
+ * Write a temporary drizzle config using the app's schema and the given connection
+ */
+async function writeStudioConfig(config, drizzleConfig, connection) {
+  const nuxflyDir = await ensureNuxflyDir(config);
+  const studioConfigPath = join(nuxflyDir, 'drizzle.studio.config.ts');
+
+  const studioConfig = {
+    schema: drizzleConfig.schema,
+    ...(drizzleConfig.casing ? { casing: drizzleConfig.casing } : {}),
+    ...connection,
+  };
+
+  await writeFile(studioConfigPath, `// Temporary config generated by nuxfly studio, removed on exit
+export default ${JSON.stringify(studioConfig, null, 2)};
+`);
+
+  process.on('exit', () => rmSync(studioConfigPath, { force: true }));
+
+  return studioConfigPath;
+}
+
 /**
  * Launch Drizzle Studio
  */
-async function launchDrizzleStudio(localPort, config) {
+async function launchDrizzleStudio(studioPort, host, studioConfigPath) {
   try {
     const { execa } = await import('execa');
-    
+
     // Prepare drizzle-kit studio command
     const studioArgs = [
       'studio',
-      '--port', localPort.toString(),
-      '--host', '0.0.0.0',
+      '--port', studioPort.toString(),
+      '--host', host || 'localhost',
+      '--config', studioConfigPath,
     ];
-    
-    // Add config file if specified
-    if (config.drizzle?.config) {
-      studioArgs.push('--config', config.drizzle.config);
-    }
-    
+
     consola.debug(`Launching: drizzle-kit ${studioArgs.join(' ')}`);
-    
+
     // Start Drizzle Studio
     const studioProcess = execa('drizzle-kit', studioArgs, {
       stdio: 'inherit',
       cwd: process.cwd(),
+      preferLocal: true,
     });
-    
-    // Handle studio process cleanup
-    const cleanup = () => {
-      if (studioProcess && !studioProcess.killed) {
-        consola.info('Closing Drizzle Studio...');
-        studioProcess.kill('SIGTERM');
-      }
-    };
-    
-    // Register cleanup handlers
-    process.on('SIGINT', cleanup);
-    process.on('SIGTERM', cleanup);
-    process.on('exit', cleanup);
-    
+
+    registerCleanup(studioProcess, 'Closing Drizzle Studio...');
+
     // Wait for studio process
     await studioProcess;
-    
+
   } catch (error) {
     throw new NuxflyError(`Failed to launch Drizzle Studio: ${error.message}`, {
       suggestion: 'Check that drizzle-kit is properly installed and configured',
@@ -203,17 +308,16 @@ async function launchDrizzleStudio(localPort, config) {
 /**
  * Display tunnel information
  */
-function displayTunnelInfo(appName, localPort, remotePort) {
+function displayTunnelInfo(appName, databasePath, studioPort, tunnelPort, remotePort) {
   consola.box({
     title: '🔒 Secure tunnel established',
     message: `Connected to ${appName} database
 
-Local port: ${localPort}
-Remote port: ${remotePort}
-Database URL: postgresql://localhost:${localPort}/your-database
+Remote database: ${databasePath} (port ${remotePort})
+Database URL: http://127.0.0.1:${tunnelPort}
 
 Drizzle Studio will be available at:
-http://localhost:${localPort}
+https://local.drizzle.studio?port=${studioPort}
 
 Press Ctrl+C to close the tunnel and studio`,
     style: {
@@ -221,4 +325,4 @@ Press Ctrl+C to close the tunnel and studio`,
       padding: 1,
     },
   });
-}
\ No newline at end of file
+}
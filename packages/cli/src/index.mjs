@@ -5,7 +5,7 @@ import consola from 'consola';
 import { readFileSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
-import { loadConfig } from './utils/config.mjs';
+import { loadConfig, loadEnvironmentConfig } from './utils/config.mjs';
 import { NuxflyError } from './utils/errors.mjs';
 
 // Import command handlers
@@ -14,7 +14,17 @@ import { importConfig } from './commands/import.mjs';
 import { generate } from './commands/generate.mjs';
 import { deploy } from './commands/deploy.mjs';
 import { studio } from './commands/studio.mjs';
-import { proxy, shouldProxy } from './commands/proxy.mjs';
+import { dbPull, dbMigrate, dbLint, dbShell, dbQuery, dbRestore, dbKeygen, dbVerifyBackup } from './commands/db.mjs';
+import { bucketsList, bucketsCreate, bucketsDelete, bucketsLink, bucketsSetKey } from './commands/buckets.mjs';
+import { storageLs, storageCp, storageRm, storageSync, storageMirror } from './commands/storage.mjs';
+import { envClone } from './commands/env.mjs';
+import { previewUp, previewDown } from './commands/preview.mjs';
+import { destroy } from './commands/destroy.mjs';
+import { rollback } from './commands/rollback.mjs';
+import { doctor } from './commands/doctor.mjs';
+import { status } from './commands/status.mjs';
+import { scaleRegionsAdd } from './commands/scale.mjs';
+import { proxy, shouldProxy, getValueFlags, findSubCommandIndex, orderSubCommandArgs } from './commands/proxy.mjs';
 
 // Global configuration
 let globalConfig = null;
@@ -170,6 +180,15 @@ const main = defineCommand({
           description: 'Build the application before deploying',
           default: false,
         },
+        snapshot: {
+          type: 'boolean',
+          description: 'Record a database restore point for nuxfly rollback (default when litestream is enabled)',
+        },
+        'allow-destructive': {
+          type: 'boolean',
+          description: 'Deploy pending migrations that drop, rename or rebuild tables and columns',
+          default: false,
+        },
       },
       async run({ args }) {
         const config = await ensureConfig();
@@ -177,6 +196,102 @@ const main = defineCommand({
       },
     }),
 
+    rollback: defineCommand({
+      meta: {
+        name: 'rollback',
+        description: 'Redeploy the previous image and restore the database recorded by the last deploy',
+      },
+      args: {
+        yes: {
+          type: 'boolean',
+          description: 'Skip the confirmation prompt',
+          default: false,
+        },
+        database: {
+          type: 'boolean',
+          description: 'Restore the database to the restore point (use --no-database to only redeploy the image)',
+          default: true,
+        },
+      },
+      async run({ args }) {
+        const config = await ensureConfig();
+        await rollback(args, config);
+      },
+    }),
+
+    status: defineCommand({
+      meta: {
+        name: 'status',
+        description: 'Show machines, volume, buckets, backups and migrations of the app',
+      },
+      args: {
+        json: {
+          type: 'boolean',
+          description: 'Print the status as JSON',
+          default: false,
+        },
+        watch: {
+          type: 'boolean',
+          description: 'Refresh the status until interrupted',
+          default: false,
+        },
+        interval: {
+          type: 'string',
+          description: 'Seconds between refreshes with --watch',
+          default: '10',
+        },
+      },
+      async run({ args }) {
+        const config = await ensureConfig();
+        await status(args, config);
+      },
+    }),
+
+    doctor: defineCommand({
+      meta: {
+        name: 'doctor',
+        description: 'Diagnose the project, app and deployment configuration',
+      },
+      args: {
+        json: {
+          type: 'boolean',
+          description: 'Print the report as JSON',
+          default: false,
+        },
+      },
+      async run({ args }) {
+        // Loads the config itself so configuration problems are reported instead of aborting
+        await doctor(args);
+      },
+    }),
+
+    destroy: defineCommand({
+      meta: {
+        name: 'destroy',
+        description: 'Destroy the app with its volumes, buckets and fly.toml',
+      },
+      args: {
+        yes: {
+          type: 'boolean',
+          description: 'Skip the confirmation prompt',
+          default: false,
+        },
+        'keep-data': {
+          type: 'boolean',
+          description: 'Keep the Litestream and storage buckets',
+          default: false,
+        },
+        export: {
+          type: 'string',
+          description: 'Export the latest database snapshot and bucket objects to a directory first',
+        },
+      },
+      async run({ args }) {
+        const config = await ensureConfig();
+        await destroy(args, config);
+      },
+    }),
+
     studio: defineCommand({
       meta: {
         name: 'studio',
@@ -188,10 +303,25 @@ const main = defineCommand({
           description: 'Local port for studio',
           default: '4983',
         },
+        host: {
+          type: 'string',
+          description: 'Host for studio to listen on',
+          default: 'localhost',
+        },
         'remote-port': {
           type: 'string',
-          description: 'Remote tunnel port',
-          default: '5432',
+          description: 'Port for the database server on the machine',
+          default: '8080',
+        },
+        'tunnel-port': {
+          type: 'string',
+          description: 'Local port for the database tunnel',
+          default: '8081',
+        },
+        local: {
+          type: 'boolean',
+          description: 'Open studio against the local database instead',
+          default: false,
         },
       },
       async run({ args }) {
@@ -200,15 +330,701 @@ const main = defineCommand({
       },
     }),
 
+    db: defineCommand({
+      meta: {
+        name: 'db',
+        description: 'Manage the SQLite database',
+      },
+      subCommands: {
+        pull: defineCommand({
+          meta: {
+            name: 'pull',
+            description: 'Download the latest database snapshot from the Litestream replica',
+          },
+          args: {
+            at: {
+              type: 'string',
+              description: 'Restore to a point in time (ISO 8601 timestamp)',
+            },
+            output: {
+              type: 'string',
+              description: 'Output path (default: local dbUrl from runtime config)',
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await dbPull(args, config);
+          },
+        }),
+
+        migrate: defineCommand({
+          meta: {
+            name: 'migrate',
+            description: 'Apply pending migrations to the running app without redeploying',
+          },
+          args: {
+            'dry-run': {
+              type: 'boolean',
+              description: 'List pending migrations without applying them',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await dbMigrate(args, config);
+          },
+        }),
+
+        lint: defineCommand({
+          meta: {
+            name: 'lint',
+            description: 'Flag pending migrations that drop, rename or rebuild what the running release uses',
+          },
+          args: {
+            all: {
+              type: 'boolean',
+              description: 'Lint every migration without connecting to the app',
+              default: false,
+            },
+            json: {
+              type: 'boolean',
+              description: 'Print the findings as JSON',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await dbLint(args, config);
+          },
+        }),
+
+        shell: defineCommand({
+          meta: {
+            name: 'shell',
+            description: 'Open an interactive sqlite3 console on the remote database',
+          },
+          args: {
+            write: {
+              type: 'boolean',
+              description: 'Open the database in read-write mode',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await dbShell(args, config);
+          },
+        }),
+
+        query: defineCommand({
+          meta: {
+            name: 'query',
+            description: 'Run a SQL statement on the remote database',
+          },
+          args: {
+            sql: {
+              type: 'positional',
+              description: 'SQL statement to run',
+              required: true,
+            },
+            json: {
+              type: 'boolean',
+              description: 'Print rows as JSON',
+              default: false,
+            },
+            write: {
+              type: 'boolean',
+              description: 'Allow statements that modify the database',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await dbQuery(args, config);
+          },
+        }),
+
+        restore: defineCommand({
+          meta: {
+            name: 'restore',
+            description: 'Roll the live database back to a point in time or generation',
+          },
+          args: {
+            at: {
+              type: 'string',
+              description: 'Timestamp (ISO 8601) or Litestream generation to restore',
+              required: true,
+            },
+            yes: {
+              type: 'boolean',
+              description: 'Skip the confirmation prompt',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await dbRestore(args, config);
+          },
+        }),
+
+        keygen: defineCommand({
+          meta: {
+            name: 'keygen',
+            description: 'Generate the age key that encrypts Litestream backups',
+          },
+          args: {
+            force: {
+              type: 'boolean',
+              description: 'Replace an existing key',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await dbKeygen(args, config);
+          },
+        }),
+
+        'verify-backup': defineCommand({
+          meta: {
+            name: 'verify-backup',
+            description: 'Restore the latest Litestream backup and check it against the live database',
+          },
+          args: {
+            remote: {
+              type: 'boolean',
+              description: 'Restore on a running machine instead of locally',
+              default: false,
+            },
+            json: {
+              type: 'boolean',
+              description: 'Print the results as JSON',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await dbVerifyBackup(args, config);
+          },
+        }),
+      },
+    }),
+
+    buckets: defineCommand({
+      meta: {
+        name: 'buckets',
+        description: 'Manage the public, private and litestream buckets',
+      },
+      subCommands: {
+        list: defineCommand({
+          meta: {
+            name: 'list',
+            description: 'Show which buckets exist and which secrets are set',
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await bucketsList(args, config);
+          },
+        }),
+
+        create: defineCommand({
+          meta: {
+            name: 'create',
+            description: 'Create missing buckets enabled in your nuxt config',
+          },
+          args: {
+            type: {
+              type: 'positional',
+              description: 'Bucket type to create (public, private or litestream)',
+              required: false,
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await bucketsCreate(args, config);
+          },
+        }),
+
+        delete: defineCommand({
+          meta: {
+            name: 'delete',
+            description: 'Destroy a bucket and unset its secrets',
+          },
+          args: {
+            type: {
+              type: 'positional',
+              description: 'Bucket type to delete (public, private or litestream)',
+              required: true,
+            },
+            yes: {
+              type: 'boolean',
+              description: 'Skip the confirmation prompt',
+              default: false,
+            },
+            'keep-secrets': {
+              type: 'boolean',
+              description: 'Leave the bucket secrets set on the app',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await bucketsDelete(args, config);
+          },
+        }),
+
+        link: defineCommand({
+          meta: {
+            name: 'link',
+            description: 'Attach an existing bucket and set its secrets',
+          },
+          args: {
+            type: {
+              type: 'positional',
+              description: 'Bucket type to link (public, private or litestream)',
+              required: true,
+            },
+            bucket: {
+              type: 'positional',
+              description: 'Name of the existing bucket',
+              required: true,
+            },
+            'access-key-id': {
+              type: 'string',
+              description: 'Access key ID for the bucket (prompted if omitted), the secret access key is read from stdin or prompted',
+            },
+            endpoint: {
+              type: 'string',
+              description: 'S3 endpoint URL',
+              default: 'https://fly.storage.tigris.dev',
+            },
+            region: {
+              type: 'string',
+              description: 'S3 region',
+              default: 'auto',
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await bucketsLink(args, config);
+          },
+        }),
+
+        'set-key': defineCommand({
+          meta: {
+            name: 'set-key',
+            description: 'Point a bucket\'s secrets at an access key created in the Tigris dashboard',
+          },
+          args: {
+            type: {
+              type: 'positional',
+              description: 'Bucket type to switch (public, private or litestream)',
+              required: true,
+            },
+            bucket: {
+              type: 'string',
+              description: 'Bucket name if it differs from the app default',
+            },
+            'access-key-id': {
+              type: 'string',
+              description: 'New access key ID (prompted if omitted), the secret access key is read from stdin or prompted',
+            },
+            endpoint: {
+              type: 'string',
+              description: 'S3 endpoint URL',
+              default: 'https://fly.storage.tigris.dev',
+            },
+            region: {
+              type: 'string',
+              description: 'S3 region',
+              default: 'auto',
+            },
+            dashboard: {
+              type: 'boolean',
+              description: 'Open the Tigris dashboard to create the new key',
+              default: true,
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await bucketsSetKey(args, config);
+          },
+        }),
+      },
+    }),
+
+    storage: defineCommand({
+      meta: {
+        name: 'storage',
+        description: 'Manage objects in the public and private buckets (other subcommands go to flyctl)',
+      },
+      subCommands: {
+        ls: defineCommand({
+          meta: {
+            name: 'ls',
+            description: 'List objects in a bucket',
+          },
+          args: {
+            target: {
+              type: 'positional',
+              description: 'Bucket path, e.g. public:images/',
+              required: false,
+            },
+            recursive: {
+              type: 'boolean',
+              description: 'List all objects under the prefix',
+              default: false,
+            },
+            local: {
+              type: 'boolean',
+              description: 'Use the local runtime config instead of the app secrets',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await storageLs(args, config);
+          },
+        }),
+
+        cp: defineCommand({
+          meta: {
+            name: 'cp',
+            description: 'Copy a file to or from a bucket',
+          },
+          args: {
+            source: {
+              type: 'positional',
+              description: 'Local file or bucket path',
+              required: true,
+            },
+            destination: {
+              type: 'positional',
+              description: 'Bucket path or local file',
+              required: true,
+            },
+            local: {
+              type: 'boolean',
+              description: 'Use the local runtime config instead of the app secrets',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await storageCp(args, config);
+          },
+        }),
+
+        rm: defineCommand({
+          meta: {
+            name: 'rm',
+            description: 'Remove an object from a bucket',
+          },
+          args: {
+            target: {
+              type: 'positional',
+              description: 'Bucket path, e.g. private:exports/report.csv',
+              required: true,
+            },
+            recursive: {
+              type: 'boolean',
+              description: 'Remove all objects under the prefix',
+              default: false,
+            },
+            yes: {
+              type: 'boolean',
+              description: 'Skip the confirmation prompt',
+              default: false,
+            },
+            local: {
+              type: 'boolean',
+              description: 'Use the local runtime config instead of the app secrets',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await storageRm(args, config);
+          },
+        }),
+
+        sync: defineCommand({
+          meta: {
+            name: 'sync',
+            description: 'Upload new and changed files from a local directory',
+          },
+          args: {
+            source: {
+              type: 'positional',
+              description: 'Local directory',
+              required: true,
+            },
+            destination: {
+              type: 'positional',
+              description: 'Bucket path, e.g. public:uploads/',
+              required: true,
+            },
+            delete: {
+              type: 'boolean',
+              description: 'Remove objects that do not exist locally',
+              default: false,
+            },
+            'dry-run': {
+              type: 'boolean',
+              description: 'Show what would change without uploading',
+              default: false,
+            },
+            local: {
+              type: 'boolean',
+              description: 'Use the local runtime config instead of the app secrets',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            const config = await ensureConfig();
+            await storageSync(args, config);
+          },
+        }),
+
+        mirror: defineCommand({
+          meta: {
+            name: 'mirror',
+            description: 'Copy bucket contents from one environment to another',
+          },
+          args: {
+            type: {
+              type: 'positional',
+              description: 'Bucket type to mirror (public or private, default: both)',
+              required: false,
+            },
+            from: {
+              type: 'string',
+              description: 'Source environment (NUXFLY_ENV name, prod for fly.toml)',
+              required: true,
+            },
+            to: {
+              type: 'string',
+              description: 'Destination environment',
+              required: true,
+            },
+            prefix: {
+              type: 'string',
+              description: 'Only mirror objects under these prefixes (comma separated)',
+            },
+            delete: {
+              type: 'boolean',
+              description: 'Remove destination objects that do not exist in the source',
+              default: false,
+            },
+            'dry-run': {
+              type: 'boolean',
+              description: 'Show what would be copied without copying',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            const fromConfig = await loadEnvironmentConfig(args.from);
+            const toConfig = await loadEnvironmentConfig(args.to);
+            await storageMirror(args, fromConfig, toConfig);
+          },
+        }),
+      },
+    }),
+
+    scale: defineCommand({
+      meta: {
+        name: 'scale',
+        description: 'Add read-only replicas in other regions (other subcommands go to flyctl)',
+      },
+      subCommands: {
+        regions: defineCommand({
+          meta: {
+            name: 'regions',
+            description: 'Manage the regions the app runs in',
+          },
+          subCommands: {
+            add: defineCommand({
+              meta: {
+                name: 'add',
+                description: 'Add a machine in another region',
+              },
+              args: {
+                region: {
+                  type: 'positional',
+                  description: 'Region code, e.g. fra',
+                  required: true,
+                },
+                'read-replica': {
+                  type: 'boolean',
+                  description: 'Serve a read-only copy of the database, refreshed from Litestream',
+                  default: false,
+                },
+                size: {
+                  type: 'string',
+                  description: 'Size in GB for the SQLite volume (default: 1)',
+                  default: '1',
+                },
+              },
+              async run({ args }) {
+                const config = await ensureConfig();
+                await scaleRegionsAdd(args, config);
+              },
+            }),
+          },
+        }),
+      },
+    }),
+
+    env: defineCommand({
+      meta: {
+        name: 'env',
+        description: 'Manage NUXFLY_ENV environments',
+      },
+      subCommands: {
+        clone: defineCommand({
+          meta: {
+            name: 'clone',
+            description: 'Create a new environment from an existing one',
+          },
+          args: {
+            source: {
+              type: 'positional',
+              description: 'Environment to clone (prod for fly.toml)',
+              required: true,
+            },
+            target: {
+              type: 'positional',
+              description: 'Name of the new environment',
+              required: true,
+            },
+            name: {
+              type: 'string',
+              description: 'App name (default: <app>-<target>)',
+            },
+            region: {
+              type: 'string',
+              description: 'Primary region (default: same as source)',
+            },
+            org: {
+              type: 'string',
+              description: 'Organization (default: same as source)',
+            },
+            size: {
+              type: 'string',
+              description: 'Size in GB for SQLite volume (default: 1)',
+              default: '1',
+            },
+            secrets: {
+              type: 'boolean',
+              description: 'Copy non-credential secrets from the source app',
+              default: true,
+            },
+            data: {
+              type: 'boolean',
+              description: 'Seed the new Litestream bucket with the latest source snapshot',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            await envClone(args);
+          },
+        }),
+      },
+    }),
+
+    preview: defineCommand({
+      meta: {
+        name: 'preview',
+        description: 'Manage per-branch preview apps',
+      },
+      subCommands: {
+        up: defineCommand({
+          meta: {
+            name: 'up',
+            description: 'Create and deploy the preview app for a branch',
+          },
+          args: {
+            name: {
+              type: 'string',
+              description: 'Branch or preview name (default: current git branch)',
+            },
+            org: {
+              type: 'string',
+              description: 'Organization (default: same as the base app)',
+            },
+            secrets: {
+              type: 'boolean',
+              description: 'Copy non-credential secrets from the base app',
+              default: true,
+            },
+            deploy: {
+              type: 'boolean',
+              description: 'Deploy the preview after creating it',
+              default: true,
+            },
+            build: {
+              type: 'boolean',
+              description: 'Build the application before deploying',
+              default: false,
+            },
+            strategy: {
+              type: 'string',
+              description: 'Deployment strategy',
+            },
+            json: {
+              type: 'boolean',
+              description: 'Print the preview app and URL as JSON',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            await previewUp(args);
+          },
+        }),
+        down: defineCommand({
+          meta: {
+            name: 'down',
+            description: 'Destroy the preview app for a branch with its volume and buckets',
+          },
+          args: {
+            name: {
+              type: 'string',
+              description: 'Branch or preview name (default: current git branch)',
+            },
+            yes: {
+              type: 'boolean',
+              description: 'Skip the confirmation prompt',
+              default: false,
+            },
+            json: {
+              type: 'boolean',
+              description: 'Print the destroyed app as JSON',
+              default: false,
+            },
+          },
+          async run({ args }) {
+            await previewDown(args);
+          },
+        }),
+      },
+    }),
+
   },
-  async run({ args }) {
-    // Set up logging level
+  setup({ args }) {
+    // Set up logging level before any subcommand runs
     if (args.verbose) {
       consola.level = 4; // Debug level
     }
-
-    // If no arguments provided, show help
-    consola.log('Use --help to see available commands');
+    // --app works like FLY_APP, loadConfig prefers it over the app in fly.toml
+    if (args.app) {
+      process.env.FLY_APP = args.app;
+    }
+  },
+  async run({ args }) {
+    // citty runs this after subcommands too, so only show help when no command was given
+    if (args._.length === 0) {
+      consola.log('Use --help to see available commands');
+    }
   },
 });
 
@@ -224,8 +1040,13 @@ async function handleUnknownCommand() {
     return false;
   }
   
-  // If it's a known command, let citty handle it
-  if (!shouldProxy(command)) {
+  // If it's a known command, let citty handle it. Flag values are not subcommands, e.g. foo in `storage --app foo ls`
+  const definition = main.subCommands[command];
+  const commandArgs = args.slice(1);
+  const valueFlags = getValueFlags(main.args, definition?.args, ...Object.values(definition?.subCommands || {}).map(child => child.args));
+  const subCommand = commandArgs[findSubCommandIndex(commandArgs, valueFlags)];
+  if (!shouldProxy(command, subCommand)) {
+    process.argv.splice(3, commandArgs.length, ...orderSubCommandArgs(commandArgs, definition, main.args));
     return false;
   }
   
@@ -242,7 +1063,6 @@ async function handleUnknownCommand() {
     }
     
     // Pass all arguments after the command to the proxy function
-    const commandArgs = args.slice(1);
     const parsedArgs = { _: commandArgs };
     
     // Simple argument parsing for flags
@@ -0,0 +1,477 @@
+/**
+ * Boot runner for the database of a nuxfly app, run by start.sh before the app starts.
+ *
+ * Restores the database from Litestream when it is missing, snapshots it before migrating, applies
+ * pending drizzle migrations in a single transaction and sql-dir migrations in one transaction per file,
+ * or runs the migration command of the prisma and command runners, and records every run in the `fly` table.
+ * It exits non-zero when anything fails so start.sh does not start the app on a broken database.
+ * `node boot.mjs migrate` skips the restore, `nuxfly db migrate` uses it on a running machine and
+ * start.sh uses it under LiteFS, which replicates the database itself. `node boot.mjs replica` only
+ * refreshes the database of a read replica from Litestream, start.sh runs it on an interval there.
+ *
+ * `nuxfly generate` copies this script to .nuxfly/boot.mjs, so it must not import anything outside
+ * of Node.js built-ins. It requires Node.js 22.16+ for `node:sqlite` and its `backup()`.
+ */
+import { spawnSync } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { closeSync, existsSync, mkdirSync, openSync, readdirSync, readFileSync, renameSync, rmSync, writeSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+
+const DATABASE_PATH = process.env.DATABASE_PATH || '/data/db.sqlite';
+const MIGRATIONS_PATH = process.env.NUXFLY_MIGRATIONS_PATH || '/app/dist/db/drizzle/migrations';
+const MIGRATIONS_RUNNER = process.env.NUXFLY_MIGRATIONS_RUNNER || 'drizzle';
+const MIGRATIONS_COMMAND = process.env.NUXFLY_MIGRATIONS_COMMAND;
+// The migration tool is installed here, see the Dockerfile template
+const MIGRATIONS_WORKDIR = '/app/dist/db';
+const LITESTREAM_CONFIG = '/etc/litestream.yml';
+// LiteFS only allows database files in its mount, so the lock and snapshot go to the volume instead
+const DATA_DIR = process.env.NUXFLY_DATA_DIR || dirname(DATABASE_PATH);
+const LOCK_PATH = join(DATA_DIR, `${basename(DATABASE_PATH)}.nuxfly-lock`);
+const SNAPSHOT_PATH = join(DATA_DIR, `${basename(DATABASE_PATH)}.pre-migration`);
+const REPLICA_PATH = join(DATA_DIR, `${basename(DATABASE_PATH)}.nuxfly-replica`);
+// start.sh runs the boot runner once per database, the named databases of nuxfly.databases tag their output
+const LOG_PREFIX = basename(DATABASE_PATH) === 'db.sqlite' ? '[nuxfly]' : `[nuxfly ${basename(DATABASE_PATH, '.sqlite')}]`;
+
+// Another boot or `nuxfly db migrate` holding the lock gets this long to finish
+const LOCK_TIMEOUT = 5 * 60 * 1000;
+
+// Imported here so older Node.js versions fail with a message instead of ERR_UNKNOWN_BUILTIN_MODULE
+const { DatabaseSync, backup } = await import('node:sqlite').catch(() => {
+  console.error(`${LOG_PREFIX} Node.js ${process.versions.node} has no node:sqlite, the boot runner needs Node.js 22.16+. Set nodeVersion in your nuxfly config, run 'nuxfly generate' and deploy again`);
+  process.exit(1);
+});
+
+/**
+ * Log with a prefix so boot output stands out from the app's in `fly logs`
+ */
+function log(message) {
+  console.log(`${LOG_PREFIX} ${message}`);
+}
+
+/**
+ * Sleep synchronously, the runner does nothing else while it waits
+ */
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Identify the current boot of the machine, pids are only unique within one
+ */
+function getBootId() {
+  try {
+    return readFileSync('/proc/sys/kernel/random/boot_id', 'utf8').trim();
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Check whether a lock file was left behind by a process that is gone
+ */
+function isStaleLock(bootId) {
+  let pid, lockBootId;
+  try {
+    [pid, lockBootId] = readFileSync(LOCK_PATH, 'utf8').trim().split(' ');
+  } catch {
+    // Removed while we were looking at it
+    return false;
+  }
+
+  if (lockBootId !== bootId) {
+    return true;
+  }
+  try {
+    process.kill(Number(pid), 0);
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Take the lock file next to the database, returns a function that releases it
+ */
+function acquireLock() {
+  const bootId = getBootId();
+  const deadline = Date.now() + LOCK_TIMEOUT;
+  mkdirSync(dirname(LOCK_PATH), { recursive: true });
+
+  while (true) {
+    try {
+      const fd = openSync(LOCK_PATH, 'wx');
+      writeSync(fd, `${process.pid} ${bootId}\n`);
+      closeSync(fd);
+      return () => rmSync(LOCK_PATH, { force: true });
+    } catch (error) {
+      if (error.code !== 'EEXIST') {
+        throw error;
+      }
+    }
+
+    if (isStaleLock(bootId)) {
+      log(`Removing stale lock ${LOCK_PATH}`);
+      rmSync(LOCK_PATH, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${LOCK_PATH}, another migration is still running`);
+    }
+
+    log('Waiting for another migration to finish...');
+    sleep(2000);
+  }
+}
+
+/**
+ * Restore the database from the first Litestream replica that has a backup
+ *
+ * Replicas without a backup are skipped, but when a replica fails the app does not start on an empty
+ * database unless NUXFLY_ALLOW_EMPTY_DATABASE is set.
+ */
+function restoreDatabase() {
+  if (existsSync(DATABASE_PATH)) {
+    return;
+  }
+
+  if (!process.env.LITESTREAM_S3_ACCESS_KEY_ID) {
+    log('Database not found and Litestream is not configured, starting with a new database');
+    return;
+  }
+
+  log('Database not found, restoring from backup...');
+  const failed = [];
+  const replicas = (process.env.LITESTREAM_REPLICAS || 'primary').split(/\s+/).filter(Boolean);
+
+  for (const replica of replicas) {
+    log(`Restoring from replica ${replica}...`);
+    const result = spawnSync('litestream', ['restore', '-config', LITESTREAM_CONFIG, '-if-replica-exists', '-replica', replica, DATABASE_PATH], {
+      stdio: 'inherit',
+    });
+
+    if (result.status === 0 && existsSync(DATABASE_PATH)) {
+      log(`Database restored from replica ${replica}`);
+      return;
+    }
+    if (result.status === 0) {
+      log(`Replica ${replica} has no backup`);
+    } else {
+      log(`Restore from replica ${replica} failed${result.error ? `: ${result.error.message}` : ''}`);
+      failed.push(replica);
+    }
+  }
+
+  if (failed.length > 0 && !process.env.NUXFLY_ALLOW_EMPTY_DATABASE) {
+    throw new Error(`Restore failed from ${failed.join(', ')}, refusing to start with an empty database. Fix the replica or set NUXFLY_ALLOW_EMPTY_DATABASE=1 to start without the backup`);
+  }
+
+  log('No backup found, starting with a new database');
+}
+
+/**
+ * Refresh the database of a read replica machine from the first Litestream replica that has a backup
+ *
+ * The backup is restored next to the database and copied into it with the SQLite backup API, so the
+ * app's open connections see the new data. It is never migrated here, the primary backs up migrated data.
+ */
+async function refreshReplica() {
+  if (!process.env.LITESTREAM_S3_ACCESS_KEY_ID) {
+    throw new Error('Read replicas restore the database from Litestream, set the LITESTREAM_S3_ secrets');
+  }
+
+  const failed = [];
+  const replicas = (process.env.LITESTREAM_REPLICAS || 'primary').split(/\s+/).filter(Boolean);
+  rmSync(REPLICA_PATH, { force: true });
+
+  for (const replica of replicas) {
+    const result = spawnSync('litestream', ['restore', '-config', LITESTREAM_CONFIG, '-if-replica-exists', '-replica', replica, '-o', REPLICA_PATH, DATABASE_PATH], {
+      stdio: ['ignore', 'ignore', 'pipe'],
+      encoding: 'utf8',
+    });
+
+    if (result.status === 0 && existsSync(REPLICA_PATH)) {
+      break;
+    }
+    if (result.status !== 0) {
+      log(`Restore from replica ${replica} failed: ${(result.stderr || result.error?.message || '').trim()}`);
+      failed.push(replica);
+    }
+  }
+
+  if (!existsSync(REPLICA_PATH)) {
+    throw new Error(failed.length > 0 ? `Restore failed from ${failed.join(', ')}` : 'No backup found, the primary has not replicated the database yet');
+  }
+
+  try {
+    if (!existsSync(DATABASE_PATH)) {
+      renameSync(REPLICA_PATH, DATABASE_PATH);
+      log('Database restored from the backup');
+      return;
+    }
+
+    const replicaDb = new DatabaseSync(REPLICA_PATH, { readOnly: true });
+    try {
+      await backup(replicaDb, DATABASE_PATH);
+    } catch (error) {
+      throw new Error(`Copying the backup into ${DATABASE_PATH} failed: ${error.message}`);
+    } finally {
+      replicaDb.close();
+    }
+    log('Database refreshed from the backup');
+  } finally {
+    rmSync(REPLICA_PATH, { force: true });
+  }
+}
+
+/**
+ * Find the drizzle migrations newer than the last applied one, the same rule drizzle's migrator uses
+ */
+function findPendingDrizzleMigrations(db) {
+  const journalPath = join(MIGRATIONS_PATH, 'meta', '_journal.json');
+  if (!existsSync(journalPath)) {
+    log(`No migrations found in ${MIGRATIONS_PATH}`);
+    return [];
+  }
+  const entries = JSON.parse(readFileSync(journalPath, 'utf8')).entries || [];
+
+  db.exec('CREATE TABLE IF NOT EXISTS "__drizzle_migrations" (id SERIAL PRIMARY KEY, hash text NOT NULL, created_at numeric)');
+  const lastApplied = db.prepare('SELECT created_at FROM "__drizzle_migrations" ORDER BY created_at DESC LIMIT 1').get();
+
+  return entries
+    .filter(entry => entry.when > Number(lastApplied?.created_at ?? 0))
+    .map(entry => ({
+      tag: entry.tag,
+      sql: readFileSync(join(MIGRATIONS_PATH, `${entry.tag}.sql`), 'utf8'),
+      record: (hash) => db.prepare('INSERT INTO "__drizzle_migrations" ("hash", "created_at") VALUES (?, ?)').run(hash, entry.when),
+    }));
+}
+
+/**
+ * Find the .sql files of a sql-dir migrations directory that are not recorded in `__nuxfly_migrations`
+ */
+function findPendingSqlFiles(db) {
+  if (!existsSync(MIGRATIONS_PATH)) {
+    log(`No migrations found in ${MIGRATIONS_PATH}`);
+    return [];
+  }
+
+  db.exec(`CREATE TABLE IF NOT EXISTS "__nuxfly_migrations" (
+    name TEXT PRIMARY KEY,
+    hash TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  const applied = new Set(db.prepare('SELECT name FROM "__nuxfly_migrations"').all().map(row => row.name));
+
+  // Applied in name order, so files are usually prefixed with a number or timestamp
+  return readdirSync(MIGRATIONS_PATH)
+    .filter(file => file.endsWith('.sql'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(file => file.replace(/\.sql$/, ''))
+    .filter(name => !applied.has(name))
+    .map(name => ({
+      tag: name,
+      sql: readFileSync(join(MIGRATIONS_PATH, `${name}.sql`), 'utf8'),
+      record: (hash) => db.prepare('INSERT INTO "__nuxfly_migrations" (name, hash) VALUES (?, ?)').run(name, hash),
+    }));
+}
+
+/**
+ * Create the `fly` run history table, adding the columns older start.sh versions did not have
+ */
+function ensureFlyTable(db) {
+  db.exec(`CREATE TABLE IF NOT EXISTS fly (
+    id INTEGER PRIMARY KEY,
+    machine_version TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  const columns = db.prepare('PRAGMA table_info(fly)').all().map(column => column.name);
+  const added = { status: 'TEXT', migrations: 'INTEGER', duration_ms: 'INTEGER', error: 'TEXT' };
+  for (const [name, type] of Object.entries(added)) {
+    if (!columns.includes(name)) {
+      db.exec(`ALTER TABLE fly ADD COLUMN ${name} ${type}`);
+    }
+  }
+}
+
+/**
+ * Record a run in the `fly` table
+ */
+function recordRun(db, run) {
+  db.prepare('INSERT INTO fly (machine_version, status, migrations, duration_ms, error) VALUES (?, ?, ?, ?, ?)').run(
+    process.env.FLY_MACHINE_VERSION || 'unknown',
+    run.status,
+    run.migrations,
+    run.durationMs,
+    run.error || null,
+  );
+}
+
+/**
+ * Copy the database to the snapshot path, to go back to by hand if a migration succeeds but breaks the app
+ */
+function saveSnapshot(db) {
+  log(`Saving a snapshot to ${SNAPSHOT_PATH}...`);
+  rmSync(SNAPSHOT_PATH, { force: true });
+  db.exec(`VACUUM INTO '${SNAPSHOT_PATH.replace(/'/g, "''")}'`);
+}
+
+/**
+ * Check whether a sql-dir migration begins and commits its own transaction, so it cannot run inside ours
+ */
+function hasOwnTransaction(sql) {
+  // The BEGIN of a trigger body is followed by a statement, not a semicolon
+  return /^\s*BEGIN(\s+(DEFERRED|IMMEDIATE|EXCLUSIVE))?(\s+TRANSACTION)?\s*;/im.test(sql.replace(/--[^\n]*/g, ''));
+}
+
+/**
+ * Apply migrations in one transaction, a single migration that manages its own transaction runs as it is
+ */
+function applyInTransaction(db, migrations) {
+  const ownTransaction = migrations.length === 1 && hasOwnTransaction(migrations[0].sql);
+  let current;
+  try {
+    if (!ownTransaction) {
+      db.exec('BEGIN IMMEDIATE');
+    }
+    for (current of migrations) {
+      for (const statement of current.sql.split('--> statement-breakpoint')) {
+        if (statement.trim()) {
+          db.exec(statement);
+        }
+      }
+      current.record(createHash('sha256').update(current.sql).digest('hex'));
+      log(`Applied ${current.tag}`);
+    }
+    if (!ownTransaction) {
+      db.exec('COMMIT');
+    }
+  } catch (error) {
+    try {
+      db.exec('ROLLBACK');
+    } catch {
+      // No transaction was open
+    }
+    throw new Error(`${current?.tag}: ${error.message}`);
+  }
+}
+
+/**
+ * Apply pending migrations, drizzle migrations all or nothing with the same table and rules as drizzle's migrator
+ *
+ * sql-dir files get a transaction each, files may begin and commit their own, so a failure keeps the files before it.
+ */
+function applyMigrations(db, lastRun) {
+  const pending = MIGRATIONS_RUNNER === 'sql-dir' ? findPendingSqlFiles(db) : findPendingDrizzleMigrations(db);
+
+  if (pending.length === 0) {
+    log('No pending migrations');
+    if (lastRun?.machine_version !== (process.env.FLY_MACHINE_VERSION || 'unknown')) {
+      recordRun(db, { status: 'success', migrations: 0, durationMs: 0 });
+    }
+    return;
+  }
+
+  saveSnapshot(db);
+
+  log(`Applying ${pending.length} migration(s)...`);
+  const startedAt = Date.now();
+  const batches = MIGRATIONS_RUNNER === 'sql-dir' ? pending.map(migration => [migration]) : [pending];
+  let applied = 0;
+  for (const batch of batches) {
+    try {
+      applyInTransaction(db, batch);
+    } catch (error) {
+      recordRun(db, { status: 'failed', migrations: applied, durationMs: Date.now() - startedAt, error: error.message });
+      const kept = applied > 0 ? `, the ${applied} migration(s) before it stay applied` : '';
+      throw new Error(`Migration failed and was rolled back${kept}: ${error.message}`);
+    }
+    applied += batch.length;
+  }
+
+  const durationMs = Date.now() - startedAt;
+  recordRun(db, { status: 'success', migrations: applied, durationMs });
+  log(`Applied ${applied} migration(s) in ${durationMs}ms`);
+}
+
+/**
+ * Run the migration command of the prisma and command runners
+ *
+ * The tool decides what is pending and is not wrapped in a transaction, the snapshot is the way back.
+ * On boot it only runs when the machine version changed or its last run failed, `nuxfly db migrate` always runs it.
+ */
+function runMigrationCommand(db, lastRun, mode) {
+  if (!MIGRATIONS_COMMAND) {
+    throw new Error(`NUXFLY_MIGRATIONS_COMMAND is not set for the ${MIGRATIONS_RUNNER} runner, run 'nuxfly generate' and deploy again`);
+  }
+  if (mode === 'boot' && lastRun?.machine_version === (process.env.FLY_MACHINE_VERSION || 'unknown') && lastRun.status !== 'failed') {
+    log('Machine version unchanged, not running the migration command');
+    return;
+  }
+
+  saveSnapshot(db);
+
+  log(`Running ${MIGRATIONS_COMMAND}...`);
+  const startedAt = Date.now();
+  const result = spawnSync(MIGRATIONS_COMMAND, {
+    shell: true,
+    stdio: 'inherit',
+    cwd: existsSync(MIGRATIONS_WORKDIR) ? MIGRATIONS_WORKDIR : undefined,
+    env: {
+      ...process.env,
+      DATABASE_URL: `file:${DATABASE_PATH}`,
+      NUXFLY_MIGRATIONS_PATH: MIGRATIONS_PATH,
+    },
+  });
+  const durationMs = Date.now() - startedAt;
+
+  if (result.status !== 0) {
+    const error = result.error ? result.error.message : `exited with code ${result.status ?? result.signal}`;
+    recordRun(db, { status: 'failed', migrations: null, durationMs, error: `Migration command ${error}` });
+    throw new Error(`Migration command ${error}, restore ${SNAPSHOT_PATH} if it left the database half migrated`);
+  }
+
+  recordRun(db, { status: 'success', migrations: null, durationMs });
+  log(`Migration command finished in ${durationMs}ms`);
+}
+
+/**
+ * Migrate the database with the configured runner
+ */
+function migrate(mode) {
+  const db = new DatabaseSync(DATABASE_PATH);
+
+  try {
+    // Wait for the app or Litestream instead of failing when they hold a write lock
+    db.exec('PRAGMA busy_timeout = 30000');
+    ensureFlyTable(db);
+    const lastRun = db.prepare('SELECT machine_version, status FROM fly ORDER BY id DESC LIMIT 1').get();
+
+    if (MIGRATIONS_RUNNER === 'drizzle' || MIGRATIONS_RUNNER === 'sql-dir') {
+      applyMigrations(db, lastRun);
+    } else {
+      runMigrationCommand(db, lastRun, mode);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+const mode = process.argv[2] || 'boot';
+let releaseLock;
+try {
+  releaseLock = acquireLock();
+  if (mode === 'replica') {
+    await refreshReplica();
+  } else {
+    if (mode === 'boot') {
+      restoreDatabase();
+    }
+    migrate(mode);
+  }
+} catch (error) {
+  console.error(`${LOG_PREFIX} ${error.message}`);
+  process.exitCode = 1;
+} finally {
+  releaseLock?.();
+}
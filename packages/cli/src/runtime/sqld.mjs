@@ -0,0 +1,291 @@
+/**
+ * Minimal libsql/sqld compatible HTTP server (Hrana v2 over HTTP) for a local SQLite file.
+ *
+ * This script is piped to a Fly machine by `nuxfly studio` and run with
+ * `node --input-type=module - <database> <port> <token>`, so it must not import anything
+ * outside of Node.js built-ins. It requires Node.js 22.13+ for `node:sqlite`.
+ */
+import { createServer } from 'node:http';
+import { randomBytes } from 'node:crypto';
+
+const [databasePath = '/data/db.sqlite', port = '8080', token = ''] = process.argv.slice(2);
+
+// Imported here so older Node.js versions fail with a message instead of ERR_UNKNOWN_BUILTIN_MODULE
+const { DatabaseSync } = await import('node:sqlite').catch(() => {
+  console.error(`Node.js ${process.versions.node} has no node:sqlite, nuxfly studio needs Node.js 22.13+ on the machine`);
+  process.exit(1);
+});
+
+// Exit when nobody has talked to us for a while in case the ssh session was not closed cleanly
+const IDLE_TIMEOUT = 30 * 60 * 1000;
+
+const db = new DatabaseSync(databasePath);
+db.exec('PRAGMA busy_timeout = 5000');
+
+const storedSql = new Map();
+let idleTimer;
+
+/**
+ * Convert a Hrana value to a value node:sqlite can bind
+ */
+function fromHranaValue(value) {
+  switch (value?.type) {
+    case 'integer':
+      return BigInt(value.value);
+    case 'float':
+      return Number(value.value);
+    case 'text':
+      return value.value;
+    case 'blob':
+      return Buffer.from(value.base64 || '', 'base64');
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert a value returned by node:sqlite to a Hrana value
+ */
+function toHranaValue(value) {
+  if (value === null || value === undefined) {
+    return { type: 'null' };
+  }
+  if (typeof value === 'bigint') {
+    return { type: 'integer', value: value.toString() };
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { type: 'integer', value: String(value) } : { type: 'float', value };
+  }
+  if (value instanceof Uint8Array) {
+    return { type: 'blob', base64: Buffer.from(value).toString('base64') };
+  }
+  return { type: 'text', value: String(value) };
+}
+
+/**
+ * Check whether a statement returns rows
+ */
+function isReader(statement, sql) {
+  if (typeof statement.columns === 'function') {
+    return statement.columns().length > 0;
+  }
+  return /^\s*(select|pragma|with|values|explain)\b/i.test(sql) || /\breturning\b/i.test(sql);
+}
+
+/**
+ * Execute a single Hrana statement
+ */
+function executeStatement(stmt) {
+  const sql = stmt.sql ?? storedSql.get(stmt.sql_id);
+  if (sql === undefined) {
+    throw new Error('Statement has no SQL');
+  }
+
+  const statement = db.prepare(sql);
+  statement.setReadBigInts(true);
+
+  const params = [];
+  if (stmt.named_args?.length) {
+    const named = {};
+    for (const arg of stmt.named_args) {
+      named[arg.name.replace(/^[:@$]/, '')] = fromHranaValue(arg.value);
+    }
+    params.push(named);
+  }
+  params.push(...(stmt.args || []).map(fromHranaValue));
+
+  if (!isReader(statement, sql)) {
+    const info = statement.run(...params);
+    return {
+      cols: [],
+      rows: [],
+      affected_row_count: Number(info.changes),
+      last_insert_rowid: info.lastInsertRowid !== undefined ? String(info.lastInsertRowid) : null,
+    };
+  }
+
+  const rows = statement.all(...params);
+  const cols = typeof statement.columns === 'function'
+    ? statement.columns().map(column => ({ name: column.name, decltype: column.type ?? null }))
+    : Object.keys(rows[0] || {}).map(name => ({ name, decltype: null }));
+
+  return {
+    cols,
+    rows: stmt.want_rows === false ? [] : rows.map(row => cols.map(column => toHranaValue(row[column.name]))),
+    affected_row_count: 0,
+    last_insert_rowid: null,
+  };
+}
+
+/**
+ * Evaluate a batch step condition
+ */
+function evaluateCondition(condition, results, errors) {
+  if (!condition) {
+    return true;
+  }
+  switch (condition.type) {
+    case 'ok':
+      return results[condition.step] !== null && results[condition.step] !== undefined;
+    case 'error':
+      return errors[condition.step] !== null && errors[condition.step] !== undefined;
+    case 'not':
+      return !evaluateCondition(condition.cond, results, errors);
+    case 'and':
+      return condition.conds.every(cond => evaluateCondition(cond, results, errors));
+    case 'or':
+      return condition.conds.some(cond => evaluateCondition(cond, results, errors));
+    case 'is_autocommit':
+      return !db.isTransaction;
+    default:
+      throw new Error(`Unsupported batch condition: ${condition.type}`);
+  }
+}
+
+/**
+ * Execute a single pipeline request
+ */
+function executeRequest(request) {
+  switch (request.type) {
+    case 'execute':
+      return { type: 'execute', result: executeStatement(request.stmt) };
+
+    case 'batch': {
+      const results = [];
+      const errors = [];
+      for (const step of request.batch.steps) {
+        if (!evaluateCondition(step.condition, results, errors)) {
+          results.push(null);
+          errors.push(null);
+          continue;
+        }
+        try {
+          results.push(executeStatement(step.stmt));
+          errors.push(null);
+        } catch (error) {
+          results.push(null);
+          errors.push({ message: error.message });
+        }
+      }
+      return { type: 'batch', result: { step_results: results, step_errors: errors } };
+    }
+
+    case 'sequence': {
+      const sql = request.sql ?? storedSql.get(request.sql_id);
+      db.exec(sql);
+      return { type: 'sequence' };
+    }
+
+    case 'describe': {
+      const sql = request.sql ?? storedSql.get(request.sql_id);
+      const statement = db.prepare(sql);
+      return {
+        type: 'describe',
+        result: {
+          params: [],
+          cols: typeof statement.columns === 'function'
+            ? statement.columns().map(column => ({ name: column.name, decltype: column.type ?? null }))
+            : [],
+          is_explain: /^\s*explain\b/i.test(sql),
+          is_readonly: isReader(statement, sql),
+        },
+      };
+    }
+
+    case 'store_sql':
+      storedSql.set(request.sql_id, request.sql);
+      return { type: 'store_sql' };
+
+    case 'close_sql':
+      storedSql.delete(request.sql_id);
+      return { type: 'close_sql' };
+
+    case 'get_autocommit':
+      return { type: 'get_autocommit', is_autocommit: !db.isTransaction };
+
+    case 'close':
+      return { type: 'close' };
+
+    default:
+      throw new Error(`Unsupported request type: ${request.type}`);
+  }
+}
+
+/**
+ * Handle a Hrana pipeline body
+ */
+function handlePipeline(body) {
+  let closed = false;
+  const results = body.requests.map((request) => {
+    if (request.type === 'close') {
+      closed = true;
+    }
+    try {
+      return { type: 'ok', response: executeRequest(request) };
+    } catch (error) {
+      return { type: 'error', error: { message: error.message, code: error.code || 'SQLITE_ERROR' } };
+    }
+  });
+
+  return {
+    baton: closed ? null : (body.baton || randomBytes(16).toString('hex')),
+    base_url: null,
+    results,
+  };
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = createServer((req, res) => {
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(shutdown, IDLE_TIMEOUT);
+
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return sendJson(res, 401, { error: 'Unauthorized' });
+  }
+
+  if (req.method === 'GET' && (req.url === '/v2' || req.url === '/health')) {
+    res.writeHead(200);
+    return res.end();
+  }
+
+  if (req.method !== 'POST' || req.url !== '/v2/pipeline') {
+    return sendJson(res, 404, { error: 'Not found' });
+  }
+
+  let data = '';
+  req.on('data', (chunk) => {
+    data += chunk;
+  });
+  req.on('end', () => {
+    try {
+      sendJson(res, 200, handlePipeline(JSON.parse(data)));
+    } catch (error) {
+      sendJson(res, 400, { error: error.message });
+    }
+  });
+});
+
+/**
+ * Close the database and stop the server
+ */
+function shutdown() {
+  server.close();
+  db.close();
+  process.exit(0);
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+process.on('SIGHUP', shutdown);
+
+server.listen(Number(port), '::', () => {
+  idleTimer = setTimeout(shutdown, IDLE_TIMEOUT);
+  console.log(`nuxfly-sqld listening on port ${port} for ${databasePath}`);
+});
@@ -1,39 +1,28 @@
 /**
  * Generate database-related configuration files
  */
+import { readFileSync } from 'fs';
 import { readFile } from 'fs/promises';
-import { join } from 'path';
+import { dirname, join } from 'path';
+import { fileURLToPath } from 'url';
 import { fileExists } from '../utils/filesystem.mjs';
 
 /**
- * Extract drizzle versions from project package.json
+ * Read the dependencies of the project package.json, the generated package.json pins the same versions
  */
-async function getDrizzleVersions() {
+async function getProjectDependencies() {
   const packageJsonPath = join(process.cwd(), 'package.json');
-  
+
   if (!fileExists(packageJsonPath)) {
-    return {
-      drizzleKitVersion: '^0.31.3',
-      drizzleOrmVersion: '^0.44.2'
-    };
+    return {};
   }
-  
+
   try {
-    const packageJsonContent = await readFile(packageJsonPath, 'utf-8');
-    const packageJson = JSON.parse(packageJsonContent);
-    
-    const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
-    
-    return {
-      drizzleKitVersion: dependencies['drizzle-kit'] || '^0.31.3',
-      drizzleOrmVersion: dependencies['drizzle-orm'] || '^0.44.2'
-    };
+    const packageJson = JSON.parse(await readFile(packageJsonPath, 'utf-8'));
+    return { ...packageJson.dependencies, ...packageJson.devDependencies };
   } catch (error) {
-    console.warn('Failed to read package.json, using default drizzle versions:', error.message);
-    return {
-      drizzleKitVersion: '^0.31.3',
-      drizzleOrmVersion: '^0.44.2'
-    };
+    console.warn('Failed to read package.json, using default migration tool versions:', error.message);
+    return {};
   }
 }
 
@@ -61,114 +50,192 @@ export function generateLitestreamConfig(config = {}) {
   const syncInterval = config.syncInterval || '30s';
   const retention = config.retention || '96h';
   const snapshotInterval = config.snapshotInterval || '2h';
+  const databasePath = config.databasePath || '/data/db.sqlite';
+  const metaPath = config.metaPath || '/data/db.litestream-meta';
+  const replicaPath = config.replicaPath || 'litestream/';
+  const validationInterval = config.validationInterval
+    ? `        # Restore the replica and compare checksums with the database
+        validation-interval: ${config.validationInterval}
+`
+    : '';
+  // Encrypt every replica with the age keypair from the LITESTREAM_AGE_* secrets, restores decrypt with the identity
+  const ageConfig = config.encrypt
+    ? `        age:
+          identities:
+            - \${LITESTREAM_AGE_IDENTITY}
+          recipients:
+            - \${LITESTREAM_AGE_RECIPIENT}
+`
+    : '';
+  const settings = `        # How often WAL changes are shipped to the replica
+        sync-interval: ${syncInterval}
+        # How long snapshots and WAL files are kept
+        retention: ${retention}
+        # How often a full snapshot is taken
+        snapshot-interval: ${snapshotInterval}
+${validationInterval}${ageConfig}`;
+
+  // Named databases replicate next to the main one, each under its own path in every replica
+  const databases = [
+    { path: databasePath, metaPath, replicaPath, replicas: config.replicas || [] },
+    ...(config.databases || []).map(database => ({
+      path: database.path,
+      metaPath: database.path.replace(/\.sqlite$/, '.litestream-meta'),
+      replicaPath: nestReplicaPath(replicaPath, database.name),
+      replicas: (config.replicas || []).map(replica => ({ ...replica, path: nestReplicaPath(replica.path, database.name) })),
+    })),
+  ];
 
   return `dbs:
-  - path: /data/db.sqlite
-    meta-path: /data/db.litestream-meta
+${databases.map(database => `  - path: ${database.path}
+    meta-path: ${database.metaPath}
     replicas:
-      - type: s3
+      - name: primary
+        type: s3
         bucket: \${LITESTREAM_S3_BUCKET_NAME}
-        path: litestream/
+        path: ${database.replicaPath}
         endpoint: \${LITESTREAM_S3_ENDPOINT_URL}
         region: \${LITESTREAM_S3_REGION}
         access-key-id: \${LITESTREAM_S3_ACCESS_KEY_ID}
         secret-access-key: \${LITESTREAM_S3_SECRET_ACCESS_KEY}
-        # Sync every 30 seconds for near real-time backup
-        sync-interval: ${syncInterval}
-        # Retain snapshots for 4 days
-        retention: ${retention}
-        # Snapshot interval - create full snapshots every hour
-        snapshot-interval: ${snapshotInterval}
+${settings}${database.replicas.map(replica => `${generateReplicaConfig(replica)}${ageConfig}`).join('')}`).join('')}`;
+}
+
+/**
+ * Generate litefs.yml content, see https://fly.io/docs/litefs/config/
+ *
+ * Machines in the primary region are candidates for the primary lease, the others are read replicas.
+ * A consul lease moves to another candidate when the primary goes away, a static lease always belongs
+ * to the machine in the primary region.
+ */
+export function generateLiteFSConfig(replication = {}) {
+  const lease = replication.lease === 'static'
+    ? `lease:
+  type: "static"
+  candidate: \${FLY_REGION == PRIMARY_REGION}
+  # Run a single machine in the primary region, the replicas connect to it here
+  advertise-url: "http://\${PRIMARY_REGION}.\${FLY_APP_NAME}.internal:20202"
+`
+    : `lease:
+  type: "consul"
+  candidate: \${FLY_REGION == PRIMARY_REGION}
+  promote: true
+  advertise-url: "http://\${FLY_MACHINE_ID}.vm.\${FLY_APP_NAME}.internal:20202"
+  consul:
+    # Set by 'fly consul attach', nuxfly launch runs it
+    url: "\${FLY_CONSUL_URL}"
+    key: "litefs/\${FLY_APP_NAME}"
 `;
+
+  return `# LiteFS configuration generated by nuxfly
+fuse:
+  # The app opens the databases here, see DATABASE_PATH in fly.toml
+  dir: "/litefs"
+
+data:
+  # LiteFS keeps its copy of the databases on the volume
+  dir: "/data/litefs"
+
+# Keep the machine up when LiteFS fails so it can be inspected with 'fly ssh console'
+exit-on-error: false
+
+${lease}
+exec:
+  # Migrate once this machine holds the lease, the replicas receive the migrated database
+  - cmd: "/start.sh migrate"
+    if-candidate: true
+  - cmd: "/start.sh app"
+`;
+}
+
+/**
+ * Get the replica path of a named database, nested in the main database's path
+ */
+function nestReplicaPath(path, name) {
+  return path ? `${path.replace(/\/+$/, '')}/${name}/` : `${name}/`;
+}
+
+/**
+ * Generate an additional replica entry, camelCase option keys become litestream's kebab-case keys
+ */
+function generateReplicaConfig(replica) {
+  const lines = Object.entries(replica)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}: ${formatYamlValue(value)}`);
+
+  return `      - ${lines.join('\n        ')}\n`;
+}
+
+/**
+ * Quote a YAML scalar unless it is plain, litestream expands \${VAR} references before parsing
+ */
+function formatYamlValue(value) {
+  if (typeof value !== 'string' || /^[\w${}./:@-]+$/.test(value)) {
+    return `${value}`;
+  }
+  return JSON.stringify(value);
 }
 
 /**
  * Generate start.sh content
  */
-export function generateStartScript() {
+export function generateStartScript(config = {}, migrations) {
+  if (config.replication?.mode === 'litefs') {
+    return generateLiteFSStartScript(config, migrations);
+  }
+
+  const replicaNames = ['primary', ...(config.replicas || []).map(replica => replica.name)];
+  const databases = config.databases || [];
+  const namedBoot = databases.length > 0
+    ? `
+# Restore and migrate the named databases the same way, each in a subshell so their settings do not leak
+${generateNamedBoot(databases)}`
+    : '';
+
   return `#!/bin/bash
 set -e
 
 DATABASE_PATH=\${DATABASE_PATH:-"/data/db.sqlite"}
-DRIZZLE_CMD="npx drizzle-kit migrate"
+MAINTENANCE_FILE=/data/.nuxfly-maintenance
+LITESTREAM_REPLICAS="${replicaNames.join(' ')}"
 
-# Function to check and run migrations if version changed
-check_and_migrate() {
-    echo "Checking for version changes..."
-    
-    # Get current version from environment
-    CURRENT_VERSION=\${FLY_MACHINE_VERSION:-"unknown"}
-    echo "Current FLY_MACHINE_VERSION: $CURRENT_VERSION"
-    
-    # Create fly table if it doesn't exist
-    sqlite3 $DATABASE_PATH "CREATE TABLE IF NOT EXISTS fly (
-        id INTEGER PRIMARY KEY,
-        machine_version TEXT NOT NULL,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );"
-    
-    # Get stored version from database
-    STORED_VERSION=$(sqlite3 $DATABASE_PATH "SELECT machine_version FROM fly ORDER BY id DESC LIMIT 1;" 2>/dev/null || echo "")
-    echo "Stored version: \${STORED_VERSION:-"none"}"
-    
-    # Check if version has changed
-    if [ "$CURRENT_VERSION" != "$STORED_VERSION" ]; then
-        echo "Version changed from '\${STORED_VERSION:-"none"}' to '$CURRENT_VERSION'"
-        echo "Running database migrations..."
-        
-        cd /app/dist/db/
-        DATABASE_PATH=$DATABASE_PATH $DRIZZLE_CMD
-        
-        # Update stored version in database
-        if [ -z "$STORED_VERSION" ]; then
-            # Insert first record
-            sqlite3 $DATABASE_PATH "INSERT INTO fly (machine_version) VALUES ('$CURRENT_VERSION');"
-        else
-            # Insert new record (keeping history)
-            sqlite3 $DATABASE_PATH "INSERT INTO fly (machine_version) VALUES ('$CURRENT_VERSION');"
-        fi
-        
-        echo "Version updated to: $CURRENT_VERSION"
-    else
-        echo "Version unchanged, skipping migrations"
-    fi
-}
+# Keep the machine up without the app or Litestream while nuxfly works on the database
+if [ -f $MAINTENANCE_FILE ]; then
+    echo "Maintenance mode ($MAINTENANCE_FILE exists), not starting the app"
+    exec sleep infinity
+fi
+
+# Read replicas serve a copy of the database restored from Litestream, see nuxfly scale regions add
+if [ "$1" = "replica" ]; then
+    export DATABASE_PATH LITESTREAM_REPLICAS
+    REPLICA_INTERVAL=\${NUXFLY_REPLICA_INTERVAL:-"60"}
+    refresh_databases() {
+        node --disable-warning=ExperimentalWarning /app/boot.mjs replica || return 1
+${databases.map(database => `        DATABASE_PATH=${database.path} node --disable-warning=ExperimentalWarning /app/boot.mjs replica || return 1\n`).join('')}    }
 
-# Check if database exists, if not, restore from backup
-if [ ! -f $DATABASE_PATH ]; then
-    echo "Database not found, attempting to restore from backup..."
-    if litestream restore -config /etc/litestream.yml $DATABASE_PATH; then
-        echo "Database restored successfully from backup"
-        # Check for version changes after restore
-        check_and_migrate
-    else
-        echo "No backup found or restore failed, will start with fresh database"
-        mkdir -p $(dirname $DATABASE_PATH)
-        echo "Running database migrations..."
-        cd /app/dist/db/
-        DATABASE_PATH=$DATABASE_PATH $DRIZZLE_CMD
-        
-        # Initialize version tracking for new database
-        CURRENT_VERSION=\${FLY_MACHINE_VERSION:-"unknown"}
-        sqlite3 $DATABASE_PATH "CREATE TABLE IF NOT EXISTS fly (
-            id INTEGER PRIMARY KEY,
-            machine_version TEXT NOT NULL,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        );"
-        sqlite3 $DATABASE_PATH "INSERT INTO fly (machine_version) VALUES ('$CURRENT_VERSION');"
-        echo "Initialized version tracking with: $CURRENT_VERSION"
+    if ! refresh_databases; then
+        [ -f $DATABASE_PATH ] || exit 1
+        echo "Refreshing the database failed, serving the previous copy"
     fi
-else
-    # Database exists, check for version changes
-    check_and_migrate
+    # A failed refresh keeps serving the previous copy until the next one
+    (while sleep $REPLICA_INTERVAL; do refresh_databases || true; done) &
+
+    cd /app
+    export NUXT_NUXFLY_DB_URL="file:$DATABASE_PATH" NUXT_NUXFLY_DB_READ_ONLY=true
+${databases.map(database => `    export ${database.urlEnv}="file:${database.path}"\n`).join('')}    exec node dist/index.mjs
 fi
 
+# Restore the database if it is missing and apply pending migrations, the app does not start when this fails
+export DATABASE_PATH LITESTREAM_REPLICAS
+${generateMigrationsEnv(migrations)}
+node --disable-warning=ExperimentalWarning /app/boot.mjs
+${namedBoot}
 # Start Litestream with exec - this will start replication and run the Node.js app
 # We map the default environment variables to the Nuxt runtime config equivalents
 cd /app
 
 export NUXT_NUXFLY_DB_URL="file:$DATABASE_PATH"
-
+${generateNamedUrls(databases)}
 if [ -z "$LITESTREAM_S3_ACCESS_KEY_ID" ]; then
     echo "LITESTREAM_S3_ACCESS_KEY_ID is not set, skipping litestream backup!!"
     exec node dist/index.mjs
@@ -180,22 +247,259 @@ fi
 }
 
 /**
- * Generate package.json for drizzle-kit installation
+ * Generate start.sh for LiteFS replication, LiteFS runs it again to migrate and to start the app, see litefs.yml
  */
-export async function generateDrizzlePackageJson(config = {}) {
-  const versions = await getDrizzleVersions();
-  const drizzleKitVersion = config.drizzleKitVersion || versions.drizzleKitVersion;
-  const drizzleOrmVersion = config.drizzleOrmVersion || versions.drizzleOrmVersion;
+function generateLiteFSStartScript(config, migrations) {
+  const databases = config.databases || [];
+
+  return `#!/bin/bash
+set -e
+
+DATABASE_PATH=\${DATABASE_PATH:-"/litefs/db.sqlite"}
+MAINTENANCE_FILE=/data/.nuxfly-maintenance
+export DATABASE_PATH NUXFLY_DATA_DIR=/data
+
+case "$1" in
+    migrate)
+        # Only the primary can write, LiteFS replicates the migrated database to the other machines
+        ${generateMigrationsEnv(migrations).replace(/\n/g, '\n        ')}
+        node --disable-warning=ExperimentalWarning /app/boot.mjs migrate
+${databases.length > 0 ? `        ${generateNamedBoot(databases, 'migrate').trimEnd().replace(/\n/g, '\n        ')}\n` : ''}        exit 0
+        ;;
+    app)
+        # We map the default environment variables to the Nuxt runtime config equivalents
+        cd /app
+        export NUXT_NUXFLY_DB_URL="file:$DATABASE_PATH"
+${databases.length > 0 ? `        ${generateNamedUrls(databases).trimEnd().replace(/\n/g, '\n        ')}\n` : ''}        exec node dist/index.mjs
+        ;;
+esac
+
+# Keep the machine up without the app or LiteFS while nuxfly works on the database
+if [ -f $MAINTENANCE_FILE ]; then
+    echo "Maintenance mode ($MAINTENANCE_FILE exists), not starting the app"
+    exec sleep infinity
+fi
+
+echo "Starting LiteFS with Node.js application..."
+exec litefs mount -config /etc/litefs.yml
+`;
+}
+
+/**
+ * Generate the boot runner calls of the named databases, each in a subshell so their settings do not leak
+ *
+ * A named database without migrations points the boot runner at a directory that does not exist.
+ */
+function generateNamedBoot(databases, mode) {
+  return databases.map(database => `(
+    export DATABASE_PATH=${database.path} NUXFLY_MIGRATIONS_PATH=/app/dist/db/databases/${database.name}
+    ${generateMigrationsEnv(database.migrations || { runner: 'sql-dir' }).replace(/\n/g, '\n    ')}
+    node --disable-warning=ExperimentalWarning /app/boot.mjs${mode ? ` ${mode}` : ''}
+)
+`).join('');
+}
+
+/**
+ * Generate the runtime config url exports of the named databases
+ */
+function generateNamedUrls(databases) {
+  return databases.map(database => `export ${database.urlEnv}="file:${database.path}"\n`).join('');
+}
+
+/**
+ * Generate boot.mjs content, the runner start.sh uses to restore and migrate the database
+ */
+export function generateBootScript() {
+  return readFileSync(join(dirname(fileURLToPath(import.meta.url)), '..', 'runtime', 'boot.mjs'), 'utf8');
+}
+
+/**
+ * Generate package.json for the migration tools the boot runner needs, see getMigrationOptions
+ *
+ * The named databases of nuxfly.databases can use other runners, their dependencies are installed too.
+ */
+export async function generateMigrationsPackageJson(migrations = { runner: 'drizzle' }, databases = []) {
+  const versions = await getProjectDependencies();
+  const runnerDependencies = {
+    drizzle: {
+      'drizzle-kit': versions['drizzle-kit'] || '^0.31.3',
+      'drizzle-orm': versions['drizzle-orm'] || '^0.44.2',
+    },
+    prisma: {
+      prisma: versions.prisma || '^6.0.0',
+    },
+  };
+  const dependencies = [migrations, ...databases.map(database => database.migrations).filter(Boolean)]
+    .reduce((all, options) => ({ ...all, ...runnerDependencies[options.runner], ...options.dependencies }), {});
 
   return JSON.stringify({
     "name": "nuxfly-db",
     "private": true,
-    "scripts": {
-      "migrate": "drizzle-kit migrate"
-    },
-    "dependencies": {
-      "drizzle-kit": drizzleKitVersion,
-      "drizzle-orm": drizzleOrmVersion
-    }
+    "dependencies": dependencies
   }, null, 2);
-}
\ No newline at end of file
+}
+
+/**
+ * Generate the environment exports that tell the boot runner how to migrate
+ */
+function generateMigrationsEnv(migrations = { runner: 'drizzle' }) {
+  const lines = [`export NUXFLY_MIGRATIONS_RUNNER=${migrations.runner}`];
+  if (migrations.command) {
+    // Single quoted so the command's own variables expand when the boot runner runs it
+    lines.push(`export NUXFLY_MIGRATIONS_COMMAND='${migrations.command.replace(/'/g, `'\\''`)}'`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Generate a script that unpacks shipped migrations on a running machine and applies them
+ *
+ * Without an archive the migrations already in the image are applied, the command runner may have none to ship.
+ */
+export function generateMigrateScript(migrationsArchive, migrations) {
+  // Wrap the base64 payload so the heredoc does not contain one huge line
+  const unpack = migrationsArchive
+    ? `echo "Unpacking migrations to $MIGRATIONS_PATH..."
+rm -rf $MIGRATIONS_PATH
+mkdir -p $MIGRATIONS_PATH
+base64 -d <<'NUXFLY_MIGRATIONS' | tar -xzf - -C $MIGRATIONS_PATH
+${migrationsArchive.match(/.{1,76}/g).join('\n')}
+NUXFLY_MIGRATIONS
+
+`
+    : '';
+
+  return `set -e
+
+DATABASE_PATH=\${DATABASE_PATH:-"/data/db.sqlite"}
+MIGRATIONS_PATH=/app/dist/db/drizzle/migrations
+DRIZZLE_CMD="npx drizzle-kit migrate"
+
+# LiteFS read replicas cannot write, it names the primary next to the databases
+PRIMARY_FILE=$(dirname $DATABASE_PATH)/.primary
+if [ -f $PRIMARY_FILE ]; then
+    echo "This machine is a LiteFS read replica of $(cat $PRIMARY_FILE), migrations can only be applied on the primary" >&2
+    exit 1
+fi
+
+${unpack}# The boot runner applies and records migrations itself, images built before it shipped use drizzle-kit
+if [ -f /app/boot.mjs ]; then
+    export DATABASE_PATH NUXFLY_MIGRATIONS_PATH=$MIGRATIONS_PATH
+    ${generateMigrationsEnv(migrations).replace(/\n/g, '\n    ')}
+    node --disable-warning=ExperimentalWarning /app/boot.mjs migrate
+    exit 0
+fi
+
+echo "Running database migrations..."
+cd /app/dist/db/
+DATABASE_PATH=$DATABASE_PATH $DRIZZLE_CMD
+
+# Record the run in the version tracking table
+CURRENT_VERSION=\${FLY_MACHINE_VERSION:-"unknown"}
+sqlite3 $DATABASE_PATH "CREATE TABLE IF NOT EXISTS fly (
+    id INTEGER PRIMARY KEY,
+    machine_version TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);"
+sqlite3 $DATABASE_PATH "INSERT INTO fly (machine_version) VALUES ('$CURRENT_VERSION');"
+echo "Recorded migration run for version: $CURRENT_VERSION"
+`;
+}
+
+/**
+ * Generate a read-only script that reports volume, database and Litestream state, one marked section each
+ */
+export function generateStatusScript() {
+  return `DATABASE_PATH=\${DATABASE_PATH:-"/data/db.sqlite"}
+
+echo "### nuxfly:disk"
+df -Pk /data | tail -n 1
+
+echo "### nuxfly:database"
+stat -c %s $DATABASE_PATH 2>/dev/null
+
+echo "### nuxfly:fly"
+# Every column, databases from before the boot runner have no status columns
+sqlite3 -json -readonly $DATABASE_PATH "SELECT * FROM fly ORDER BY id DESC LIMIT 1;" 2>/dev/null
+
+echo "### nuxfly:migration"
+sqlite3 -json -readonly $DATABASE_PATH "SELECT hash, created_at FROM __drizzle_migrations ORDER BY created_at DESC LIMIT 1;" 2>/dev/null
+
+echo "### nuxfly:generations"
+litestream generations -config /etc/litestream.yml $DATABASE_PATH 2>/dev/null
+
+echo "### nuxfly:snapshots"
+litestream snapshots -config /etc/litestream.yml $DATABASE_PATH 2>/dev/null
+exit 0
+`;
+}
+
+/**
+ * Generate a read-only script that reports the machine's clock and the Litestream generations, for a deploy restore point
+ */
+export function generateRestorePointScript() {
+  return `DATABASE_PATH=\${DATABASE_PATH:-"/data/db.sqlite"}
+
+echo "### nuxfly:time"
+date -u +%Y-%m-%dT%H:%M:%SZ
+
+echo "### nuxfly:generations"
+litestream generations -config /etc/litestream.yml $DATABASE_PATH 2>/dev/null
+exit 0
+`;
+}
+
+/**
+ * Generate a script that restores the latest replica generation next to the live database, without touching it
+ */
+export function generateVerifyRestoreScript(restorePath) {
+  return `set -e
+DATABASE_PATH=\${DATABASE_PATH:-"/data/db.sqlite"}
+
+rm -f ${restorePath}
+litestream restore -config /etc/litestream.yml -o ${restorePath} $DATABASE_PATH
+
+echo "### nuxfly:snapshots"
+litestream snapshots -config /etc/litestream.yml $DATABASE_PATH
+`;
+}
+
+/**
+ * Generate a script that replaces the database with a Litestream restore, keeping a copy of the current one
+ *
+ * Only run it while the machine is in maintenance mode, the app and Litestream must not have the database open.
+ */
+export function generateRestoreScript(options) {
+  // A deploy restore point sets both, a point in time within the generation
+  const target = [
+    options.generation && `-generation ${options.generation}`,
+    options.timestamp && `-timestamp ${options.timestamp}`,
+  ].filter(Boolean).join(' ');
+
+  return `set -e
+DATABASE_PATH=\${DATABASE_PATH:-"/data/db.sqlite"}
+SAFETY_PATH=${options.safetyPath}
+META_PATH=$(sed -n 's/^ *meta-path: *//p' /etc/litestream.yml 2>/dev/null | head -n 1)
+META_PATH=\${META_PATH:-"/data/db.litestream-meta"}
+
+if [ -f $DATABASE_PATH ]; then
+    echo "Saving the current database to $SAFETY_PATH..."
+    sqlite3 $DATABASE_PATH ".backup '$SAFETY_PATH'"
+fi
+
+# Restore next to the database so a failed restore leaves it untouched
+echo "Restoring from Litestream (${target})..."
+rm -f $DATABASE_PATH.nuxfly-restore
+if ! litestream restore -config /etc/litestream.yml -o $DATABASE_PATH.nuxfly-restore ${target} $DATABASE_PATH; then
+    rm -f $DATABASE_PATH.nuxfly-restore
+    echo "Restore failed, the database was not changed" >&2
+    exit 1
+fi
+
+# Drop the old WAL and Litestream state, replication starts a new generation from the restored database
+rm -f $DATABASE_PATH $DATABASE_PATH-wal $DATABASE_PATH-shm
+rm -rf $META_PATH
+mv $DATABASE_PATH.nuxfly-restore $DATABASE_PATH
+echo "Database restored"
+`;
+}
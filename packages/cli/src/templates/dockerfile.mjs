@@ -3,37 +3,57 @@
  */
 export function generateDockerfile(config = {}) {
   const nodeVersion = config.nodeVersion || '22';
+  // drizzle.config.ts only belongs to drizzle projects
+  const drizzleConfig = (config.migrations?.runner || 'drizzle') === 'drizzle'
+    ? 'COPY .nuxfly/drizzle.config.ts /app/dist/db/drizzle.config.ts\n'
+    : '';
+  // Migrations of the named databases from nuxfly.databases, see copyMigrations
+  const databaseMigrations = (config.databases || []).some(database => database.migrations?.path)
+    ? 'COPY .nuxfly/databases /app/dist/db/databases\n'
+    : '';
+  // LiteFS replaces Litestream, it needs FUSE to mount the databases
+  const litefs = config.replication?.mode === 'litefs';
+  const packages = litefs ? 'sqlite3 curl ca-certificates fuse3' : 'sqlite3 curl ca-certificates';
+  const replicationInstall = litefs
+    ? `# Install LiteFS
+COPY --from=flyio/litefs:0.5 /usr/local/bin/litefs /usr/local/bin/litefs`
+    : `# Install Litestream
+RUN curl -L https://github.com/benbjohnson/litestream/releases/download/v0.3.13/litestream-v0.3.13-linux-amd64.tar.gz | tar -xz -C /usr/local/bin`;
+  const replicationConfig = litefs
+    ? `# Copy LiteFS configuration, startup script and boot runner
+COPY .nuxfly/litefs.yml /etc/litefs.yml`
+    : `# Copy Litestream configuration, startup script and boot runner
+COPY .nuxfly/litestream.yml /etc/litestream.yml`;
 
   return `# Dockerfile for Nuxt application generated by nuxfly
 FROM node:${nodeVersion}-slim
 ENV PNPM_HOME=/pnpm
 ENV PATH="$PNPM_HOME:$PATH"
-RUN apt-get -y update && apt-get install -y sqlite3 curl ca-certificates
+# sqlite3 is only for nuxfly db shell, db query, status and restore, boot.mjs uses node:sqlite
+RUN apt-get -y update && apt-get install -y ${packages}
 
-# Install Litestream
-RUN curl -L https://github.com/benbjohnson/litestream/releases/download/v0.3.13/litestream-v0.3.13-linux-amd64.tar.gz | tar -xz -C /usr/local/bin
+${replicationInstall}
 
-# Install drizzle CLI and copy migrations
+# Install the migration tool and copy migrations
 COPY .nuxfly/package.json /app/dist/db/package.json
 COPY .nuxfly/package-lock.json /app/dist/db/package-lock.json
-COPY .nuxfly/drizzle.config.ts /app/dist/db/drizzle.config.ts
-COPY .nuxfly/migrations /app/dist/db/drizzle/migrations
-RUN cd /app/dist/db && npm install
+${drizzleConfig}COPY .nuxfly/migrations /app/dist/db/drizzle/migrations
+${databaseMigrations}RUN cd /app/dist/db && npm install
 
 # Copy app files (assume already built)
 COPY .output/server /app/dist
 COPY .output/public /app/public
 
-# Copy Litestream configuration and startup script
-COPY .nuxfly/litestream.yml /etc/litestream.yml
+${replicationConfig}
 COPY .nuxfly/start.sh /start.sh
+COPY .nuxfly/boot.mjs /app/boot.mjs
 RUN mkdir -p /data && chmod +x /start.sh
 
 WORKDIR /app
 EXPOSE 3000
 ENV NODE_ENV=production
 
-# This is overridden in fly.toml to use /start.sh to enable Litestream continuous backup
+# This is overridden in fly.toml to use /start.sh to enable Litestream continuous backup or LiteFS replication
 CMD ["/start.sh"]
 `;
 }
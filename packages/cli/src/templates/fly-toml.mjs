@@ -14,6 +14,8 @@ export function generateFlyToml(config = {}) {
     volumes = [],
     build = {},
     statics = [],
+    processes = {},
+    databasePath,
   } = config;
 
   // Add default nuxfly configuration
@@ -47,6 +49,15 @@ export function generateFlyToml(config = {}) {
   }
   toml += '\n';
 
+  // Process groups, e.g. the read replicas of `nuxfly scale regions add`
+  if (Object.keys(processes).length > 0) {
+    toml += '[processes]\n';
+    for (const [name, command] of Object.entries(processes)) {
+      toml += `  ${name} = "${command}"\n`;
+    }
+    toml += '\n';
+  }
+
   // Volumes configuration
   if (volumes.length > 0) {
     for (const volume of volumes) {
@@ -63,7 +74,7 @@ export function generateFlyToml(config = {}) {
   toml += '  auto_stop_machines = "stop"\n';
   toml += '  auto_start_machines = true\n';
   toml += `  min_machines_running = ${instances.min}\n`;
-  toml += '  processes = ["app"]\n\n';
+  toml += `  processes = [${(Object.keys(processes).length > 0 ? Object.keys(processes) : ['app']).map(name => `"${name}"`).join(', ')}]\n\n`;
   // HTTP service ports
   toml += '  [http_service.concurrency]\n';
   toml += '    type = "requests"\n';
@@ -85,10 +96,13 @@ export function generateFlyToml(config = {}) {
   toml += '#      path = "/"\n';
   toml += '#      timeout = "5s"\n\n';
 
+  // LiteFS serves the database from its mount, start.sh and the nuxfly db scripts read the path from here
+  const machineEnv = databasePath ? { ...env, DATABASE_PATH: databasePath, NUXFLY_DATA_DIR: '/data' } : env;
+
   // Environment variables
-  if (Object.keys(env).length > 0) {
+  if (Object.keys(machineEnv).length > 0) {
     toml += '[env]\n';
-    for (const [key, value] of Object.entries(env)) {
+    for (const [key, value] of Object.entries(machineEnv)) {
       // Handle different value types
       if (typeof value === 'string') {
         toml += `  ${key} = "${value}"\n`;
@@ -126,6 +140,7 @@ export function parseFlyToml(content) {
     cpus: 1,
     env: {},
     volumes: [],
+    processes: {},
   };
 
   const lines = content.split('\n');
@@ -172,6 +187,8 @@ export function parseFlyToml(content) {
       }
     } else if (currentSection === 'env') {
       config.env[key] = cleanValue;
+    } else if (currentSection === 'processes') {
+      config.processes[key] = cleanValue;
     } else if (currentSection === '[[mounts]]' && currentMount) {
       if (key === 'source') {
         currentMount.name = cleanValue;
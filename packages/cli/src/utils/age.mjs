@@ -0,0 +1,80 @@
+import { generateKeyPairSync } from 'crypto';
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_GENERATORS = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+
+/**
+ * Generate an age X25519 keypair, the identity decrypts and the recipient encrypts
+ *
+ * Keys use the same bech32 encoding as `age-keygen`: `AGE-SECRET-KEY-1...` and `age1...`.
+ */
+export function generateAgeKeyPair() {
+  const { privateKey, publicKey } = generateKeyPairSync('x25519');
+  const privateJwk = privateKey.export({ format: 'jwk' });
+  const publicJwk = publicKey.export({ format: 'jwk' });
+
+  return {
+    identity: bech32Encode('age-secret-key-', Buffer.from(privateJwk.d, 'base64url')).toUpperCase(),
+    recipient: bech32Encode('age', Buffer.from(publicJwk.x, 'base64url')),
+  };
+}
+
+/**
+ * Encode bytes as bech32 (BIP 173) without the 90 character limit, as age does
+ */
+function bech32Encode(hrp, bytes) {
+  const data = convertBits(bytes, 8, 5);
+  const checksum = bech32Checksum(hrp, data);
+  return `${hrp}1${[...data, ...checksum].map(value => BECH32_CHARSET[value]).join('')}`;
+}
+
+/**
+ * Regroup bits, e.g. bytes into the 5 bit words bech32 encodes
+ */
+function convertBits(bytes, fromBits, toBits) {
+  const result = [];
+  const maxValue = (1 << toBits) - 1;
+  let accumulator = 0;
+  let bits = 0;
+
+  for (const value of bytes) {
+    accumulator = (accumulator << fromBits) | value;
+    bits += fromBits;
+    while (bits >= toBits) {
+      bits -= toBits;
+      result.push((accumulator >> bits) & maxValue);
+    }
+  }
+  if (bits > 0) {
+    result.push((accumulator << (toBits - bits)) & maxValue);
+  }
+
+  return result;
+}
+
+/**
+ * Compute the 6 word bech32 checksum over the human readable part and data
+ */
+function bech32Checksum(hrp, data) {
+  const values = [
+    ...[...hrp].map(char => char.charCodeAt(0) >> 5),
+    0,
+    ...[...hrp].map(char => char.charCodeAt(0) & 31),
+    ...data,
+    0, 0, 0, 0, 0, 0,
+  ];
+
+  let checksum = 1;
+  for (const value of values) {
+    const top = checksum >> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ value;
+    for (let bit = 0; bit < 5; bit++) {
+      if ((top >> bit) & 1) {
+        checksum ^= BECH32_GENERATORS[bit];
+      }
+    }
+  }
+  checksum ^= 1;
+
+  return [0, 1, 2, 3, 4, 5].map(index => (checksum >> (5 * (5 - index))) & 31);
+}
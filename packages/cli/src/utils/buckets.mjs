@@ -82,105 +82,168 @@ export async function setFlySecrets(appName, config, secrets) {
 }
 
 /**
- * Create litestream bucket for database backups
+ * Buckets nuxfly manages for an app, keyed by type
+ *
+ * `secrets` maps the credentials parsed from `flyctl storage create` to the secrets the app reads.
  */
-export async function createLitestreamBucket(orgName, config) {
-  const bucketName = `${config.app}-litestream`;
-  consola.info(`Creating litestream bucket: ${bucketName}`);
+export const BUCKET_TYPES = {
+  litestream: {
+    label: 'Litestream',
+    suffix: '-litestream',
+    configKey: 'litestream',
+    public: false,
+    // LITESTREAM_ prefix to match litestream.yml
+    secrets: {
+      accessKeyId: 'LITESTREAM_S3_ACCESS_KEY_ID',
+      secretAccessKey: 'LITESTREAM_S3_SECRET_ACCESS_KEY',
+      endpointUrl: 'LITESTREAM_S3_ENDPOINT_URL',
+      region: 'LITESTREAM_S3_REGION',
+      bucketName: 'LITESTREAM_S3_BUCKET_NAME',
+    },
+  },
+  public: {
+    label: 'Public',
+    suffix: '-public',
+    configKey: 'publicStorage',
+    public: true,
+    // NUXT_NUXFLY_PUBLIC_BUCKET_S3_ prefix to override runtime config
+    secrets: {
+      accessKeyId: 'NUXT_NUXFLY_PUBLIC_BUCKET_S3_ACCESS_KEY_ID',
+      secretAccessKey: 'NUXT_NUXFLY_PUBLIC_BUCKET_S3_SECRET_ACCESS_KEY',
+      endpointUrl: 'NUXT_NUXFLY_PUBLIC_BUCKET_S3_ENDPOINT',
+      bucketName: 'NUXT_NUXFLY_PUBLIC_BUCKET_S3_BUCKET',
+      region: 'NUXT_NUXFLY_PUBLIC_BUCKET_S3_REGION',
+    },
+  },
+  private: {
+    label: 'Private',
+    suffix: '-private',
+    configKey: 'privateStorage',
+    public: false,
+    // NUXT_NUXFLY_PRIVATE_BUCKET_S3_ prefix to override runtime config
+    secrets: {
+      accessKeyId: 'NUXT_NUXFLY_PRIVATE_BUCKET_S3_ACCESS_KEY_ID',
+      secretAccessKey: 'NUXT_NUXFLY_PRIVATE_BUCKET_S3_SECRET_ACCESS_KEY',
+      endpointUrl: 'NUXT_NUXFLY_PRIVATE_BUCKET_S3_ENDPOINT',
+      bucketName: 'NUXT_NUXFLY_PRIVATE_BUCKET_S3_BUCKET',
+      region: 'NUXT_NUXFLY_PRIVATE_BUCKET_S3_REGION',
+    },
+  },
+};
+
+/**
+ * Default Tigris endpoint and region for buckets created through Fly
+ */
+export const TIGRIS_ENDPOINT_URL = 'https://fly.storage.tigris.dev';
+export const TIGRIS_REGION = 'auto';
+
+/**
+ * Get the default bucket name for a bucket type
+ */
+export function getBucketName(type, config) {
+  return `${config.app}${BUCKET_TYPES[type].suffix}`;
+}
+
+/**
+ * Check whether a bucket type is enabled in the nuxfly module options
+ */
+export function isBucketEnabled(type, config) {
+  const nuxflyConfig = config.nuxt?.nuxfly || {};
+  return !!nuxflyConfig[BUCKET_TYPES[type].configKey];
+}
+
+/**
+ * Set the secrets that wire a bucket to the app
+ */
+export async function setBucketSecrets(type, credentials, config) {
+  const secrets = {};
+  for (const [field, key] of Object.entries(BUCKET_TYPES[type].secrets)) {
+    secrets[key] = credentials[field];
+  }
+  await setFlySecrets(config.app, config, secrets);
+}
+
+/**
+ * Create a bucket of the given type and set its secrets, returns the parsed credentials
+ */
+export async function createBucket(type, orgName, config) {
+  const { label, public: isPublic } = BUCKET_TYPES[type];
+  const bucketName = getBucketName(type, config);
+  consola.info(`Creating ${label.toLowerCase()} bucket: ${bucketName}`);
   
   try {
     // Create bucket from /tmp directory to avoid taking app's default slot
-    const result = await executeFlyctlWithOutputInDir('storage', ['create', '--name', bucketName, '--org', orgName, '--yes'], config, '/tmp');
+    const storageArgs = ['create', '--name', bucketName, '--org', orgName, ...(isPublic ? ['--public'] : []), '--yes'];
+    const result = await executeFlyctlWithOutputInDir('storage', storageArgs, config, '/tmp');
     
     // Parse the output to extract credentials
     const credentials = parseStorageCreateOutput(result.stdout);
     
     if (credentials) {
-      // Set secrets with LITESTREAM_ prefix to match litestream.yml
-      await setFlySecrets(config.app, config, {
-        'LITESTREAM_S3_ACCESS_KEY_ID': credentials.accessKeyId,
-        'LITESTREAM_S3_SECRET_ACCESS_KEY': credentials.secretAccessKey,
-        'LITESTREAM_S3_ENDPOINT_URL': credentials.endpointUrl,
-        'LITESTREAM_S3_REGION': credentials.region,
-        'LITESTREAM_S3_BUCKET_NAME': credentials.bucketName,
-      });
-      
-      consola.success(`✅ Litestream bucket created: ${bucketName}`);
+      await setBucketSecrets(type, credentials, config);
+      consola.success(`✅ ${label} bucket created: ${bucketName}`);
     } else {
-      consola.warn('Failed to parse litestream bucket credentials');
+      consola.warn(`Failed to parse ${label.toLowerCase()} bucket credentials`);
     }
+    
+    return credentials;
   } catch (error) {
-    consola.error(`Failed to create litestream bucket: ${error.message}`);
+    consola.error(`Failed to create ${label.toLowerCase()} bucket: ${error.message}`);
     throw error;
   }
 }
 
+/**
+ * Create litestream bucket for database backups
+ */
+export async function createLitestreamBucket(orgName, config) {
+  return createBucket('litestream', orgName, config);
+}
+
 /**
  * Create public bucket for public assets
  */
 export async function createPublicBucket(orgName, config) {
-  const bucketName = `${config.app}-public`;
-  consola.info(`Creating public bucket: ${bucketName}`);
-  
-  try {
-    // Create public bucket from /tmp directory
-    const result = await executeFlyctlWithOutputInDir('storage', ['create', '--name', bucketName, '--org', orgName, '--public', '--yes'], config, '/tmp');
-    
-    // Parse the output to extract credentials
-    const credentials = parseStorageCreateOutput(result.stdout);
-    
-    if (credentials) {
-      // Set secrets with NUXT_NUXFLY_PUBLIC_BUCKET_S3_ prefix to override runtime config
-      await setFlySecrets(config.app, config, {
-        'NUXT_NUXFLY_PUBLIC_BUCKET_S3_ACCESS_KEY_ID': credentials.accessKeyId,
-        'NUXT_NUXFLY_PUBLIC_BUCKET_S3_SECRET_ACCESS_KEY': credentials.secretAccessKey,
-        'NUXT_NUXFLY_PUBLIC_BUCKET_S3_ENDPOINT': credentials.endpointUrl,
-        'NUXT_NUXFLY_PUBLIC_BUCKET_S3_BUCKET': credentials.bucketName,
-        'NUXT_NUXFLY_PUBLIC_BUCKET_S3_REGION': credentials.region,
-      });
-      
-      consola.success(`✅ Public bucket created: ${bucketName}`);
-    } else {
-      consola.warn('Failed to parse public bucket credentials');
-    }
-  } catch (error) {
-    consola.error(`Failed to create public bucket: ${error.message}`);
-    throw error;
-  }
+  return createBucket('public', orgName, config);
 }
 
 /**
  * Create private bucket for private storage
  */
 export async function createPrivateBucket(orgName, config) {
-  const bucketName = `${config.app}-private`;
-  consola.info(`Creating private bucket: ${bucketName}`);
-  
-  try {
-    // Create private bucket from /tmp directory
-    const result = await executeFlyctlWithOutputInDir('storage', ['create', '--name', bucketName, '--org', orgName, '--yes'], config, '/tmp');
-    
-    // Parse the output to extract credentials
-    const credentials = parseStorageCreateOutput(result.stdout);
-    
-    if (credentials) {
-      // Set secrets with NUXT_NUXFLY_PRIVATE_BUCKET_S3_ prefix to override runtime config
-      await setFlySecrets(config.app, config, {
-        'NUXT_NUXFLY_PRIVATE_BUCKET_S3_ACCESS_KEY_ID': credentials.accessKeyId,
-        'NUXT_NUXFLY_PRIVATE_BUCKET_S3_SECRET_ACCESS_KEY': credentials.secretAccessKey,
-        'NUXT_NUXFLY_PRIVATE_BUCKET_S3_ENDPOINT': credentials.endpointUrl,
-        'NUXT_NUXFLY_PRIVATE_BUCKET_S3_BUCKET': credentials.bucketName,
-        'NUXT_NUXFLY_PRIVATE_BUCKET_S3_REGION': credentials.region,
-      });
-      
-      consola.success(`✅ Private bucket created: ${bucketName}`);
-    } else {
-      consola.warn('Failed to parse private bucket credentials');
-    }
-  } catch (error) {
-    consola.error(`Failed to create private bucket: ${error.message}`);
-    throw error;
-  }
+  return createBucket('private', orgName, config);
+}
+
+/**
+ * Destroy a bucket and all of its objects
+ */
+export async function destroyBucket(bucketName, config) {
+  await executeFlyctl('storage', ['destroy', bucketName, '--yes'], config);
+}
+
+/**
+ * Unset the secrets that wire a bucket to the app
+ */
+export async function unsetBucketSecrets(type, config) {
+  await executeFlyctl('secrets', ['unset', ...Object.values(BUCKET_TYPES[type].secrets), '--stage'], config);
+}
+
+/**
+ * Check whether a bucket with the exact name is visible to flyctl
+ */
+export async function bucketExists(bucketName, config) {
+  const result = await executeFlyctlWithOutput('storage', ['list'], config);
+  return result.stdout.split('\n').some(line => line.split(/\s+/).includes(bucketName));
+}
+
+/**
+ * List the names of every storage bucket visible to flyctl, whatever they are named
+ */
+export async function listBucketNames(config) {
+  const result = await executeFlyctlWithOutput('storage', ['list'], config);
+  return result.stdout.split('\n')
+    .map(line => line.trim().split(/\s+/)[0])
+    .filter(name => name && name !== 'NAME');
 }
 
 /**
@@ -213,4 +276,12 @@ export async function getExistingBuckets(config) {
     // If we can't list buckets, assume none exist to be safe
     return [];
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Open the Tigris dashboard for a bucket, where access keys are managed
+ */
+export async function openBucketDashboard(bucketName, config) {
+  await executeFlyctl('storage', ['dashboard', bucketName], config, { stdio: 'inherit' });
+}
+
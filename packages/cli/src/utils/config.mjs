@@ -1,14 +1,16 @@
 import { existsSync, readFileSync, readdirSync } from 'fs';
-import { join } from 'path';
+import { join, relative, resolve } from 'path';
 import consola from 'consola';
-import { ConfigError, NotNuxtProjectError, NuxflyEnvNotSetError, validateRequired } from './errors.mjs';
+import { ConfigError, NotNuxtProjectError, NuxflyEnvNotSetError, NuxflyError, validateRequired } from './errors.mjs';
 import { loadNuxtConfig } from '@nuxt/kit';
 import { parseFlyToml } from '../templates/fly-toml.mjs';
 
 /**
  * Load and merge configuration from multiple sources
+ *
+ * Pass `env` to read the fly.toml of another environment than NUXFLY_ENV.
  */
-export async function loadConfig() {
+export async function loadConfig(options = {}) {
   const cwd = process.cwd();
   
   // Check if this is a Nuxt project
@@ -25,7 +27,7 @@ export async function loadConfig() {
   })
 
   // Read app name from environment-specific fly.toml if it exists
-  const flyTomlPath = getEnvironmentSpecificFlyTomlPath() || join(cwd, 'fly.toml');
+  const flyTomlPath = getEnvironmentSpecificFlyTomlPath(options.env) || join(cwd, 'fly.toml');
   const flyTomlExists = existsSync(flyTomlPath);
   let flyConfig = {};
   if (flyTomlExists) {
@@ -41,9 +43,10 @@ export async function loadConfig() {
     cpus: flyConfig.cpus,
     env: flyConfig.env || {},
     volumes: flyConfig.volumes || [],
+    processes: flyConfig.processes || {},
   }
-  // Override with environment variables
-  applyEnvironmentOverrides(config);
+  // Override with environment variables, the app of an explicit environment always comes from its fly.toml
+  applyEnvironmentOverrides(config, options);
   
   // Validate configuration
   validateConfig(config);
@@ -78,9 +81,9 @@ function isNuxtProject(cwd) {
 /**
  * Apply environment variable overrides
  */
-function applyEnvironmentOverrides(config) {
+function applyEnvironmentOverrides(config, options = {}) {
   // FLY_APP environment variable
-  if (process.env.FLY_APP) {
+  if (process.env.FLY_APP && !options.env) {
     config.app = process.env.FLY_APP;
     consola.debug('Using FLY_APP from environment:', config.app);
   }
@@ -155,6 +158,21 @@ function isValidMemoryFormat(memory) {
   return /^\d+(?:mb|gb)$/i.test(memory);
 }
 
+/**
+ * Load configuration for a specific environment, e.g. to work with two environments at once
+ */
+export async function loadEnvironmentConfig(env) {
+  const config = await loadConfig({ env });
+  
+  if (!config._runtime.flyTomlExists || !config.app) {
+    throw new NuxflyError(`No app found for environment "${env}"`, {
+      suggestion: `Expected an app name in ${relative(process.cwd(), config._runtime.flyTomlPath)}. Run 'NUXFLY_ENV=${env} nuxfly launch' or 'NUXFLY_ENV=${env} nuxfly import' first.`,
+    });
+  }
+  
+  return config;
+}
+
 /**
  * Get app name from configuration or environment
  */
@@ -198,10 +216,9 @@ export function hasEnvironmentSpecificFiles() {
 }
 
 /**
- * Get environment-specific fly.toml path based on NUXFLY_ENV
+ * Get environment-specific fly.toml path based on NUXFLY_ENV, or the given environment
  */
-export function getEnvironmentSpecificFlyTomlPath() {
-  const env = process.env.NUXFLY_ENV;
+export function getEnvironmentSpecificFlyTomlPath(env = process.env.NUXFLY_ENV) {
   const hasEnvFiles = hasEnvironmentSpecificFiles();
   
   // If there are environment-specific files but no NUXFLY_ENV, throw error
@@ -270,4 +287,14 @@ export function hasDistDir(config) {
  */
 export function getDistPath(config) {
   return config._runtime?.distPath || join(process.cwd(), '.output');
-}
\ No newline at end of file
+}
+/**
+ * Get the local SQLite database path from the nuxfly runtime config
+ */
+export function getLocalDatabasePath(config) {
+  const dbUrl = process.env.NUXT_NUXFLY_DB_URL
+    || config.nuxt?.runtimeConfig?.nuxfly?.dbUrl
+    || 'file:.data/db.sqlite';
+  
+  return resolve(process.cwd(), dbUrl.replace(/^file:/, ''));
+}
@@ -0,0 +1,229 @@
+import { dirname } from 'path';
+import { execa } from 'execa';
+import consola from 'consola';
+import { ConfigError, NuxflyError, withErrorHandling } from './errors.mjs';
+import { executeRemoteScript } from './flyctl.mjs';
+
+/**
+ * Database path on the Fly machine, matches the volume mounted at /data
+ */
+export const REMOTE_DATABASE_PATH = '/data/db.sqlite';
+
+/**
+ * Where LiteFS mounts the replicated databases, see the litefs.yml template
+ */
+export const LITEFS_MOUNT_PATH = '/litefs';
+
+/**
+ * Resolve the `nuxfly.database` module option
+ *
+ * Litestream replication keeps the database on one machine's volume and backs it up, LiteFS replicates it to
+ * read replicas and elects the primary with a Consul or static lease. Invalid values throw a ConfigError.
+ */
+export function getReplicationOptions(config) {
+  const database = config?.nuxt?.nuxfly?.database ?? {};
+  if (!database || typeof database !== 'object' || Array.isArray(database)) {
+    throw new ConfigError('nuxfly.database must be an object', 'nuxfly.database in nuxt.config.ts');
+  }
+
+  const mode = database.replication ?? 'litestream';
+  if (!['litestream', 'litefs'].includes(mode)) {
+    throw new ConfigError(`nuxfly.database.replication must be litestream or litefs, got ${JSON.stringify(mode)}`, 'nuxfly.database.replication in nuxt.config.ts');
+  }
+
+  const lease = database.lease ?? 'consul';
+  if (!['consul', 'static'].includes(lease)) {
+    throw new ConfigError(`nuxfly.database.lease must be consul or static, got ${JSON.stringify(lease)}`, 'nuxfly.database.lease in nuxt.config.ts');
+  }
+  if (database.lease !== undefined && mode !== 'litefs') {
+    throw new ConfigError('nuxfly.database.lease only applies to litefs replication', 'nuxfly.database.lease in nuxt.config.ts');
+  }
+
+  // Litestream would replicate a file LiteFS owns, and only from the primary
+  if (mode === 'litefs' && config?.nuxt?.nuxfly?.litestream) {
+    throw new ConfigError('nuxfly.litestream cannot be combined with litefs replication, disable it to replicate with LiteFS', 'nuxfly.litestream in nuxt.config.ts');
+  }
+
+  return { mode, lease };
+}
+
+/**
+ * Get the flyctl arguments for the machines a first deploy creates
+ *
+ * Litestream needs a single machine writing the database, so flyctl's spare machine is turned off. LiteFS
+ * keeps it, the spare machine in the primary region is a second lease candidate.
+ */
+export function getHighAvailabilityArgs(config) {
+  return getReplicationOptions(config).mode === 'litefs' ? [] : ['--ha=false'];
+}
+
+/**
+ * Get the main database path on the machine, LiteFS serves it from its mount
+ */
+export function getRemoteDatabasePath(config) {
+  return getReplicationOptions(config).mode === 'litefs' ? `${LITEFS_MOUNT_PATH}/db.sqlite` : REMOTE_DATABASE_PATH;
+}
+
+/**
+ * Names that would collide with the main database's /data/db.sqlite or its runtime config
+ */
+const RESERVED_DATABASE_NAMES = ['db', 'default'];
+
+/**
+ * Resolve the `nuxfly.databases` module option into the app's named databases, besides the main one
+ *
+ * Each one lives next to the main database, its url is the `nuxfly.dbs.<name>.url` runtime
+ * config. Invalid values throw a ConfigError.
+ */
+export function getDatabases(config) {
+  const databases = config?.nuxt?.nuxfly?.databases;
+  if (databases === undefined) {
+    return [];
+  }
+  if (!databases || typeof databases !== 'object' || Array.isArray(databases)) {
+    throw new ConfigError('nuxfly.databases must be an object of named databases', 'nuxfly.databases in nuxt.config.ts');
+  }
+
+  const databaseDir = dirname(getRemoteDatabasePath(config));
+  return Object.entries(databases).map(([name, options]) => {
+    const details = `nuxfly.databases.${name} in nuxt.config.ts`;
+    // The name ends up in the file name and the NUXT_NUXFLY_DBS_<NAME>_URL environment variable, which Nuxt
+    // matches to camelCase runtime config keys, so separators would make it impossible to override
+    if (!/^[a-z][a-z0-9]*$/.test(name) || RESERVED_DATABASE_NAMES.includes(name)) {
+      throw new ConfigError(`nuxfly.databases needs names of lowercase letters and digits other than ${RESERVED_DATABASE_NAMES.join(' and ')}, got ${JSON.stringify(name)}`, details);
+    }
+    if (options !== true && (!options || typeof options !== 'object' || Array.isArray(options))) {
+      throw new ConfigError(`nuxfly.databases.${name} must be true or an object`, details);
+    }
+
+    return {
+      name,
+      path: `${databaseDir}/${name}.sqlite`,
+      urlEnv: `NUXT_NUXFLY_DBS_${name.toUpperCase()}_URL`,
+      migrations: options === true ? undefined : options.migrations,
+    };
+  });
+}
+
+/**
+ * While this file exists on the volume, start.sh keeps the machine up without starting the app or Litestream
+ */
+export const MAINTENANCE_FILE_PATH = '/data/.nuxfly-maintenance';
+
+/**
+ * Machine environment variable `nuxfly deploy` records the release's database restore point in
+ */
+export const RESTORE_POINT_ENV = 'NUXFLY_RESTORE_POINT';
+
+/**
+ * Format a restore point as `<generation>@<timestamp>` for the release environment
+ */
+export function formatRestorePoint({ generation, timestamp }) {
+  return `${generation}@${timestamp}`;
+}
+
+/**
+ * Parse a restore point recorded by `nuxfly deploy`, null when it is missing or malformed
+ */
+export function parseRestorePoint(value) {
+  const match = /^([0-9a-f]{16})@(\S+)$/.exec(value || '');
+  return match ? { generation: match[1], timestamp: match[2] } : null;
+}
+
+/**
+ * Run SQL against the database on a running machine using the sqlite3 CLI
+ */
+export const queryRemoteDatabase = withErrorHandling(async (sql, config, options = {}) => {
+  const flags = ['-json', '-bail'];
+  if (!options.write) {
+    flags.push('-readonly');
+  }
+  
+  const script = `sqlite3 ${flags.join(' ')} ${options.databasePath || getRemoteDatabasePath(config)} <<'NUXFLY_SQL'
+${sql}
+NUXFLY_SQL
+`;
+  
+  const result = await executeRemoteScript(script, config);
+  return parseSqliteJson(result.stdout);
+});
+
+/**
+ * Run read-only SQL against a local database file using the sqlite3 CLI
+ */
+export const queryLocalDatabase = withErrorHandling(async (databasePath, sql) => {
+  try {
+    const result = await execa('sqlite3', ['-json', '-bail', '-readonly', databasePath], { input: sql });
+    return parseSqliteJson(result.stdout);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new NuxflyError('sqlite3 not found', {
+        suggestion: 'Install the sqlite3 CLI, or use --remote to verify on a running machine',
+        exitCode: 127,
+      });
+    }
+    throw new NuxflyError(`sqlite3 failed: ${error.stderr || error.message}`, {
+      cause: error,
+    });
+  }
+});
+
+/**
+ * Parse sqlite3 -json output into the rows of every statement, in order
+ *
+ * sqlite3 prints one array per statement that returns rows and nothing for the others. Newlines in
+ * values are escaped, so a line break between `]` and `[` always separates two arrays.
+ */
+export function parseSqliteJson(output) {
+  const trimmed = (output || '').trim();
+  if (!trimmed) {
+    return [];
+  }
+  
+  try {
+    return JSON.parse(`[${trimmed.replace(/\]\s*\n\s*\[/g, '],[')}]`).flat();
+  } catch (error) {
+    consola.debug('Failed to parse sqlite3 JSON output:', trimmed);
+    throw new NuxflyError(`Failed to parse sqlite3 output: ${error.message}`);
+  }
+}
+
+/**
+ * Format query rows as a plain text table, one column per key in the order they first appear
+ *
+ * NULL is shown as NULL, numbers are right aligned and line breaks in values are escaped.
+ */
+export function formatQueryTable(rows) {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const cells = rows.map(row => columns.map(column => formatCell(row[column])));
+  const widths = columns.map((column, index) => Math.max(column.length, ...cells.map(row => row[index].length)));
+  const numeric = columns.map(column => rows.every(row => row[column] == null || typeof row[column] === 'number'));
+
+  const formatRow = values => values
+    .map((value, index) => numeric[index] ? value.padStart(widths[index]) : value.padEnd(widths[index]))
+    .join(' | ')
+    .trimEnd();
+
+  return [
+    formatRow(columns),
+    widths.map(width => '-'.repeat(width)).join('-+-'),
+    ...cells.map(formatRow),
+  ].join('\n');
+}
+
+/**
+ * Format a single value of a query row
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return 'NULL';
+  }
+  return (typeof value === 'object' ? JSON.stringify(value) : String(value)).replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Check whether an error from a remote query was caused by a missing table
+ */
+export function isMissingTableError(error) {
+  return /no such table/i.test(`${error.message} ${error.suggestion || ''}`);
+}
@@ -0,0 +1,324 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import consola from 'consola';
+import { NuxflyError, withErrorHandling } from './errors.mjs';
+import { getRegion } from './config.mjs';
+import { executeFlyctl, checkAppAccess, getAppSecrets, readRemoteEnv, setAppSecret, ensurePublicBucketUrlSecret } from './flyctl.mjs';
+import { readFile, writeFile } from './filesystem.mjs';
+import { BUCKET_TYPES, getOrgName, getExistingBuckets, getBucketName, isBucketEnabled, createBucket, destroyBucket, setBucketSecrets, setFlySecrets } from './buckets.mjs';
+import { STORAGE_BUCKETS, resolveStorageCredentials, mirrorBucket } from './storage.mjs';
+import { createSqliteVolume, listVolumes } from './volumes.mjs';
+import { resolveLitestreamCredentials, restoreDatabase, replicateDatabase, getReplicaSecretNames } from './litestream.mjs';
+import { getReplicationOptions } from './database.mjs';
+
+/**
+ * Secrets that belong to a single app and must never be copied to another environment
+ */
+export const CREDENTIAL_SECRETS = [
+  ...Object.values(BUCKET_TYPES).flatMap(bucketType => Object.values(bucketType.secrets)),
+  'NUXT_PUBLIC_S3_PUBLIC_URL',
+  // Set by 'fly consul attach', a copy would share the source app's LiteFS lease
+  'FLY_CONSUL_URL',
+];
+
+/**
+ * Filter the names of the source app's secrets down to the ones another environment can reuse
+ *
+ * The additional Litestream replicas of the source config are left out with the credentials, a copy would
+ * make the new app write to the source app's off-site replica.
+ */
+export function getCopyableSecretNames(secretNames, sourceConfig) {
+  const skipped = [...CREDENTIAL_SECRETS, ...getReplicaSecretNames(sourceConfig)];
+  return secretNames.filter(name => !skipped.includes(name));
+}
+
+/**
+ * Derive the app name for an environment from the app of another environment
+ */
+export function getEnvironmentAppName(app, fromEnv, toEnv) {
+  const suffix = `-${fromEnv}`;
+  const baseApp = fromEnv && fromEnv !== 'prod' && app.endsWith(suffix) ? app.slice(0, -suffix.length) : app;
+  return toEnv === 'prod' ? baseApp : `${baseApp}-${toEnv}`;
+}
+
+/**
+ * Write the fly.toml of a new environment from the source environment's fly.toml
+ */
+export const writeEnvironmentFlyToml = withErrorHandling(async (sourceConfig, targetPath, options = {}) => {
+  let content = await readFile(sourceConfig._runtime.flyTomlPath);
+
+  content = content.replace(/^app\s*=\s*(['"]).*?\1/m, `app = "${options.app}"`);
+  if (options.region) {
+    content = content.replace(/^primary_region\s*=\s*(['"]).*?\1/m, `primary_region = "${options.region}"`);
+  }
+
+  await writeFile(targetPath, content);
+});
+
+/**
+ * Create the Fly app for a new environment in the source app's organization, returns the organization
+ */
+export const createEnvironmentApp = withErrorHandling(async (sourceConfig, targetConfig, options = {}) => {
+  const orgName = options.org || await getOrgName(sourceConfig);
+  if (!orgName) {
+    throw new NuxflyError(`Could not determine the organization of ${sourceConfig.app}`, {
+      suggestion: 'Pass the organization with --org',
+    });
+  }
+
+  consola.info(`Creating app ${targetConfig.app} in ${orgName}...`);
+  try {
+    // Use an empty config, apps create takes the name as an argument and no fly.toml
+    await executeFlyctl('apps', ['create', targetConfig.app, '--org', orgName], { _runtime: {} });
+    consola.success(`✅ Created app ${targetConfig.app}`);
+  } catch (error) {
+    throw new NuxflyError(`Failed to create app ${targetConfig.app}: ${error.message}`, {
+      suggestion: 'App names are global on Fly.io, pass a different one with --name',
+      cause: error,
+    });
+  }
+
+  return orgName;
+});
+
+/**
+ * Create the volume, buckets and secrets of a new environment's app
+ *
+ * `storage` decides what happens to the public and private buckets: `share` links the source app's buckets,
+ * `copy` creates new ones and mirrors the source objects into them, anything else creates empty ones.
+ */
+export const provisionEnvironment = withErrorHandling(async (orgName, sourceConfig, targetConfig, options = {}) => {
+  await createSqliteVolume(getRegion(targetConfig), options.size || '1', targetConfig);
+
+  // The consul lease elects the LiteFS primary, each app attaches its own
+  const replication = getReplicationOptions(targetConfig);
+  if (replication.mode === 'litefs' && replication.lease === 'consul') {
+    await executeFlyctl('consul', ['attach'], targetConfig);
+  }
+
+  const sharedTypes = options.storage === 'share' ? await shareStorageBuckets(sourceConfig, targetConfig) : [];
+  const credentials = await createEnvironmentBuckets(orgName, targetConfig, sharedTypes);
+
+  if (!sharedTypes.includes('public')) {
+    try {
+      await ensurePublicBucketUrlSecret(targetConfig);
+    } catch (error) {
+      consola.warn(`Failed to set public bucket URL secret: ${error.message}`);
+    }
+  }
+
+  if (options.copySecrets !== false) {
+    await copyAppSecrets(sourceConfig, targetConfig);
+  }
+
+  if (options.storage === 'copy') {
+    await copyStorageBuckets(sourceConfig, credentials);
+  }
+
+  if (options.withData) {
+    await seedDatabase(sourceConfig, credentials.litestream);
+  }
+});
+
+/**
+ * Create the buckets enabled in the nuxt config for an app, returns their credentials by type
+ */
+async function createEnvironmentBuckets(orgName, config, skipTypes = []) {
+  const existingBuckets = await getExistingBuckets(config);
+  const credentials = {};
+
+  for (const type of Object.keys(BUCKET_TYPES)) {
+    if (!isBucketEnabled(type, config) || skipTypes.includes(type)) {
+      continue;
+    }
+
+    const bucketName = getBucketName(type, config);
+    if (existingBuckets.includes(bucketName)) {
+      consola.warn(`Bucket ${bucketName} already exists, run 'nuxfly buckets set-key ${type}' to set its secrets`);
+      continue;
+    }
+
+    credentials[type] = await createBucket(type, orgName, config);
+  }
+
+  return credentials;
+}
+
+/**
+ * Point a new app at the source app's public and private buckets, returns the shared types
+ */
+async function shareStorageBuckets(sourceConfig, targetConfig) {
+  const sharedTypes = [];
+
+  for (const type of Object.keys(STORAGE_BUCKETS)) {
+    if (!isBucketEnabled(type, targetConfig)) {
+      continue;
+    }
+
+    const credentials = await resolveStorageCredentials(type, sourceConfig);
+    await setBucketSecrets(type, credentials, targetConfig);
+    if (BUCKET_TYPES[type].public) {
+      await setAppSecret('NUXT_PUBLIC_S3_PUBLIC_URL', `https://${credentials.bucketName}.t3.storageapi.dev`, targetConfig);
+    }
+
+    consola.success(`✅ Sharing ${type} bucket ${credentials.bucketName} with ${targetConfig.app}`);
+    sharedTypes.push(type);
+  }
+
+  return sharedTypes;
+}
+
+/**
+ * Mirror the source app's public and private buckets into the buckets just created for a new app
+ */
+async function copyStorageBuckets(sourceConfig, targetCredentials) {
+  for (const type of Object.keys(STORAGE_BUCKETS)) {
+    if (!targetCredentials[type]) {
+      continue;
+    }
+
+    try {
+      const sourceCredentials = await resolveStorageCredentials(type, sourceConfig);
+      await mirrorBucket(type, sourceCredentials, targetCredentials[type]);
+    } catch (error) {
+      consola.warn(`Failed to copy ${type} storage from ${sourceConfig.app}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * List what nuxfly created for an environment: the app, its volumes and the buckets named after it
+ *
+ * Buckets shared from another app are named after that app and not included.
+ */
+export const getEnvironmentResources = withErrorHandling(async (config) => {
+  const appExists = await checkAppAccess(config.app, config);
+  const volumes = appExists ? await listVolumes(config) : [];
+
+  const existingBuckets = await getExistingBuckets(config);
+  const buckets = Object.keys(BUCKET_TYPES)
+    .map(type => getBucketName(type, config))
+    .filter(bucketName => existingBuckets.includes(bucketName));
+
+  return { appExists, volumes, buckets };
+});
+
+/**
+ * Destroy an environment's app, volumes and buckets, and remove its fly.toml
+ */
+export const destroyEnvironment = withErrorHandling(async (config, options = {}) => {
+  const resources = options.resources || await getEnvironmentResources(config);
+
+  if (resources.appExists) {
+    consola.info(`Destroying app ${config.app}...`);
+    // Use an empty config, the app name is an argument and destroying it also removes its machines and volumes
+    await executeFlyctl('apps', ['destroy', config.app, '--yes'], { _runtime: {} });
+    consola.success(`✅ Destroyed app ${config.app}${resources.volumes.length > 0 ? ` and ${resources.volumes.length} volume(s)` : ''}`);
+  }
+
+  if (!options.keepBuckets) {
+    for (const bucketName of resources.buckets) {
+      try {
+        await destroyBucket(bucketName, config);
+        consola.success(`✅ Deleted bucket ${bucketName}`);
+      } catch (error) {
+        consola.warn(`Failed to delete bucket ${bucketName}: ${error.message}`);
+      }
+    }
+  }
+
+  await rm(config._runtime.flyTomlPath, { force: true });
+});
+
+/**
+ * Copy secrets from one app to another, skipping the ones that belong to the source app
+ *
+ * flyctl never prints secret values, so they are read from a running machine of the source app and the
+ * digests of the staged secrets are compared with the source app's afterwards.
+ */
+export const copyAppSecrets = withErrorHandling(async (sourceConfig, targetConfig) => {
+  const sourceDigests = await getSecretDigests(sourceConfig);
+  const secretNames = getCopyableSecretNames([...sourceDigests.keys()], sourceConfig);
+
+  if (secretNames.length === 0) {
+    consola.info('No secrets to copy');
+    return [];
+  }
+
+  consola.info(`🔐 Copying ${secretNames.length} secret(s) from ${sourceConfig.app}...`);
+
+  let values;
+  try {
+    values = await readRemoteEnv(secretNames, sourceConfig);
+  } catch (error) {
+    consola.warn(`Could not read secrets from ${sourceConfig.app}: ${error.message}`);
+    consola.info(`Set these secrets on ${targetConfig.app} manually: ${secretNames.join(', ')}`);
+    return [];
+  }
+
+  // Secrets staged on the source app are not in the machine's environment yet
+  const missing = secretNames.filter(name => values[name] === undefined);
+  if (missing.length > 0) {
+    throw new NuxflyError(`${sourceConfig.app}'s machine has no values for ${missing.join(', ')}`, {
+      suggestion: `Deploy ${sourceConfig.app} to apply its staged secrets, or pass --no-secrets and set them on ${targetConfig.app} manually`,
+    });
+  }
+
+  await setFlySecrets(targetConfig.app, targetConfig, values);
+
+  const targetDigests = await getSecretDigests(targetConfig);
+  const mismatched = secretNames.filter(name => !targetDigests.has(name) || targetDigests.get(name) !== sourceDigests.get(name));
+  if (mismatched.length > 0) {
+    throw new NuxflyError(`Secrets staged on ${targetConfig.app} do not match ${sourceConfig.app}: ${mismatched.join(', ')}`, {
+      suggestion: `Set them on ${targetConfig.app} with 'flyctl secrets set --stage' before deploying`,
+    });
+  }
+
+  consola.success(`✅ Copied ${secretNames.length} secret(s)`);
+  return secretNames;
+});
+
+/**
+ * Map the names of an app's secrets to the digests flyctl lists for their values
+ */
+async function getSecretDigests(config) {
+  const secrets = await getAppSecrets(config);
+  return new Map(secrets.filter(secret => secret.Name || secret.name).map(secret => [secret.Name || secret.name, secret.Digest || secret.digest]));
+}
+
+/**
+ * Seed a new app's Litestream bucket with the latest snapshot of another app so start.sh restores it on first boot
+ */
+async function seedDatabase(sourceConfig, targetCredentials) {
+  if (!targetCredentials) {
+    consola.warn('No new Litestream bucket was created, skipping the database copy');
+    return;
+  }
+
+  consola.info(`📥 Copying the latest database snapshot from ${sourceConfig.app}...`);
+
+  const tempDir = await mkdtemp(join(tmpdir(), 'nuxfly-seed-'));
+  const databasePath = join(tempDir, 'db.sqlite');
+
+  try {
+    const sourceCredentials = await resolveLitestreamCredentials(sourceConfig);
+    await restoreDatabase(databasePath, sourceCredentials, { config: sourceConfig });
+
+    // Keep the source's age keys, they are copied to the new app with its other secrets
+    const litestreamEnv = { ...sourceCredentials };
+    for (const [field, key] of Object.entries(BUCKET_TYPES.litestream.secrets)) {
+      litestreamEnv[key] = targetCredentials[field];
+    }
+    await replicateDatabase(databasePath, litestreamEnv, { config: sourceConfig });
+
+    consola.success('✅ Database snapshot copied, it will be restored on first boot');
+  } catch (error) {
+    throw new NuxflyError(`Failed to copy the database: ${error.message}`, {
+      suggestion: 'The environment was created without data, you can deploy it and migrate from scratch',
+      cause: error,
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+}
@@ -1,6 +1,5 @@
 import { existsSync, mkdirSync, writeFileSync, readFileSync, copyFileSync, statSync } from 'fs';
 import { join, dirname, relative } from 'path';
-import { cp } from 'fs/promises';
 import consola from 'consola';
 import { loadConfig } from 'c12';
 import { NuxflyError, PermissionError, withErrorHandling } from './errors.mjs';
@@ -115,18 +114,6 @@ export function getRelativePath(filepath) {
   return relative(process.cwd(), filepath);
 }
 
-/**
- * Remove directory recursively (Node.js 14+ has rmSync, but we'll use a compatible approach)
- */
-async function removeDirectory(dirpath) {
-  if (!existsSync(dirpath)) {
-    return;
-  }
-  
-  const { rm } = await import('fs/promises');
-  await rm(dirpath, { recursive: true, force: true });
-}
-
 /**
  * Create backup of a file
  */
@@ -215,22 +202,29 @@ export const atomicWrite = withErrorHandling(async (filepath, content) => {
   }
 });
 
+/**
+ * Load the project's drizzle.config.ts
+ */
+export const loadDrizzleConfig = withErrorHandling(async () => {
+  consola.debug('Loading drizzle config...');
+  
+  const { config } = await loadConfig({
+    name: 'drizzle.config',
+    cwd: process.cwd(),
+    configFile: 'drizzle.config.ts',
+    defaults: {},
+  });
+  
+  consola.debug('Loaded drizzle config:', config);
+  return config;
+});
+
 /**
  * Load drizzle config and get migrations output directory
  */
 export const getDrizzleMigrationsPath = withErrorHandling(async () => {
   try {
-    consola.debug('Loading drizzle config...');
-    
-    // Try to load drizzle.config.ts first
-    const { config } = await loadConfig({
-      name: 'drizzle.config',
-      cwd: process.cwd(),
-      configFile: 'drizzle.config.ts',
-      defaults: {},
-    });
-    
-    consola.debug('Loaded drizzle config:', config);
+    const config = await loadDrizzleConfig();
     
     if (!config || !config.out) {
       consola.debug('No drizzle config found or no "out" property specified');
@@ -252,38 +246,3 @@ export const getDrizzleMigrationsPath = withErrorHandling(async () => {
     return null;
   }
 });
-
-/**
- * Copy drizzle migrations from parent project to .nuxfly directory
- */
-export const copyDrizzleMigrations = withErrorHandling(async (config) => {
-  const migrationsPath = await getDrizzleMigrationsPath();
-  
-  if (!migrationsPath) {
-    consola.debug('No drizzle migrations found to copy');
-    return false;
-  }
-  
-  const nuxflyDir = getNuxflyDir(config);
-  const targetMigrationsPath = join(nuxflyDir, 'migrations');
-  
-  consola.info('📦 Copying drizzle migrations...');
-  consola.debug(`Copying migrations from ${migrationsPath} to ${targetMigrationsPath}`);
-  
-  try {
-    // Remove existing migrations directory if it exists
-    if (existsSync(targetMigrationsPath)) {
-      await removeDirectory(targetMigrationsPath);
-    }
-    
-    // Copy migrations directory recursively
-    await cp(migrationsPath, targetMigrationsPath, { recursive: true, verbatimSymlinks: true });
-    consola.success('✅ Copied drizzle migrations to .nuxfly/migrations');
-    return true;
-  } catch (error) {
-    if (error.code === 'EACCES') {
-      throw new PermissionError(migrationsPath);
-    }
-    throw new NuxflyError(`Failed to copy drizzle migrations: ${error.message}`);
-  }
-});
\ No newline at end of file
@@ -420,4 +420,88 @@ export const ensurePublicBucketUrlSecret = withErrorHandling(async (config) => {
   }
   
   return success;
-});
\ No newline at end of file
+});
+/**
+ * Read environment variables (including secrets) from a running machine
+ *
+ * The environment is read NUL separated and base64 encoded, so values keep their newlines and whitespace.
+ */
+export const readRemoteEnv = withErrorHandling(async (keys = [], config = {}) => {
+  const result = await executeRemoteScript('echo "### nuxfly:env"\nenv -0 | base64\n', config);
+  const env = parseRemoteEnv(parseScriptSections(result.stdout).env, keys);
+  
+  consola.debug(`Read ${Object.keys(env).length} environment variables from remote machine`);
+  return env;
+});
+
+/**
+ * Decode the base64 encoded `env -0` output of a machine, keeping only the given keys unless none are given
+ */
+export function parseRemoteEnv(encoded, keys = []) {
+  const env = {};
+  for (const entry of Buffer.from((encoded || '').replace(/\s+/g, ''), 'base64').toString('utf8').split('\0')) {
+    const index = entry.indexOf('=');
+    if (index <= 0) continue;
+    
+    const key = entry.slice(0, index);
+    if (keys.length === 0 || keys.includes(key)) {
+      env[key] = entry.slice(index + 1);
+    }
+  }
+  return env;
+}
+
+/**
+ * Process group of the read-only replica machines `nuxfly scale regions add` creates in other regions
+ */
+export const READ_REPLICA_PROCESS_GROUP = 'replica';
+
+/**
+ * Get the `fly ssh console` arguments that pick the machine, read replicas only hold a copy of the database
+ */
+export function getSshTargetArgs(config = {}, machine) {
+  if (machine) {
+    return ['--machine', machine];
+  }
+  return config.processes?.[READ_REPLICA_PROCESS_GROUP] ? ['--process-group', 'app'] : [];
+}
+
+/**
+ * Run a shell script on a running machine, passing it over stdin to avoid quoting issues
+ */
+export const executeRemoteScript = withErrorHandling(async (script, config = {}, options = {}) => {
+  consola.debug(`Executing remote script:\n${script}`);
+  
+  // Target a specific machine when the app runs more than one
+  const result = await executeFlyctl('ssh', ['console', ...getSshTargetArgs(config, options.machine), '--command', 'sh -s'], config, {
+    // stdin always carries the script, output is streamed when requested
+    stdio: options.stream ? ['pipe', 'inherit', 'inherit'] : 'pipe',
+    execaOptions: {
+      input: script,
+    },
+  });
+  
+  return {
+    stdout: result.stdout,
+    stderr: result.stderr,
+    exitCode: result.exitCode,
+  };
+});
+
+/**
+ * Split the output of a remote script into the sections it marks with `### nuxfly:<name>` lines
+ */
+export function parseScriptSections(output) {
+  const sections = {};
+  let current;
+  for (const line of (output || '').split('\n')) {
+    const marker = /^### nuxfly:(\w+)$/.exec(line.trim());
+    if (marker) {
+      current = marker[1];
+      sections[current] = '';
+    } else if (current) {
+      sections[current] += `${line}\n`;
+    }
+  }
+  return sections;
+}
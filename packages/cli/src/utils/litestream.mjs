@@ -0,0 +1,334 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { execa } from 'execa';
+import consola from 'consola';
+import { ConfigError, NuxflyError, withErrorHandling } from './errors.mjs';
+import { readRemoteEnv } from './flyctl.mjs';
+import { getAppName, getNuxflyDir } from './config.mjs';
+import { REMOTE_DATABASE_PATH } from './database.mjs';
+import { fileExists, readFile, writeFile } from './filesystem.mjs';
+import { generateLitestreamConfig } from '../templates/database.mjs';
+
+/**
+ * Secrets set by createLitestreamBucket and referenced by litestream.yml
+ */
+export const LITESTREAM_SECRET_KEYS = [
+  'LITESTREAM_S3_ACCESS_KEY_ID',
+  'LITESTREAM_S3_SECRET_ACCESS_KEY',
+  'LITESTREAM_S3_ENDPOINT_URL',
+  'LITESTREAM_S3_REGION',
+  'LITESTREAM_S3_BUCKET_NAME',
+];
+
+/**
+ * Secrets holding the age keypair set by `nuxfly db keygen` and referenced by litestream.yml when backups are encrypted
+ */
+export const LITESTREAM_AGE_SECRETS = {
+  identity: 'LITESTREAM_AGE_IDENTITY',
+  recipient: 'LITESTREAM_AGE_RECIPIENT',
+};
+
+/**
+ * Resolve Litestream credentials from the local environment or the app secrets
+ *
+ * With encryption enabled the age keys are included, litestream needs them to read and write the replica.
+ */
+export const resolveLitestreamCredentials = withErrorHandling(async (config) => {
+  const keys = getLitestreamOptions(config).encrypt
+    ? [...LITESTREAM_SECRET_KEYS, ...Object.values(LITESTREAM_AGE_SECRETS)]
+    : LITESTREAM_SECRET_KEYS;
+
+  const fromEnv = pickCredentials(process.env, keys);
+  if (fromEnv) {
+    consola.debug('Using Litestream credentials from environment');
+    return fromEnv;
+  }
+
+  if (!getAppName(config)) {
+    throw new NuxflyError('No Litestream credentials found', {
+      suggestion: 'Set the LITESTREAM_S3_* environment variables or use --app to read them from your app',
+    });
+  }
+
+  consola.info('🔐 Reading Litestream credentials from app secrets...');
+  let remoteEnv;
+  try {
+    remoteEnv = await readRemoteEnv(keys, config);
+  } catch (error) {
+    throw new NuxflyError(`Failed to read Litestream credentials: ${error.message}`, {
+      suggestion: 'Make sure the app has a running machine, or set the LITESTREAM_S3_* environment variables',
+      cause: error,
+    });
+  }
+
+  if (pickCredentials(remoteEnv, LITESTREAM_SECRET_KEYS) && !pickCredentials(remoteEnv, keys)) {
+    throw new NuxflyError(`Backups are encrypted but ${LITESTREAM_AGE_SECRETS.identity} is not set on the app, run 'nuxfly db keygen' or set it in your environment`);
+  }
+
+  const fromApp = pickCredentials(remoteEnv, keys);
+  if (!fromApp) {
+    throw new NuxflyError('Litestream secrets are not set on the app', {
+      suggestion: "Enable litestream in your nuxfly config and run 'nuxfly deploy' to create the bucket",
+    });
+  }
+
+  return fromApp;
+});
+
+/**
+ * Pick the Litestream credentials from an env object, or null if any are missing
+ */
+function pickCredentials(env, keys) {
+  const credentials = {};
+  for (const key of keys) {
+    if (!env[key]) {
+      return null;
+    }
+    credentials[key] = env[key];
+  }
+  return credentials;
+}
+
+/**
+ * Run a litestream command locally against the same litestream.yml used by the app
+ */
+export const runLitestream = withErrorHandling(async (command, args = [], credentials = {}, options = {}) => {
+  const tempDir = await mkdtemp(join(tmpdir(), 'nuxfly-litestream-'));
+  const configPath = join(tempDir, 'litestream.yml');
+
+  try {
+    // Replicating a local file needs its own database and meta path, restores use the app's key
+    const { replicaPath, encrypt } = getLitestreamOptions(options.config);
+    await writeFile(configPath, generateLitestreamConfig(options.databasePath ? {
+      replicaPath,
+      encrypt,
+      databasePath: options.databasePath,
+      metaPath: join(tempDir, 'db.litestream-meta'),
+    } : { replicaPath, encrypt }));
+
+    const litestreamArgs = [command, '-config', configPath, ...args];
+    consola.debug(`Executing: litestream ${litestreamArgs.join(' ')}`);
+
+    return await execa('litestream', litestreamArgs, {
+      stdio: options.stdio || 'pipe',
+      env: {
+        ...process.env,
+        ...credentials,
+      },
+    });
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new NuxflyError('litestream not found', {
+        suggestion: 'Install litestream from https://litestream.io/install/',
+        exitCode: 127,
+      });
+    }
+
+    throw new NuxflyError(`litestream ${command} failed: ${error.stderr || error.message}`, {
+      suggestion: 'Check that the Litestream bucket exists and the credentials are valid',
+      cause: error,
+    });
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+});
+
+/**
+ * Restore the replicated database to a local file
+ */
+export const restoreDatabase = withErrorHandling(async (outputPath, credentials, options = {}) => {
+  const args = ['-o', outputPath];
+
+  if (options.timestamp) {
+    args.push('-timestamp', options.timestamp);
+  }
+
+  if (options.generation) {
+    args.push('-generation', options.generation);
+  }
+
+  // The database path is the key litestream.yml uses to find the replica
+  args.push(REMOTE_DATABASE_PATH);
+
+  await runLitestream('restore', args, credentials, {
+    stdio: 'inherit',
+    config: options.config,
+  });
+  return outputPath;
+});
+
+/**
+ * Normalize a user supplied timestamp to the RFC3339 format litestream expects
+ */
+export function normalizeTimestamp(value) {
+  const date = new Date(value);
+
+  if (isNaN(date.getTime())) {
+    throw new NuxflyError(`Invalid timestamp: ${value}`, {
+      suggestion: 'Use an ISO 8601 timestamp like 2025-01-31T14:30:00Z',
+    });
+  }
+
+  return date.toISOString();
+}
+
+/**
+ * Upload a local database file to a replica bucket as a new generation
+ */
+export const replicateDatabase = withErrorHandling(async (databasePath, credentials, options = {}) => {
+  // litestream snapshots the database on startup and syncs again on shutdown, so a short lived -exec is enough
+  await runLitestream('replicate', ['-exec', 'sleep 5'], credentials, {
+    stdio: 'inherit',
+    databasePath,
+    config: options.config,
+  });
+});
+
+/**
+ * Name generateLitestreamConfig gives the replica in the app's Litestream bucket, start.sh restores from it first
+ */
+export const PRIMARY_REPLICA_NAME = 'primary';
+
+/**
+ * Secret suffixes a replica's `secretPrefix` expands to, named like the LITESTREAM_S3_* secrets of the app's bucket
+ */
+const REPLICA_SECRET_FIELDS = {
+  bucket: 'BUCKET_NAME',
+  endpoint: 'ENDPOINT_URL',
+  region: 'REGION',
+  accessKeyId: 'ACCESS_KEY_ID',
+  secretAccessKey: 'SECRET_ACCESS_KEY',
+};
+
+/**
+ * Resolve the `nuxfly.litestream` module option into generateLitestreamConfig settings
+ *
+ * `true` keeps the template defaults, an object overrides them. Invalid values throw a ConfigError.
+ */
+export function getLitestreamOptions(config) {
+  const litestream = config?.nuxt?.nuxfly?.litestream;
+  if (!litestream || litestream === true) {
+    return {};
+  }
+  if (typeof litestream !== 'object' || Array.isArray(litestream)) {
+    throw new ConfigError('nuxfly.litestream must be a boolean or an object', 'nuxfly.litestream in nuxt.config.ts');
+  }
+
+  for (const key of ['syncInterval', 'retention', 'snapshotInterval', 'validationInterval']) {
+    if (litestream[key] !== undefined && !isDuration(litestream[key])) {
+      throw new ConfigError(`nuxfly.litestream.${key} must be a duration like 30s, 1h30m or 96h, got ${JSON.stringify(litestream[key])}`, `nuxfly.litestream.${key} in nuxt.config.ts`);
+    }
+  }
+
+  if (litestream.encrypt !== undefined && typeof litestream.encrypt !== 'boolean') {
+    throw new ConfigError('nuxfly.litestream.encrypt must be a boolean', 'nuxfly.litestream.encrypt in nuxt.config.ts');
+  }
+
+  if (litestream.path !== undefined && (typeof litestream.path !== 'string' || !litestream.path.trim())) {
+    throw new ConfigError('nuxfly.litestream.path must be a non-empty string', 'nuxfly.litestream.path in nuxt.config.ts');
+  }
+
+  if (litestream.replicas !== undefined && !Array.isArray(litestream.replicas)) {
+    throw new ConfigError('nuxfly.litestream.replicas must be an array', 'nuxfly.litestream.replicas in nuxt.config.ts');
+  }
+
+  const names = new Set([PRIMARY_REPLICA_NAME]);
+  const replicas = (litestream.replicas || []).map((replica, index) => {
+    const details = `nuxfly.litestream.replicas[${index}] in nuxt.config.ts`;
+    if (!replica || typeof replica !== 'object' || typeof replica.type !== 'string') {
+      throw new ConfigError(`nuxfly.litestream.replicas[${index}] needs a type, e.g. s3, gcs, abs, sftp or file`, details);
+    }
+    for (const [key, value] of Object.entries(replica)) {
+      if (value !== undefined && !['string', 'number', 'boolean'].includes(typeof value)) {
+        throw new ConfigError(`nuxfly.litestream.replicas[${index}].${key} must be a string, number or boolean`, details);
+      }
+    }
+
+    const { secretPrefix, ...options } = replica;
+    if (secretPrefix !== undefined && !/^[A-Z][A-Z0-9_]*$/.test(secretPrefix)) {
+      throw new ConfigError(`nuxfly.litestream.replicas[${index}].secretPrefix must be an uppercase secret name prefix like BACKUP_S3`, details);
+    }
+
+    // Litestream needs unique replica names, the start.sh restore fallback selects replicas by name
+    const name = options.name || (secretPrefix ? secretPrefix.toLowerCase().replace(/_/g, '-') : `replica-${index + 1}`);
+    if (!/^[\w-]+$/.test(name) || names.has(name)) {
+      throw new ConfigError(`nuxfly.litestream.replicas[${index}] needs a unique name of letters, digits and dashes, got ${JSON.stringify(name)}`, details);
+    }
+    names.add(name);
+
+    const secrets = secretPrefix
+      ? Object.fromEntries(Object.entries(REPLICA_SECRET_FIELDS).map(([field, suffix]) => [field, `\${${secretPrefix}_${suffix}}`]))
+      : {};
+    return { name, type: options.type, ...secrets, ...options };
+  });
+
+  return {
+    syncInterval: litestream.syncInterval,
+    retention: litestream.retention,
+    snapshotInterval: litestream.snapshotInterval,
+    validationInterval: litestream.validationInterval,
+    replicaPath: litestream.path,
+    encrypt: litestream.encrypt,
+    replicas,
+  };
+}
+
+/**
+ * List the secrets the additional replicas reference with ${NAME}, they must be set on the app for Litestream to start
+ */
+export function getReplicaSecretNames(config) {
+  const { replicas = [] } = getLitestreamOptions(config);
+  const secretNames = replicas.flatMap(replica => Object.values(replica)
+    .filter(value => typeof value === 'string')
+    .flatMap(value => [...value.matchAll(/\$\{(\w+)\}/g)].map(match => match[1])));
+  return [...new Set(secretNames)];
+}
+
+/**
+ * Check a value is a Go duration litestream can parse, like 30s or 1h30m
+ */
+function isDuration(value) {
+  return typeof value === 'string' && /^(\d+(\.\d+)?(ms|s|m|h))+$/.test(value);
+}
+
+/**
+ * Parse the whitespace aligned tables printed by `litestream generations` and `litestream snapshots`
+ */
+export function parseLitestreamTable(output) {
+  const lines = (output || '').split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length < 2) {
+    return [];
+  }
+
+  const headers = lines[0].split(/\s+/);
+  return lines.slice(1).map((line) => {
+    const values = line.split(/\s+/);
+    return Object.fromEntries(headers.map((header, index) => [header, values[index]]));
+  });
+}
+
+/**
+ * Read the retention and snapshot interval from .nuxfly/litestream.yml, falling back to the template defaults
+ */
+export async function getLitestreamSettings(config) {
+  const configPath = join(getNuxflyDir(config), 'litestream.yml');
+  const content = fileExists(configPath) ? await readFile(configPath) : generateLitestreamConfig(getLitestreamOptions(config));
+
+  return {
+    retention: /^\s*retention:\s*(\S+)/m.exec(content)?.[1],
+    snapshotInterval: /^\s*snapshot-interval:\s*(\S+)/m.exec(content)?.[1],
+  };
+}
+
+/**
+ * Convert a Go duration like 96h or 1h30m, as used in litestream.yml, to milliseconds
+ */
+export function parseDuration(value) {
+  const units = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+  let total = 0;
+  for (const [, amount, unit] of `${value || ''}`.matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)) {
+    total += parseFloat(amount) * units[unit];
+  }
+  return total || null;
+}
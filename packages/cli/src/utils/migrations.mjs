@@ -0,0 +1,458 @@
+import { existsSync, readdirSync } from 'fs';
+import { cp, rm } from 'fs/promises';
+import { join } from 'path';
+import { execa } from 'execa';
+import consola from 'consola';
+import { ConfigError, NuxflyError, PermissionError, withErrorHandling } from './errors.mjs';
+import { getNuxflyDir } from './config.mjs';
+import { directoryExists, fileExists, readFile, getDrizzleMigrationsPath, getRelativePath } from './filesystem.mjs';
+import { queryRemoteDatabase, isMissingTableError, getDatabases } from './database.mjs';
+
+/**
+ * Table drizzle-kit uses to track applied migrations
+ */
+export const DRIZZLE_MIGRATIONS_TABLE = '__drizzle_migrations';
+
+/**
+ * Table the boot runner uses to track applied sql-dir migrations
+ */
+export const SQL_DIR_MIGRATIONS_TABLE = '__nuxfly_migrations';
+
+/**
+ * Table prisma migrate uses to track applied migrations
+ */
+export const PRISMA_MIGRATIONS_TABLE = '_prisma_migrations';
+
+/**
+ * Migrations directory inside the image, see the Dockerfile template
+ */
+export const REMOTE_MIGRATIONS_PATH = '/app/dist/db/drizzle/migrations';
+
+/**
+ * Runners for the `nuxfly.migrations` module option
+ *
+ * The boot runner applies drizzle and sql-dir migrations itself, prisma and command run an external tool.
+ */
+export const MIGRATION_RUNNERS = ['drizzle', 'prisma', 'sql-dir', 'command'];
+
+// Migrations directory of each runner relative to the project, drizzle reads it from drizzle.config.ts
+const DEFAULT_MIGRATIONS_PATHS = {
+  prisma: 'prisma',
+  'sql-dir': 'migrations',
+};
+
+// The boot runner points DATABASE_URL at the database and NUXFLY_MIGRATIONS_PATH at the copied directory
+const PRISMA_MIGRATE_COMMAND = 'npx prisma migrate deploy --schema "$NUXFLY_MIGRATIONS_PATH/schema.prisma"';
+
+/**
+ * Resolve the `nuxfly.migrations` module option
+ *
+ * A runner name keeps its defaults, an object overrides them. Invalid values throw a ConfigError.
+ */
+export function getMigrationOptions(config) {
+  return resolveMigrationOptions(config?.nuxt?.nuxfly?.migrations ?? 'drizzle', 'nuxfly.migrations');
+}
+
+/**
+ * Resolve the migrations of a database from getDatabases, null when it has none
+ *
+ * The runner defaults belong to the main database, so a named database needs its own path.
+ */
+export function getDatabaseMigrationOptions(database) {
+  if (database.migrations === undefined) {
+    return null;
+  }
+
+  const key = `nuxfly.databases.${database.name}.migrations`;
+  const options = resolveMigrationOptions(database.migrations, key);
+  if (options.runner !== 'command' && !database.migrations?.path) {
+    throw new ConfigError(`${key}.path is required, the ${options.runner} defaults are used by the main database`, `${key}.path in nuxt.config.ts`);
+  }
+  return options;
+}
+
+/**
+ * Get the named databases of getDatabases with their migrations resolved, as the templates take them
+ */
+export function getDatabaseOptions(config) {
+  return getDatabases(config).map(database => ({ ...database, migrations: getDatabaseMigrationOptions(database) }));
+}
+
+/**
+ * Validate a migrations option value, `key` names it in errors
+ */
+function resolveMigrationOptions(migrations, key) {
+  const options = typeof migrations === 'string' ? { runner: migrations } : migrations;
+  const details = (name = '') => `${key}${name} in nuxt.config.ts`;
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new ConfigError(`${key} must be one of ${MIGRATION_RUNNERS.join(', ')} or an object`, details());
+  }
+
+  const runner = options.runner || (options.command ? 'command' : 'drizzle');
+  if (!MIGRATION_RUNNERS.includes(runner)) {
+    throw new ConfigError(`${key}.runner must be one of ${MIGRATION_RUNNERS.join(', ')}, got ${JSON.stringify(runner)}`, details('.runner'));
+  }
+
+  if (options.path !== undefined && (typeof options.path !== 'string' || !options.path.trim())) {
+    throw new ConfigError(`${key}.path must be a non-empty string`, details('.path'));
+  }
+
+  if (options.command !== undefined && (typeof options.command !== 'string' || !options.command.trim())) {
+    throw new ConfigError(`${key}.command must be a non-empty string`, details('.command'));
+  }
+  if (options.command && !['prisma', 'command'].includes(runner)) {
+    throw new ConfigError(`${key}.command is not used by the ${runner} runner, the boot runner applies its migrations`, details('.command'));
+  }
+  if (runner === 'command' && !options.command) {
+    throw new ConfigError(`${key}.command is required for the command runner`, details('.command'));
+  }
+
+  const dependencies = options.dependencies || {};
+  if (typeof dependencies !== 'object' || Array.isArray(dependencies) || Object.values(dependencies).some(version => typeof version !== 'string')) {
+    throw new ConfigError(`${key}.dependencies must map package names to versions`, details('.dependencies'));
+  }
+
+  return {
+    runner,
+    path: options.path || DEFAULT_MIGRATIONS_PATHS[runner] || null,
+    command: runner === 'prisma' ? options.command || PRISMA_MIGRATE_COMMAND : options.command || null,
+    dependencies,
+  };
+}
+
+/**
+ * Get the project's migrations directory for the configured runner, null when it has none
+ */
+export const getMigrationsSourcePath = withErrorHandling(async (options) => {
+  if (options.runner === 'drizzle' && !options.path) {
+    return await getDrizzleMigrationsPath();
+  }
+  return options.path ? join(process.cwd(), options.path) : null;
+});
+
+/**
+ * Copy the project's migrations to .nuxfly/migrations, which the Dockerfile copies into the image
+ *
+ * Migrations of the named databases go to .nuxfly/databases/<name>.
+ */
+export const copyMigrations = withErrorHandling(async (config) => {
+  const copied = await copyMigrationsDirectory(getMigrationOptions(config), getNuxflyMigrationsPath(config));
+
+  for (const database of getDatabaseOptions(config)) {
+    if (database.migrations) {
+      await copyMigrationsDirectory(database.migrations, getNuxflyDatabaseMigrationsPath(config, database));
+    }
+  }
+
+  return copied;
+});
+
+/**
+ * Replace a .nuxfly migrations directory with the project's migrations for a runner
+ */
+async function copyMigrationsDirectory(options, targetMigrationsPath) {
+  const migrationsPath = await getMigrationsSourcePath(options);
+
+  if (!migrationsPath || !directoryExists(migrationsPath)) {
+    consola.debug(`No ${options.runner} migrations found to copy`);
+    return false;
+  }
+
+  consola.info(`📦 Copying ${options.runner} migrations...`);
+  consola.debug(`Copying migrations from ${migrationsPath} to ${targetMigrationsPath}`);
+
+  try {
+    if (existsSync(targetMigrationsPath)) {
+      await rm(targetMigrationsPath, { recursive: true, force: true });
+    }
+
+    await cp(migrationsPath, targetMigrationsPath, { recursive: true, verbatimSymlinks: true });
+    consola.success(`✅ Copied ${getRelativePath(migrationsPath)} to ${getRelativePath(targetMigrationsPath)}`);
+    return true;
+  } catch (error) {
+    if (error.code === 'EACCES') {
+      throw new PermissionError(migrationsPath);
+    }
+    throw new NuxflyError(`Failed to copy ${options.runner} migrations: ${error.message}`);
+  }
+}
+
+/**
+ * Get the .nuxfly/migrations directory populated by copyMigrations
+ */
+export function getNuxflyMigrationsPath(config) {
+  return join(getNuxflyDir(config), 'migrations');
+}
+
+/**
+ * Get the .nuxfly directory a named database's migrations are copied to
+ */
+export function getNuxflyDatabaseMigrationsPath(config, database) {
+  return join(getNuxflyDir(config), 'databases', database.name);
+}
+
+/**
+ * Read the drizzle-kit journal entries from a migrations directory
+ */
+export const readMigrationJournal = withErrorHandling(async (migrationsPath) => {
+  const journalPath = join(migrationsPath, 'meta', '_journal.json');
+
+  if (!fileExists(journalPath)) {
+    throw new NuxflyError(`No migration journal found at ${journalPath}`, {
+      suggestion: "Generate migrations with 'drizzle-kit generate' and run 'nuxfly generate'",
+    });
+  }
+
+  const journal = JSON.parse(await readFile(journalPath));
+  return journal.entries || [];
+});
+
+/**
+ * List the migrations in a migrations directory in the order they are applied
+ *
+ * Every entry has a tag that identifies it and the SQL file it runs, relative to the directory.
+ * The command runner's migrations are opaque to nuxfly, so it has none.
+ */
+export const listMigrations = withErrorHandling(async (options, migrationsPath) => {
+  if (options.runner === 'drizzle') {
+    return (await readMigrationJournal(migrationsPath)).map(entry => ({ ...entry, file: `${entry.tag}.sql` }));
+  }
+  if (options.runner === 'command') {
+    return [];
+  }
+
+  // prisma keeps one directory per migration next to schema.prisma
+  const directory = options.runner === 'prisma' ? join(migrationsPath, 'migrations') : migrationsPath;
+  if (!directoryExists(directory)) {
+    throw new NuxflyError(`No ${options.runner} migrations found at ${directory}`, {
+      suggestion: "Check nuxfly.migrations.path and run 'nuxfly generate'",
+    });
+  }
+
+  const byName = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+  if (options.runner === 'prisma') {
+    return readdirSync(directory)
+      .filter(name => fileExists(join(directory, name, 'migration.sql')))
+      .sort(byName)
+      .map(name => ({ tag: name, file: join('migrations', name, 'migration.sql') }));
+  }
+  return readdirSync(directory)
+    .filter(name => name.endsWith('.sql'))
+    .sort(byName)
+    .map(name => ({ tag: name.replace(/\.sql$/, ''), file: name }));
+});
+
+// Query for the applied migrations of each runner that keeps track of them
+const APPLIED_MIGRATIONS_QUERIES = {
+  drizzle: [DRIZZLE_MIGRATIONS_TABLE, `SELECT id, hash, created_at FROM ${DRIZZLE_MIGRATIONS_TABLE} ORDER BY created_at;`],
+  'sql-dir': [SQL_DIR_MIGRATIONS_TABLE, `SELECT name, hash, applied_at FROM ${SQL_DIR_MIGRATIONS_TABLE} ORDER BY name;`],
+  prisma: [PRISMA_MIGRATIONS_TABLE, `SELECT migration_name AS name, finished_at AS applied_at FROM ${PRISMA_MIGRATIONS_TABLE} WHERE finished_at IS NOT NULL AND rolled_back_at IS NULL ORDER BY finished_at;`],
+};
+
+/**
+ * Get the migrations recorded in the remote database, null when the runner does not record them
+ */
+export const getAppliedMigrations = withErrorHandling(async (config, options = { runner: 'drizzle' }) => {
+  const query = APPLIED_MIGRATIONS_QUERIES[options.runner];
+  if (!query) {
+    return null;
+  }
+
+  const [table, sql] = query;
+  try {
+    return await queryRemoteDatabase(sql, config);
+  } catch (error) {
+    if (isMissingTableError(error)) {
+      consola.debug(`${table} does not exist yet, no migrations applied`);
+      return [];
+    }
+    throw error;
+  }
+});
+
+/**
+ * Get the migrations that have not been applied yet
+ *
+ * drizzle applies journal entries newer than the last applied migration, the other runners every
+ * migration they have not recorded by name.
+ */
+export function getPendingMigrations(entries, applied, options = { runner: 'drizzle' }) {
+  if (options.runner === 'drizzle') {
+    const lastApplied = applied.reduce((max, row) => Math.max(max, Number(row.created_at) || 0), 0);
+    return entries.filter(entry => entry.when > lastApplied);
+  }
+
+  const names = new Set(applied.map(row => row.name));
+  return entries.filter(entry => !names.has(entry.tag));
+}
+
+/**
+ * Pack a migrations directory into a base64 encoded tarball
+ */
+export const packMigrations = withErrorHandling(async (migrationsPath) => {
+  if (!directoryExists(migrationsPath)) {
+    throw new NuxflyError(`Migrations directory not found: ${migrationsPath}`, {
+      suggestion: "Run 'nuxfly generate' to copy your migrations into .nuxfly/migrations",
+    });
+  }
+
+  try {
+    const result = await execa('tar', ['-czf', '-', '-C', migrationsPath, '.'], {
+      encoding: 'buffer',
+    });
+    return Buffer.from(result.stdout).toString('base64');
+  } catch (error) {
+    throw new NuxflyError(`Failed to pack migrations: ${error.message}`, {
+      suggestion: 'Make sure tar is installed and available in PATH',
+      cause: error,
+    });
+  }
+});
+
+// Matches a table or column name, bare or quoted the way drizzle-kit and hand written SQL quote them,
+// quoted names may contain spaces and doubled quotes
+const IDENTIFIER = '("(?:[^"]|"")+"|`(?:[^`]|``)+`|\\[[^\\]]+\\]|[\\w$]+)';
+
+/**
+ * Prefix drizzle-kit gives the copy of a table it rebuilds, SQLite cannot alter most of a table in place
+ */
+const REBUILD_TABLE_PREFIX = '__new_';
+
+/**
+ * Remove the quotes of an identifier matched by IDENTIFIER
+ */
+function unquoteIdentifier(identifier) {
+  const quote = { '"': '"', '`': '`', '[': ']' }[identifier[0]];
+  if (!quote || identifier.at(-1) !== quote) {
+    return identifier;
+  }
+  const name = identifier.slice(1, -1);
+  return quote === ']' ? name : name.replaceAll(quote + quote, quote);
+}
+
+/**
+ * Split a migration file into statements, drizzle-kit separates them with breakpoints
+ *
+ * Semicolons and comments only count outside of string literals and quoted identifiers.
+ */
+export function splitMigrationStatements(sql) {
+  const statements = [];
+  let statement = '';
+  let closingQuote = null;
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+
+    if (closingQuote) {
+      // A doubled quote closes and reopens the literal
+      if (char === closingQuote) {
+        closingQuote = null;
+      }
+      statement += char;
+    } else if (sql.startsWith('--', i)) {
+      // Comments run to the end of the line, a breakpoint also ends the statement
+      if (sql.startsWith('--> statement-breakpoint', i)) {
+        statements.push(statement);
+        statement = '';
+      }
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end - 1;
+    } else if (sql.startsWith('/*', i)) {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 1;
+      statement += ' ';
+    } else if (char === ';') {
+      statements.push(statement);
+      statement = '';
+    } else {
+      closingQuote = { "'": "'", '"': '"', '`': '`', '[': ']' }[char] || null;
+      statement += char;
+    }
+  }
+  statements.push(statement);
+
+  return statements.map(statement => statement.trim()).filter(Boolean);
+}
+
+/**
+ * Find the statements of a migration that break the release still running while it is deployed
+ *
+ * Every finding names its table so the cost can be estimated from the table's size, and is destructive
+ * unless the running release keeps working, e.g. an index that only takes a while to build.
+ */
+export function lintMigrationStatements(statements) {
+  const findings = [];
+  // Identifiers come back unquoted, other groups like the column definition of ADD COLUMN start with a space
+  const match = (statement, pattern) => new RegExp(pattern, 'i').exec(statement)?.map(group => group && unquoteIdentifier(group));
+
+  // drizzle-kit rebuilds a table by copying it to __new_<table>, dropping it and renaming the copy
+  const rebuilt = statements
+    .map(statement => match(statement, `^ALTER TABLE ${IDENTIFIER} RENAME TO ${IDENTIFIER}`))
+    .filter(result => result?.[1].startsWith(REBUILD_TABLE_PREFIX))
+    .map(result => result[2]);
+
+  for (const statement of statements) {
+    let result;
+
+    if ((result = match(statement, `^DROP TABLE (?:IF EXISTS )?${IDENTIFIER}`))) {
+      const table = result[1];
+      findings.push(rebuilt.includes(table)
+        ? { type: 'rebuild', table, destructive: true, message: `Rebuilds table ${table}, SQLite copies every row to alter it` }
+        : { type: 'drop-table', table, destructive: true, message: `Drops table ${table}` });
+    } else if ((result = match(statement, `^ALTER TABLE ${IDENTIFIER} DROP (?:COLUMN )?${IDENTIFIER}`))) {
+      findings.push({ type: 'drop-column', table: result[1], destructive: true, message: `Drops column ${result[1]}.${result[2]}` });
+    } else if ((result = match(statement, `^ALTER TABLE ${IDENTIFIER} ADD (?:COLUMN )?${IDENTIFIER}([\\s\\S]*)$`))) {
+      if (/\bNOT NULL\b/i.test(result[3]) && !/\bDEFAULT\b/i.test(result[3])) {
+        findings.push({ type: 'not-null', table: result[1], destructive: true, message: `Adds NOT NULL column ${result[1]}.${result[2]} without a default, which fails on existing rows and breaks inserts of the running release` });
+      }
+    } else if ((result = match(statement, `^ALTER TABLE ${IDENTIFIER} RENAME (?:COLUMN )?${IDENTIFIER} TO ${IDENTIFIER}`))) {
+      findings.push({ type: 'rename-column', table: result[1], destructive: true, message: `Renames column ${result[1]}.${result[2]} to ${result[3]}` });
+    } else if ((result = match(statement, `^ALTER TABLE ${IDENTIFIER} RENAME TO ${IDENTIFIER}`))) {
+      if (!result[1].startsWith(REBUILD_TABLE_PREFIX)) {
+        findings.push({ type: 'rename-table', table: result[1], destructive: true, message: `Renames table ${result[1]} to ${result[2]}` });
+      }
+    } else if ((result = match(statement, `^CREATE (?:UNIQUE )?INDEX (?:IF NOT EXISTS )?${IDENTIFIER} ON ${IDENTIFIER}`))) {
+      findings.push({ type: 'index', table: result[2], destructive: false, message: `Builds index ${result[1]} on ${result[2]}` });
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Lint the SQL files of migrations listed by listMigrations, one result per migration
+ */
+export const lintMigrations = withErrorHandling(async (migrationsPath, entries) => {
+  const results = [];
+  for (const entry of entries) {
+    const sqlPath = join(migrationsPath, entry.file);
+    if (!fileExists(sqlPath)) {
+      throw new NuxflyError(`Migration ${entry.tag} is listed but ${sqlPath} is missing`, {
+        suggestion: "Run 'nuxfly generate' to copy your migrations into .nuxfly/migrations",
+      });
+    }
+    results.push({ tag: entry.tag, findings: lintMigrationStatements(splitMigrationStatements(await readFile(sqlPath))) });
+  }
+  return results;
+});
+
+/**
+ * Build a query that counts the rows of each table, one `name` and `count` row per table
+ */
+export function getRowCountQuery(tables) {
+  return `${tables.map(table => `SELECT '${table.replace(/'/g, "''")}' AS name, COUNT(*) AS count FROM "${table.replace(/"/g, '""')}"`).join(' UNION ALL ')};`;
+}
+
+/**
+ * Count the rows of the given tables in the remote database, tables that do not exist yet are left out
+ */
+export const getRemoteTableSizes = withErrorHandling(async (config, tables) => {
+  const existing = (await queryRemoteDatabase("SELECT name FROM sqlite_master WHERE type = 'table';", config)).map(row => row.name);
+  const names = [...new Set(tables)].filter(table => existing.includes(table));
+  if (names.length === 0) {
+    return {};
+  }
+
+  const rows = await queryRemoteDatabase(getRowCountQuery(names), config);
+  return Object.fromEntries(rows.map(row => [row.name, Number(row.count)]));
+});
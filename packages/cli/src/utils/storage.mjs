@@ -0,0 +1,279 @@
+import { join } from 'path';
+import * as Minio from 'minio';
+import consola from 'consola';
+import { NuxflyError, withErrorHandling } from './errors.mjs';
+import { getAppName } from './config.mjs';
+import { readRemoteEnv } from './flyctl.mjs';
+import { BUCKET_TYPES } from './buckets.mjs';
+
+/**
+ * Buckets the app reads through usePublicStorage/usePrivateStorage, and their runtime config keys
+ */
+export const STORAGE_BUCKETS = {
+  public: 'publicBucket',
+  private: 'privateBucket',
+};
+
+/**
+ * Runtime config fields for each credential, matching the core module defaults
+ */
+const RUNTIME_CONFIG_FIELDS = {
+  accessKeyId: 's3AccessKeyId',
+  secretAccessKey: 's3SecretAccessKey',
+  endpointUrl: 's3Endpoint',
+  bucketName: 's3Bucket',
+  region: 's3Region',
+};
+
+/**
+ * User metadata of mirrored objects with the modification time of the source object they were copied from
+ */
+const MIRROR_SOURCE_METADATA = 'nuxfly-source-modified';
+
+/**
+ * Create an S3 client for bucket credentials, configured the same way as the core module
+ */
+export function createStorageClient(credentials) {
+  const endpointUrl = new URL(credentials.endpointUrl);
+  return new Minio.Client({
+    endPoint: endpointUrl.hostname,
+    port: endpointUrl.port ? parseInt(endpointUrl.port) : (endpointUrl.protocol === 'https:' ? 443 : 80),
+    useSSL: endpointUrl.protocol === 'https:',
+    accessKey: credentials.accessKeyId,
+    secretKey: credentials.secretAccessKey,
+    region: credentials.region || 'auto',
+    pathStyle: true,
+  });
+}
+
+/**
+ * Verify credentials can access a bucket by listing a single object
+ */
+export const verifyBucketCredentials = withErrorHandling(async (credentials) => {
+  const client = createStorageClient(credentials);
+
+  try {
+    await new Promise((resolve, reject) => {
+      const stream = client.listObjectsV2(credentials.bucketName, '', false);
+      stream.once('data', () => {
+        stream.destroy();
+        resolve();
+      });
+      stream.once('end', resolve);
+      stream.once('error', reject);
+    });
+    consola.debug(`Verified credentials for bucket ${credentials.bucketName}`);
+  } catch (error) {
+    throw new NuxflyError(`Credentials cannot access bucket ${credentials.bucketName}: ${error.code || error.message}`, {
+      suggestion: 'Check the access key has read/write access to the bucket',
+      cause: error,
+    });
+  }
+});
+
+/**
+ * Parse a `<public|private>:<path>` storage target, or return null for a local path
+ */
+export function parseStorageTarget(value) {
+  const match = /^(public|private):(.*)$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+  return {
+    type: match[1],
+    path: match[2].replace(/^\/+/, ''),
+  };
+}
+
+/**
+ * Resolve credentials for a storage bucket the same way the app does
+ *
+ * With `local`, the NUXT_NUXFLY_*_BUCKET_S3_* env vars and the runtime config in nuxt.config.ts are used,
+ * otherwise the secrets are read from a running machine.
+ */
+export const resolveStorageCredentials = withErrorHandling(async (type, config, options = {}) => {
+  const { secrets } = BUCKET_TYPES[type];
+  let credentials;
+
+  if (options.local) {
+    const runtimeBucket = config.nuxt?.runtimeConfig?.nuxfly?.[STORAGE_BUCKETS[type]] || {};
+    credentials = {};
+    for (const [field, key] of Object.entries(secrets)) {
+      credentials[field] = process.env[key] || runtimeBucket[RUNTIME_CONFIG_FIELDS[field]];
+    }
+  } else {
+    if (!getAppName(config)) {
+      throw new NuxflyError(`App name is required to read ${type} bucket credentials`, {
+        suggestion: 'Set app name in your nuxfly config, use --app flag, or use --local for the local runtime config',
+      });
+    }
+
+    consola.debug(`Reading ${type} bucket credentials from app secrets...`);
+    try {
+      const remoteEnv = await readRemoteEnv(Object.values(secrets), config);
+      credentials = {};
+      for (const [field, key] of Object.entries(secrets)) {
+        credentials[field] = remoteEnv[key];
+      }
+    } catch (error) {
+      throw new NuxflyError(`Failed to read ${type} bucket credentials: ${error.message}`, {
+        suggestion: 'Make sure the app has a running machine, or use --local for the local runtime config',
+        cause: error,
+      });
+    }
+  }
+
+  credentials.region = credentials.region || 'auto';
+
+  const missing = ['accessKeyId', 'secretAccessKey', 'endpointUrl', 'bucketName'].filter(field => !credentials[field]);
+  if (missing.length > 0) {
+    throw new NuxflyError(`The ${type} bucket is not configured (missing ${missing.map(field => secrets[field]).join(', ')})`, {
+      suggestion: options.local
+        ? `Set nuxfly.${STORAGE_BUCKETS[type]} in your runtimeConfig or the matching environment variables`
+        : `Run 'nuxfly buckets create ${type}' or 'nuxfly buckets link ${type} <bucket>'`,
+    });
+  }
+
+  return credentials;
+});
+
+/**
+ * List objects under a prefix
+ */
+export function listObjects(client, bucketName, prefix = '', recursive = false) {
+  return new Promise((resolve, reject) => {
+    const objects = [];
+    const stream = client.listObjectsV2(bucketName, prefix, recursive);
+    stream.on('data', object => objects.push(object));
+    stream.on('end', () => resolve(objects));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Mirror the objects under the given prefixes from one bucket to another
+ */
+export async function mirrorBucket(type, source, destination, prefixes = [''], options = {}) {
+  const sourceClient = createStorageClient(source);
+  const destinationClient = createStorageClient(destination);
+  const dryRunLabel = options.dryRun ? '(dry run) ' : '';
+
+  const sourceObjects = [];
+  const destinationObjects = new Map();
+  for (const filter of prefixes) {
+    sourceObjects.push(...await listObjects(sourceClient, source.bucketName, filter, true));
+    for (const object of await listObjects(destinationClient, destination.bucketName, filter, true)) {
+      destinationObjects.set(object.name, object);
+    }
+  }
+
+  // ETags differ between a source and its copy for multipart uploads, so copies record the source's modification time
+  const changed = [];
+  for (const object of sourceObjects) {
+    const existing = destinationObjects.get(object.name);
+    destinationObjects.delete(object.name);
+    if (!existing || existing.size !== object.size) {
+      changed.push(object);
+    } else {
+      const stat = await destinationClient.statObject(destination.bucketName, object.name);
+      if (stat.metaData?.[MIRROR_SOURCE_METADATA] !== object.lastModified.toISOString()) {
+        changed.push(object);
+      }
+    }
+  }
+
+  const totalSize = changed.reduce((sum, object) => sum + object.size, 0);
+  consola.info(`${type}: ${changed.length} of ${sourceObjects.length} object(s) to copy (${formatSize(totalSize)}) from ${source.bucketName} to ${destination.bucketName}`);
+
+  // Buckets on the same endpoint copy server side, as long as the destination credentials can read the source
+  let copyServerSide = source.endpointUrl === destination.endpointUrl;
+  let copiedSize = 0;
+  for (const [index, object] of changed.entries()) {
+    copiedSize += object.size;
+    consola.log(`${dryRunLabel}[${index + 1}/${changed.length}] ${object.name} (${formatSize(object.size)}, ${Math.round(copiedSize / (totalSize || 1) * 100)}%)`);
+
+    if (options.dryRun) {
+      continue;
+    }
+
+    const stat = await sourceClient.statObject(source.bucketName, object.name);
+    const contentType = stat.metaData?.['content-type'] || 'application/octet-stream';
+    const sourceModified = object.lastModified.toISOString();
+
+    if (copyServerSide) {
+      try {
+        await destinationClient.copyObject(
+          new Minio.CopySourceOptions({ Bucket: source.bucketName, Object: object.name }),
+          new Minio.CopyDestinationOptions({
+            Bucket: destination.bucketName,
+            Object: object.name,
+            MetadataDirective: 'REPLACE',
+            UserMetadata: { [MIRROR_SOURCE_METADATA]: sourceModified },
+            Headers: { 'Content-Type': contentType },
+          }),
+        );
+        continue;
+      } catch (error) {
+        if (error.code !== 'AccessDenied') {
+          throw error;
+        }
+        consola.debug(`Credentials of ${destination.bucketName} cannot read ${source.bucketName}, copying through this machine`);
+        copyServerSide = false;
+      }
+    }
+
+    const stream = await sourceClient.getObject(source.bucketName, object.name);
+    await destinationClient.putObject(destination.bucketName, object.name, stream, object.size, {
+      'Content-Type': contentType,
+      [MIRROR_SOURCE_METADATA]: sourceModified,
+    });
+  }
+
+  let deleted = 0;
+  if (options.delete && destinationObjects.size > 0) {
+    for (const key of destinationObjects.keys()) {
+      consola.log(`${dryRunLabel}delete: ${key}`);
+    }
+    if (!options.dryRun) {
+      await destinationClient.removeObjects(destination.bucketName, [...destinationObjects.keys()]);
+    }
+    deleted = destinationObjects.size;
+  }
+
+  const summary = `${changed.length} copied, ${sourceObjects.length - changed.length} unchanged${options.delete ? `, ${deleted} deleted` : ''}`;
+  if (options.dryRun) {
+    consola.info(`Dry run for ${type}: ${summary}`);
+  } else {
+    consola.success(`✅ Mirrored ${type} storage (${summary})`);
+  }
+}
+
+/**
+ * Download every object of a bucket into a local directory, returns the number of objects
+ */
+export async function downloadBucket(credentials, directory) {
+  const client = createStorageClient(credentials);
+  // Keys ending with a slash are folder placeholders without content
+  const objects = (await listObjects(client, credentials.bucketName, '', true)).filter(object => !object.name.endsWith('/'));
+
+  for (const object of objects) {
+    // fGetObject creates missing parent directories
+    await client.fGetObject(credentials.bucketName, object.name, join(directory, ...object.name.split('/')));
+  }
+
+  return objects.length;
+}
+
+/**
+ * Format a byte count for display
+ */
+export function formatSize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
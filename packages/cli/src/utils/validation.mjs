@@ -1,6 +1,6 @@
 import { accessSync, existsSync, constants } from 'fs';
 import consola from 'consola';
-import { FlyTomlNotFoundError, NotNuxtProjectError, NuxflyError, withErrorHandling } from './errors.mjs';
+import { ConfigError, FlyTomlNotFoundError, NotNuxtProjectError, NuxflyError, withErrorHandling } from './errors.mjs';
 import { checkAppAccess, checkFlyAuth } from './flyctl.mjs';
 import { getFlyTomlPath, getAppName, validateNuxflyEnv } from './config.mjs';
 
@@ -160,7 +160,7 @@ export const validateDependencies = withErrorHandling(async (command) => {
 const validateDrizzleKit = withErrorHandling(async () => {
   try {
     const { execa } = await import('execa');
-    await execa('drizzle-kit', ['--version'], { stdio: 'pipe' });
+    await execa('drizzle-kit', ['--version'], { stdio: 'pipe', preferLocal: true });
     return true;
   } catch (error) {
     if (error.code === 'ENOENT') {
@@ -174,6 +174,26 @@ const validateDrizzleKit = withErrorHandling(async () => {
   }
 });
 
+/**
+ * Validate litestream is available for database restore commands
+ */
+export const validateLitestream = withErrorHandling(async () => {
+  try {
+    const { execa } = await import('execa');
+    await execa('litestream', ['version'], { stdio: 'pipe' });
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new NuxflyError('litestream not found', {
+        suggestion: 'Install litestream from https://litestream.io/install/',
+        exitCode: 127,
+      });
+    }
+    // If litestream exists but version command fails, still return true
+    return true;
+  }
+});
+
 /**
  * Validate port numbers
  */
@@ -189,6 +209,30 @@ export function validatePort(port, name = 'port') {
   return portNum;
 }
 
+/**
+ * Oldest Node.js the image may run, boot.mjs needs node:sqlite without a flag (22.13) and its backup() (22.16)
+ */
+export const MIN_NODE_VERSION = [22, 16];
+
+/**
+ * Validate the Node.js version of the image, a node image tag like the default `22`, `22.16` or `24.1.0`
+ *
+ * A major version alone is the latest release of that line. Tags without a version number are not checked.
+ */
+export function validateNodeVersion(nodeVersion = '22') {
+  const match = /^(\d+)(?:\.(\d+))?/.exec(String(nodeVersion));
+  if (!match) {
+    return nodeVersion;
+  }
+
+  const [major, minor] = [Number(match[1]), match[2] === undefined ? Infinity : Number(match[2])];
+  if (major < MIN_NODE_VERSION[0] || (major === MIN_NODE_VERSION[0] && minor < MIN_NODE_VERSION[1])) {
+    throw new ConfigError(`Node.js ${nodeVersion} is too old, the boot runner needs Node.js ${MIN_NODE_VERSION.join('.')} or newer for node:sqlite`, 'nodeVersion in your nuxfly config');
+  }
+
+  return nodeVersion;
+}
+
 /**
  * Validate app name format
  */
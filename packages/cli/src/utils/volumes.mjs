@@ -0,0 +1,51 @@
+import consola from 'consola';
+import { executeFlyctl, executeFlyctlWithOutput, parseFlyctlJSON } from './flyctl.mjs';
+import { NuxflyError } from './errors.mjs';
+
+/**
+ * Create SQLite volume for the app
+ */
+export async function createSqliteVolume(region, size, config) {
+  consola.info(`Creating SQLite volume (${size}GB) in region ${region}...`);
+  
+  try {
+    // Check if sqlite_data volume already exists
+    const volumeListResult = await executeFlyctlWithOutput('volumes', ['list'], config);
+    
+    // Parse the output to check for existing sqlite_data volume
+    const existingVolumes = volumeListResult.stdout.split('\n');
+    const sqliteVolumeExists = existingVolumes.some(line =>
+      line.includes('sqlite_data') && line.includes(region)
+    );
+    
+    if (sqliteVolumeExists) {
+      consola.info(`SQLite volume 'sqlite_data' already exists in region ${region}`);
+      return;
+    }
+    
+    // Create the volume if it doesn't exist
+    const volumeArgs = ['sqlite_data', '--region', region, '--size', size];
+    await executeFlyctl('volumes', ['create', ...volumeArgs], config);
+    consola.success(`SQLite volume created successfully in ${region}`);
+  } catch (error) {
+    // Fail the entire launch if volume creation fails
+    throw new NuxflyError(`Failed to create SQLite volume: ${error.message}`, {
+      suggestion: `You can create the volume manually later with: flyctl volumes create sqlite_data --region ${region} --size ${size}`,
+      cause: error,
+    });
+  }
+}
+
+/**
+ * List the app's volumes
+ */
+export async function listVolumes(config) {
+  const result = await executeFlyctlWithOutput('volumes', ['list', '--json'], config);
+  return (parseFlyctlJSON(result.stdout) || []).map(volume => ({
+    id: volume.id,
+    name: volume.name,
+    region: volume.region,
+    sizeGb: volume.size_gb,
+    attachedMachineId: volume.attached_machine_id || null,
+  }));
+}
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPrivateKey, createPublicKey } from 'node:crypto';
+import { generateAgeKeyPair } from '../src/utils/age.mjs';
+
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+
+/**
+ * Decode a bech32 string and check its checksum, returns the data bytes
+ */
+function bech32Decode(value) {
+  const lower = value.toLowerCase();
+  const separator = lower.lastIndexOf('1');
+  const hrp = lower.slice(0, separator);
+  const words = [...lower.slice(separator + 1)].map(char => BECH32_CHARSET.indexOf(char));
+  assert.ok(words.every(word => word >= 0), `invalid bech32 character in ${value}`);
+
+  let checksum = 1;
+  for (const word of [...[...hrp].map(char => char.charCodeAt(0) >> 5), 0, ...[...hrp].map(char => char.charCodeAt(0) & 31), ...words]) {
+    const top = checksum >> 25;
+    checksum = ((checksum & 0x1ffffff) << 5) ^ word;
+    [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3].forEach((generator, bit) => {
+      if ((top >> bit) & 1) {
+        checksum ^= generator;
+      }
+    });
+  }
+  assert.equal(checksum, 1, `invalid bech32 checksum in ${value}`);
+
+  const bytes = [];
+  let accumulator = 0;
+  let bits = 0;
+  for (const word of words.slice(0, -6)) {
+    accumulator = (accumulator << 5) | word;
+    bits += 5;
+    if (bits >= 8) {
+      bits -= 8;
+      bytes.push((accumulator >> bits) & 0xff);
+    }
+  }
+  return { hrp, bytes: Buffer.from(bytes) };
+}
+
+describe('generateAgeKeyPair', () => {
+  it('encodes the keys like age-keygen', () => {
+    const { identity, recipient } = generateAgeKeyPair();
+
+    assert.match(identity, /^AGE-SECRET-KEY-1[QPZRY9X8GF2TVDW0S3JN54KHCE6MUA7L]{58}$/);
+    assert.match(recipient, /^age1[qpzry9x8gf2tvdw0s3jn54khce6mua7l]{58}$/);
+    assert.equal(bech32Decode(identity).hrp, 'age-secret-key-');
+    assert.equal(bech32Decode(recipient).hrp, 'age');
+  });
+
+  it('derives the recipient from the identity', () => {
+    const { identity, recipient } = generateAgeKeyPair();
+    // PKCS#8 wrapper of a raw X25519 private key
+    const privateKey = createPrivateKey({
+      key: Buffer.concat([Buffer.from('302e020100300506032b656e04220420', 'hex'), bech32Decode(identity).bytes]),
+      format: 'der',
+      type: 'pkcs8',
+    });
+
+    assert.equal(Buffer.from(createPublicKey(privateKey).export({ format: 'jwk' }).x, 'base64url').toString('hex'), bech32Decode(recipient).bytes.toString('hex'));
+  });
+
+  it('generates a new keypair every time', () => {
+    assert.notEqual(generateAgeKeyPair().identity, generateAgeKeyPair().identity);
+  });
+});
@@ -0,0 +1,152 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { chmodSync, mkdirSync, mkdtempSync, rmSync, writeFileSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { DatabaseSync } from 'node:sqlite';
+
+describe('boot runner', () => {
+  let directory, databasePath, migrationsPath;
+
+  /**
+   * Run boot.mjs against the temporary database
+   */
+  function boot(mode, env = {}) {
+    return spawnSync(process.execPath, ['--disable-warning=ExperimentalWarning', new URL('../src/runtime/boot.mjs', import.meta.url).pathname, mode], {
+      encoding: 'utf8',
+      env: {
+        PATH: process.env.PATH,
+        DATABASE_PATH: databasePath,
+        NUXFLY_MIGRATIONS_PATH: migrationsPath,
+        FLY_MACHINE_VERSION: 'v1',
+        ...env,
+      },
+    });
+  }
+
+  /**
+   * Query the temporary database
+   */
+  function query(sql) {
+    const db = new DatabaseSync(databasePath);
+    try {
+      return db.prepare(sql).all().map(row => ({ ...row }));
+    } finally {
+      db.close();
+    }
+  }
+
+  beforeEach(() => {
+    directory = mkdtempSync(join(tmpdir(), 'nuxfly-boot-'));
+    databasePath = join(directory, 'db.sqlite');
+    migrationsPath = join(directory, 'migrations');
+    mkdirSync(migrationsPath);
+  });
+
+  afterEach(() => {
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('applies drizzle migrations from the journal', () => {
+    mkdirSync(join(migrationsPath, 'meta'));
+    writeFileSync(join(migrationsPath, 'meta', '_journal.json'), JSON.stringify({ entries: [{ tag: '0000_init', when: 100 }] }));
+    writeFileSync(join(migrationsPath, '0000_init.sql'), 'CREATE TABLE users (id integer);\n--> statement-breakpoint\nCREATE INDEX users_id ON users (id);');
+
+    const result = boot('boot');
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(query('SELECT created_at FROM __drizzle_migrations'), [{ created_at: 100 }]);
+    assert.deepEqual(query('SELECT machine_version, status, migrations FROM fly'), [{ machine_version: 'v1', status: 'success', migrations: 1 }]);
+    assert.ok(existsSync(`${databasePath}.pre-migration`));
+  });
+
+  it('applies sql-dir migrations once, in name order', () => {
+    writeFileSync(join(migrationsPath, '10_posts.sql'), 'CREATE TABLE posts (user_id integer REFERENCES users (id));');
+    writeFileSync(join(migrationsPath, '2_users.sql'), 'CREATE TABLE users (id integer PRIMARY KEY);');
+
+    assert.equal(boot('migrate', { NUXFLY_MIGRATIONS_RUNNER: 'sql-dir' }).status, 0);
+    assert.equal(boot('migrate', { NUXFLY_MIGRATIONS_RUNNER: 'sql-dir' }).status, 0);
+
+    assert.deepEqual(query('SELECT name FROM __nuxfly_migrations ORDER BY rowid').map(row => row.name), ['2_users', '10_posts']);
+    assert.deepEqual(query('SELECT status, migrations FROM fly'), [{ status: 'success', migrations: 2 }]);
+  });
+
+  it('rolls back a failed sql-dir file and keeps the files before it', () => {
+    writeFileSync(join(migrationsPath, '1_users.sql'), 'CREATE TABLE users (id integer);');
+    writeFileSync(join(migrationsPath, '2_broken.sql'), 'CREATE TABLE posts (id integer);\nALTER TABLE missing ADD name text;');
+
+    const result = boot('migrate', { NUXFLY_MIGRATIONS_RUNNER: 'sql-dir' });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /2_broken: no such table: missing/);
+    assert.deepEqual(query("SELECT name FROM sqlite_master WHERE name IN ('users', 'posts')"), [{ name: 'users' }]);
+    assert.deepEqual(query('SELECT name FROM __nuxfly_migrations'), [{ name: '1_users' }]);
+    assert.deepEqual(query('SELECT status, migrations FROM fly'), [{ status: 'failed', migrations: 1 }]);
+  });
+
+  it('runs sql-dir files that manage their own transaction as they are', () => {
+    writeFileSync(join(migrationsPath, '1_users.sql'), `BEGIN TRANSACTION;
+CREATE TABLE users (id integer, name text);
+CREATE TRIGGER users_name AFTER INSERT ON users BEGIN
+  UPDATE users SET name = lower(name) WHERE id = new.id;
+END;
+COMMIT;`);
+    writeFileSync(join(migrationsPath, '2_seed.sql'), "INSERT INTO users VALUES (1, 'ADA');");
+
+    const result = boot('migrate', { NUXFLY_MIGRATIONS_RUNNER: 'sql-dir' });
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.deepEqual(query('SELECT name FROM users'), [{ name: 'ada' }]);
+    assert.deepEqual(query('SELECT name FROM __nuxfly_migrations ORDER BY rowid').map(row => row.name), ['1_users', '2_seed']);
+  });
+
+  it('rolls back every drizzle migration when one fails', () => {
+    mkdirSync(join(migrationsPath, 'meta'));
+    writeFileSync(join(migrationsPath, 'meta', '_journal.json'), JSON.stringify({ entries: [{ tag: '0000_users', when: 100 }, { tag: '0001_broken', when: 200 }] }));
+    writeFileSync(join(migrationsPath, '0000_users.sql'), 'CREATE TABLE users (id integer);');
+    writeFileSync(join(migrationsPath, '0001_broken.sql'), 'ALTER TABLE missing ADD name text;');
+
+    const result = boot('migrate');
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /0001_broken: no such table: missing/);
+    assert.deepEqual(query("SELECT name FROM sqlite_master WHERE name = 'users'"), []);
+    assert.deepEqual(query('SELECT status, migrations FROM fly'), [{ status: 'failed', migrations: 0 }]);
+  });
+
+  it('refreshes a read replica in place from the Litestream backup', () => {
+    const backupPath = join(directory, 'backup.sqlite');
+    const backupDb = new DatabaseSync(backupPath);
+    backupDb.exec("CREATE TABLE posts (title text); INSERT INTO posts VALUES ('new')");
+    backupDb.close();
+
+    const binPath = join(directory, 'bin');
+    mkdirSync(binPath);
+    // Restores the backup to the -o path like `litestream restore -o`
+    writeFileSync(join(binPath, 'litestream'), '#!/bin/sh\nwhile [ $# -gt 0 ]; do [ "$1" = "-o" ] && cp "$BACKUP_PATH" "$2"; shift; done\n');
+    chmodSync(join(binPath, 'litestream'), 0o755);
+
+    const db = new DatabaseSync(databasePath);
+    try {
+      db.exec("CREATE TABLE posts (title text); INSERT INTO posts VALUES ('old')");
+
+      const result = boot('replica', { PATH: `${binPath}:${process.env.PATH}`, LITESTREAM_S3_ACCESS_KEY_ID: 'key', BACKUP_PATH: backupPath });
+
+      assert.equal(result.status, 0, result.stderr);
+      assert.match(result.stdout, /Database refreshed from the backup/);
+      assert.deepEqual(db.prepare('SELECT title FROM posts').all().map(row => row.title), ['new']);
+    } finally {
+      db.close();
+    }
+  });
+
+  it('records the migration command run', () => {
+    const result = boot('migrate', { NUXFLY_MIGRATIONS_RUNNER: 'command', NUXFLY_MIGRATIONS_COMMAND: 'exit 3' });
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /exited with code 3/);
+    assert.deepEqual(query('SELECT status, error FROM fly'), [{ status: 'failed', error: 'Migration command exited with code 3' }]);
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  formatRestorePoint,
+  parseRestorePoint,
+  parseSqliteJson,
+  formatQueryTable,
+  getReplicationOptions,
+  getRemoteDatabasePath,
+  getHighAvailabilityArgs,
+  getDatabases,
+} from '../src/utils/database.mjs';
+import { ConfigError, NuxflyError } from '../src/utils/errors.mjs';
+
+const withNuxfly = nuxfly => ({ nuxt: { nuxfly } });
+
+describe('restore points', () => {
+  it('round trips a generation and timestamp', () => {
+    const point = { generation: '0123456789abcdef', timestamp: '2025-01-31T14:30:00Z' };
+
+    assert.equal(formatRestorePoint(point), '0123456789abcdef@2025-01-31T14:30:00Z');
+    assert.deepEqual(parseRestorePoint(formatRestorePoint(point)), point);
+  });
+
+  it('returns null for missing or malformed restore points', () => {
+    assert.equal(parseRestorePoint(undefined), null);
+    assert.equal(parseRestorePoint('0123@2025-01-31T14:30:00Z'), null);
+    assert.equal(parseRestorePoint('0123456789abcdef@'), null);
+  });
+});
+
+describe('parseSqliteJson', () => {
+  it('parses the rows of a query', () => {
+    assert.deepEqual(parseSqliteJson('[{"id":1},\n{"id":2}]\n'), [{ id: 1 }, { id: 2 }]);
+  });
+
+  it('parses the rows of every statement', () => {
+    // sqlite3 -json output of `SELECT 1; CREATE TABLE t (a); SELECT 2 AS b UNION SELECT 3; SELECT '] [' AS c`
+    const output = '[{"1":1}]\n[{"b":2},\n{"b":3}]\n[{"c":"] ["}]\n';
+
+    assert.deepEqual(parseSqliteJson(output), [{ 1: 1 }, { b: 2 }, { b: 3 }, { c: '] [' }]);
+  });
+
+  it('returns no rows for empty output', () => {
+    assert.deepEqual(parseSqliteJson(''), []);
+    assert.deepEqual(parseSqliteJson(undefined), []);
+  });
+});
+
+describe('formatQueryTable', () => {
+  it('aligns the columns of every row', () => {
+    const rows = [{ id: 1, name: 'Ada', note: null }, { id: 12, name: 'Grace\nHopper', tags: ['a'] }];
+
+    assert.equal(formatQueryTable(rows), [
+      'id | name          | note | tags',
+      '---+---------------+------+------',
+      ' 1 | Ada           | NULL | NULL',
+      '12 | Grace\\nHopper | NULL | ["a"]',
+    ].join('\n'));
+  });
+
+  it('throws on output that is not JSON', () => {
+    assert.throws(() => parseSqliteJson('Error: no such table: users'), NuxflyError);
+  });
+});
+
+describe('getReplicationOptions', () => {
+  it('defaults to Litestream', () => {
+    assert.deepEqual(getReplicationOptions(withNuxfly({})), { mode: 'litestream', lease: 'consul' });
+    assert.equal(getRemoteDatabasePath(withNuxfly({})), '/data/db.sqlite');
+  });
+
+  it('serves LiteFS databases from its mount', () => {
+    assert.equal(getRemoteDatabasePath(withNuxfly({ database: { replication: 'litefs', lease: 'static' } })), '/litefs/db.sqlite');
+  });
+
+  it('only turns off the spare machine of a first deploy for Litestream', () => {
+    assert.deepEqual(getHighAvailabilityArgs(withNuxfly({})), ['--ha=false']);
+    assert.deepEqual(getHighAvailabilityArgs(withNuxfly({ database: { replication: 'litefs' } })), []);
+  });
+
+  it('rejects invalid combinations', () => {
+    assert.throws(() => getReplicationOptions(withNuxfly({ database: { replication: 'rqlite' } })), ConfigError);
+    assert.throws(() => getReplicationOptions(withNuxfly({ database: { lease: 'static' } })), /only applies to litefs/);
+    assert.throws(() => getReplicationOptions(withNuxfly({ litestream: true, database: { replication: 'litefs' } })), /cannot be combined/);
+  });
+});
+
+describe('getDatabases', () => {
+  it('puts named databases next to the main one', () => {
+    assert.deepEqual(getDatabases(withNuxfly({ databases: { events: true, audit: { migrations: { runner: 'sql-dir', path: 'server/audit' } } } })), [
+      { name: 'events', path: '/data/events.sqlite', urlEnv: 'NUXT_NUXFLY_DBS_EVENTS_URL', migrations: undefined },
+      { name: 'audit', path: '/data/audit.sqlite', urlEnv: 'NUXT_NUXFLY_DBS_AUDIT_URL', migrations: { runner: 'sql-dir', path: 'server/audit' } },
+    ]);
+  });
+
+  it('rejects names that collide or do not fit an environment variable', () => {
+    assert.throws(() => getDatabases(withNuxfly({ databases: { db: true } })), ConfigError);
+    assert.throws(() => getDatabases(withNuxfly({ databases: { 'Audit Log': true } })), ConfigError);
+    assert.throws(() => getDatabases(withNuxfly({ databases: { audit_log: true } })), ConfigError);
+  });
+});
@@ -0,0 +1,20 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getCopyableSecretNames } from '../src/utils/environments.mjs';
+
+describe('getCopyableSecretNames', () => {
+  it('leaves out the secrets that belong to the source app', () => {
+    const sourceConfig = { nuxt: { nuxfly: { litestream: { replicas: [{ type: 's3', secretPrefix: 'BACKUP_S3' }] } } } };
+    const secretNames = [
+      'NUXT_SESSION_PASSWORD',
+      'LITESTREAM_S3_ACCESS_KEY_ID',
+      'NUXT_PUBLIC_S3_PUBLIC_URL',
+      'FLY_CONSUL_URL',
+      'BACKUP_S3_BUCKET_NAME',
+      'BACKUP_S3_SECRET_ACCESS_KEY',
+      'LITESTREAM_AGE_IDENTITY',
+    ];
+
+    assert.deepEqual(getCopyableSecretNames(secretNames, sourceConfig), ['NUXT_SESSION_PASSWORD', 'LITESTREAM_AGE_IDENTITY']);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getLitestreamOptions, getReplicaSecretNames, parseLitestreamTable, parseDuration, normalizeTimestamp } from '../src/utils/litestream.mjs';
+import { generateLitestreamConfig } from '../src/templates/database.mjs';
+import { ConfigError, NuxflyError } from '../src/utils/errors.mjs';
+
+const withLitestream = litestream => ({ nuxt: { nuxfly: { litestream } } });
+
+describe('getLitestreamOptions', () => {
+  it('keeps the template defaults for true', () => {
+    assert.deepEqual(getLitestreamOptions(withLitestream(true)), {});
+  });
+
+  it('rejects settings litestream cannot parse', () => {
+    assert.throws(() => getLitestreamOptions(withLitestream({ retention: '4 days' })), ConfigError);
+    assert.throws(() => getLitestreamOptions(withLitestream({ encrypt: 'yes' })), ConfigError);
+    assert.throws(() => getLitestreamOptions(withLitestream({ replicas: [{ path: 'backup/' }] })), ConfigError);
+  });
+
+  it('names replicas and maps their secret prefix to secret references', () => {
+    const { replicas } = getLitestreamOptions(withLitestream({ replicas: [{ type: 's3', secretPrefix: 'BACKUP_S3' }, { type: 'file', path: '/backup' }] }));
+
+    assert.equal(replicas[0].name, 'backup-s3');
+    assert.equal(replicas[0].bucket, '${BACKUP_S3_BUCKET_NAME}');
+    assert.equal(replicas[1].name, 'replica-2');
+    assert.deepEqual(getReplicaSecretNames(withLitestream({ replicas: [{ type: 's3', secretPrefix: 'BACKUP_S3' }] })), [
+      'BACKUP_S3_BUCKET_NAME',
+      'BACKUP_S3_ENDPOINT_URL',
+      'BACKUP_S3_REGION',
+      'BACKUP_S3_ACCESS_KEY_ID',
+      'BACKUP_S3_SECRET_ACCESS_KEY',
+    ]);
+  });
+
+  it('rejects duplicate replica names', () => {
+    assert.throws(() => getLitestreamOptions(withLitestream({ replicas: [{ type: 'file', name: 'primary' }] })), /unique name/);
+  });
+});
+
+describe('generateLitestreamConfig', () => {
+  it('uses the defaults', () => {
+    const config = generateLitestreamConfig();
+
+    assert.match(config, /^ {2}- path: \/data\/db\.sqlite$/m);
+    assert.match(config, /^ {8}path: litestream\/$/m);
+    assert.match(config, /sync-interval: 30s/);
+    assert.match(config, /retention: 96h/);
+    assert.doesNotMatch(config, /age:/);
+  });
+
+  it('encrypts every replica and adds the additional replicas', () => {
+    const config = generateLitestreamConfig({ encrypt: true, replicas: [{ name: 'offsite', type: 'file', path: '/backup dir' }] });
+
+    assert.equal(config.match(/^ {8}age:$/gm).length, 2);
+    assert.match(config, /^ {6}- name: offsite\n {8}type: file\n {8}path: "\/backup dir"$/m);
+  });
+
+  it('nests the replica path of named databases', () => {
+    const config = generateLitestreamConfig({ replicaPath: 'backups/', databases: [{ name: 'events', path: '/data/events.sqlite' }] });
+
+    assert.match(config, /^ {2}- path: \/data\/events\.sqlite\n {4}meta-path: \/data\/events\.litestream-meta$/m);
+    assert.match(config, /^ {8}path: backups\/events\/$/m);
+  });
+});
+
+describe('parseLitestreamTable', () => {
+  it('parses the columns of litestream generations', () => {
+    const output = `name     generation        lag  start                 end
+primary  0123456789abcdef  1s   2025-01-01T00:00:00Z  2025-01-02T00:00:00Z
+`;
+
+    assert.deepEqual(parseLitestreamTable(output), [
+      { name: 'primary', generation: '0123456789abcdef', lag: '1s', start: '2025-01-01T00:00:00Z', end: '2025-01-02T00:00:00Z' },
+    ]);
+    assert.deepEqual(parseLitestreamTable(''), []);
+  });
+});
+
+describe('parseDuration', () => {
+  it('converts Go durations to milliseconds', () => {
+    assert.equal(parseDuration('1h30m'), 90 * 60 * 1000);
+    assert.equal(parseDuration('500ms'), 500);
+    assert.equal(parseDuration('soon'), null);
+  });
+});
+
+describe('normalizeTimestamp', () => {
+  it('converts timestamps to RFC3339 in UTC', () => {
+    assert.equal(normalizeTimestamp('2025-01-31T14:30:00+01:00'), '2025-01-31T13:30:00.000Z');
+    assert.throws(() => normalizeTimestamp('yesterday'), NuxflyError);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DatabaseSync } from 'node:sqlite';
+import { splitMigrationStatements, lintMigrationStatements, getPendingMigrations, getRowCountQuery } from '../src/utils/migrations.mjs';
+
+describe('splitMigrationStatements', () => {
+  it('splits on drizzle-kit breakpoints and semicolons', () => {
+    const sql = `CREATE TABLE users (id integer PRIMARY KEY);
+--> statement-breakpoint
+CREATE INDEX users_id ON users (id);
+ALTER TABLE users ADD email text;`;
+
+    assert.deepEqual(splitMigrationStatements(sql), [
+      'CREATE TABLE users (id integer PRIMARY KEY)',
+      'CREATE INDEX users_id ON users (id)',
+      'ALTER TABLE users ADD email text',
+    ]);
+  });
+
+  it('drops comments and empty statements', () => {
+    assert.deepEqual(splitMigrationStatements('-- add a column\nALTER TABLE users ADD email text; -- nullable\n;\n'), [
+      'ALTER TABLE users ADD email text',
+    ]);
+  });
+
+  it('keeps semicolons and dashes inside quotes', () => {
+    const sql = `INSERT INTO notes VALUES ('a; b -- not a comment', 'it''s'); /* block; comment */
+ALTER TABLE "a;b" ADD "c--d" text;`;
+
+    assert.deepEqual(splitMigrationStatements(sql), [
+      "INSERT INTO notes VALUES ('a; b -- not a comment', 'it''s')",
+      'ALTER TABLE "a;b" ADD "c--d" text',
+    ]);
+  });
+});
+
+describe('lintMigrationStatements', () => {
+  const lint = sql => lintMigrationStatements(splitMigrationStatements(sql));
+
+  it('flags dropped tables and columns', () => {
+    assert.deepEqual(lint('DROP TABLE IF EXISTS `sessions`; ALTER TABLE users DROP COLUMN name;').map(finding => [finding.type, finding.table, finding.destructive]), [
+      ['drop-table', 'sessions', true],
+      ['drop-column', 'users', true],
+    ]);
+  });
+
+  it('flags quoted names with spaces', () => {
+    const sql = 'ALTER TABLE "a b" DROP COLUMN z; DROP TABLE [old logs]; ALTER TABLE `my "t"` RENAME COLUMN "x ""y""" TO z;';
+
+    assert.deepEqual(lint(sql).map(finding => finding.message), [
+      'Drops column a b.z',
+      'Drops table old logs',
+      'Renames column my "t".x "y" to z',
+    ]);
+  });
+
+  it('flags NOT NULL columns without a default only', () => {
+    const findings = lint('ALTER TABLE users ADD `age` integer NOT NULL; ALTER TABLE users ADD `score` integer DEFAULT 0 NOT NULL;');
+
+    assert.deepEqual(findings.map(finding => finding.type), ['not-null']);
+    assert.match(findings[0].message, /users\.age/);
+  });
+
+  it('flags renamed columns and tables', () => {
+    assert.deepEqual(lint('ALTER TABLE users RENAME COLUMN name TO full_name; ALTER TABLE users RENAME TO accounts;').map(finding => finding.type), [
+      'rename-column',
+      'rename-table',
+    ]);
+  });
+
+  it('reports a drizzle-kit table rebuild as one rebuild of the table', () => {
+    const findings = lint(`CREATE TABLE \`__new_users\` (id integer PRIMARY KEY);
+--> statement-breakpoint
+INSERT INTO \`__new_users\`("id") SELECT "id" FROM \`users\`;
+--> statement-breakpoint
+DROP TABLE \`users\`;
+--> statement-breakpoint
+ALTER TABLE \`__new_users\` RENAME TO \`users\`;`);
+
+    assert.deepEqual(findings.map(finding => [finding.type, finding.table]), [['rebuild', 'users']]);
+  });
+
+  it('reports new indexes as not destructive', () => {
+    assert.deepEqual(lint('CREATE UNIQUE INDEX IF NOT EXISTS users_email ON users (email);'), [
+      { type: 'index', table: 'users', destructive: false, message: 'Builds index users_email on users' },
+    ]);
+  });
+
+  it('ignores additive statements', () => {
+    assert.deepEqual(lint('CREATE TABLE posts (id integer); ALTER TABLE users ADD bio text; INSERT INTO posts VALUES (1);'), []);
+  });
+});
+
+describe('getPendingMigrations', () => {
+  const entries = [{ tag: '0000_init', when: 100 }, { tag: '0001_users', when: 200 }, { tag: '0002_posts', when: 300 }];
+
+  it('returns drizzle journal entries newer than the last applied one', () => {
+    assert.deepEqual(getPendingMigrations(entries, [{ created_at: '100' }, { created_at: 200 }]).map(entry => entry.tag), ['0002_posts']);
+  });
+
+  it('returns entries not recorded by name for the other runners', () => {
+    assert.deepEqual(getPendingMigrations(entries, [{ name: '0001_users' }], { runner: 'sql-dir' }).map(entry => entry.tag), ['0000_init', '0002_posts']);
+  });
+});
+
+describe('getRowCountQuery', () => {
+  it('quotes table names with quotes in them', () => {
+    const db = new DatabaseSync(':memory:');
+    db.exec(`CREATE TABLE "it's" (id integer); CREATE TABLE "a ""b""" (id integer); INSERT INTO "it's" VALUES (1), (2);`);
+
+    assert.deepEqual(db.prepare(getRowCountQuery(["it's", 'a "b"'])).all().map(row => ({ ...row })), [
+      { name: "it's", count: 2 },
+      { name: 'a "b"', count: 0 },
+    ]);
+    db.close();
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getValueFlags, findSubCommandIndex, orderSubCommandArgs, shouldProxy } from '../src/commands/proxy.mjs';
+
+const globalArgs = {
+  app: { type: 'string', alias: 'a' },
+  verbose: { type: 'boolean' },
+};
+
+const storage = {
+  args: {},
+  subCommands: {
+    ls: { args: { prefix: { type: 'string' } } },
+  },
+};
+
+const scale = {
+  subCommands: {
+    regions: {
+      args: {},
+      subCommands: {
+        add: { args: { count: { type: 'string' } } },
+      },
+    },
+  },
+};
+
+describe('getValueFlags', () => {
+  it('collects string flags with their aliases', () => {
+    assert.deepEqual([...getValueFlags(globalArgs, storage.subCommands.ls.args, undefined)], ['--app', '-a', '--prefix']);
+  });
+});
+
+describe('findSubCommandIndex', () => {
+  const valueFlags = getValueFlags(globalArgs);
+
+  it('skips the values of flags', () => {
+    assert.equal(findSubCommandIndex(['--app', 'foo', 'ls'], valueFlags), 2);
+    assert.equal(findSubCommandIndex(['-a', 'foo', 'ls'], valueFlags), 2);
+    assert.equal(findSubCommandIndex(['--app=foo', 'ls'], valueFlags), 1);
+    assert.equal(findSubCommandIndex(['--verbose', 'ls'], valueFlags), 1);
+  });
+
+  it('returns -1 without a subcommand', () => {
+    assert.equal(findSubCommandIndex(['--app', 'foo'], valueFlags), -1);
+    assert.equal(findSubCommandIndex(['--', 'ls'], valueFlags), -1);
+  });
+});
+
+describe('orderSubCommandArgs', () => {
+  it('moves subcommands in front of the flags', () => {
+    assert.deepEqual(orderSubCommandArgs(['--app', 'foo', 'ls', 'path'], storage, globalArgs), ['ls', '--app', 'foo', 'path']);
+    assert.deepEqual(orderSubCommandArgs(['-a', 'foo', 'regions', '--count', '2', 'add', 'fra'], scale, globalArgs), ['regions', 'add', '-a', 'foo', '--count', '2', 'fra']);
+  });
+
+  it('leaves arguments of unknown subcommands as they are', () => {
+    assert.deepEqual(orderSubCommandArgs(['--app', 'foo', 'list'], storage, globalArgs), ['--app', 'foo', 'list']);
+    assert.deepEqual(orderSubCommandArgs(['--app', 'foo'], {}, globalArgs), ['--app', 'foo']);
+  });
+});
+
+describe('shouldProxy', () => {
+  it('proxies flyctl subcommands of partially implemented commands', () => {
+    assert.equal(shouldProxy('storage', 'list'), true);
+    assert.equal(shouldProxy('storage', 'ls'), false);
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { once } from 'node:events';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { createServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+/**
+ * Find a free local port
+ */
+async function getFreePort() {
+  const server = createServer().listen(0);
+  await once(server, 'listening');
+  const { port } = server.address();
+  server.close();
+  return port;
+}
+
+describe('sqld', () => {
+  const token = 'secret';
+  let directory, server, url;
+
+  /**
+   * Send a Hrana pipeline and return the response body
+   */
+  async function pipeline(requests, headers = { authorization: `Bearer ${token}` }) {
+    const response = await fetch(`${url}/v2/pipeline`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ baton: null, requests }),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  before(async () => {
+    directory = mkdtempSync(join(tmpdir(), 'nuxfly-sqld-'));
+    const port = await getFreePort();
+    url = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, ['--disable-warning=ExperimentalWarning', new URL('../src/runtime/sqld.mjs', import.meta.url).pathname, join(directory, 'db.sqlite'), `${port}`, token], {
+      stdio: ['ignore', 'pipe', 'inherit'],
+    });
+    await once(server.stdout, 'data');
+  });
+
+  after(() => {
+    server?.kill();
+    rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('rejects requests without the token', async () => {
+    assert.equal((await pipeline([], {})).status, 401);
+  });
+
+  it('executes statements with Hrana values', async () => {
+    const { body } = await pipeline([
+      { type: 'execute', stmt: { sql: 'CREATE TABLE users (id INTEGER PRIMARY KEY, name TEXT, score REAL)' } },
+      { type: 'execute', stmt: { sql: 'INSERT INTO users (name, score) VALUES (?, ?)', args: [{ type: 'text', value: 'ada' }, { type: 'float', value: 1.5 }] } },
+      { type: 'execute', stmt: { sql: 'SELECT id, name, score FROM users', want_rows: true } },
+    ]);
+
+    assert.deepEqual(body.results.map(result => result.type), ['ok', 'ok', 'ok']);
+    assert.equal(body.results[1].response.result.affected_row_count, 1);
+    const { cols, rows } = body.results[2].response.result;
+    assert.deepEqual(cols.map(col => col.name), ['id', 'name', 'score']);
+    assert.deepEqual(rows, [[{ type: 'integer', value: '1' }, { type: 'text', value: 'ada' }, { type: 'float', value: 1.5 }]]);
+  });
+
+  it('skips batch steps whose condition fails', async () => {
+    const { body } = await pipeline([{
+      type: 'batch',
+      batch: {
+        steps: [
+          { stmt: { sql: 'SELECT * FROM missing' } },
+          { stmt: { sql: 'SELECT 1' }, condition: { type: 'ok', step: 0 } },
+          { stmt: { sql: 'SELECT 2' }, condition: { type: 'error', step: 0 } },
+        ],
+      },
+    }]);
+
+    const { step_results: results, step_errors: errors } = body.results[0].response.result;
+    assert.match(errors[0].message, /no such table/);
+    assert.equal(results[1], null);
+    assert.ok(results[2]);
+  });
+
+  it('reports errors per request and closes the stream', async () => {
+    const { body } = await pipeline([{ type: 'execute', stmt: { sql: 'SELEC 1' } }, { type: 'close' }]);
+
+    assert.equal(body.results[0].type, 'error');
+    assert.match(body.results[0].error.message, /syntax error/);
+    assert.equal(body.baton, null);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { generateLiteFSConfig, generateStartScript } from '../src/templates/database.mjs';
+import { generateDockerfile } from '../src/templates/dockerfile.mjs';
+import { generateFlyToml, parseFlyToml } from '../src/templates/fly-toml.mjs';
+
+/**
+ * Check a generated script parses with bash, without running it
+ */
+function assertBashSyntax(script) {
+  const result = spawnSync('bash', ['-n'], { input: script, encoding: 'utf8' });
+  assert.equal(result.status, 0, result.stderr);
+}
+
+const databases = [{ name: 'events', path: '/data/events.sqlite', urlEnv: 'NUXT_NUXFLY_DBS_EVENTS_URL' }];
+
+describe('generateLiteFSConfig', () => {
+  it('uses a consul lease by default', () => {
+    const config = generateLiteFSConfig();
+
+    assert.match(config, /^ {2}type: "consul"$/m);
+    assert.match(config, /^ {4}url: "\$\{FLY_CONSUL_URL\}"$/m);
+    assert.match(config, /- cmd: "\/start\.sh migrate"\n {4}if-candidate: true/);
+  });
+
+  it('pins a static lease to the primary region', () => {
+    const config = generateLiteFSConfig({ lease: 'static' });
+
+    assert.match(config, /^ {2}type: "static"$/m);
+    assert.match(config, /advertise-url: "http:\/\/\$\{PRIMARY_REGION\}\.\$\{FLY_APP_NAME\}\.internal:20202"/);
+    assert.doesNotMatch(config, /consul/);
+  });
+});
+
+describe('generateStartScript', () => {
+  it('generates valid bash for Litestream', () => {
+    const script = generateStartScript({ databases, replicas: [{ name: 'offsite' }] }, { runner: 'drizzle' });
+
+    assertBashSyntax(script);
+    assert.match(script, /LITESTREAM_REPLICAS="primary offsite"/);
+    assert.match(script, /DATABASE_PATH=\/data\/events\.sqlite node .*\/app\/boot\.mjs replica \|\| return 1/);
+    assert.match(script, /export NUXT_NUXFLY_DBS_EVENTS_URL="file:\/data\/events\.sqlite"/);
+  });
+
+  it('generates valid bash for LiteFS', () => {
+    const script = generateStartScript({ databases, replication: { mode: 'litefs', lease: 'consul' } }, { runner: 'sql-dir', path: 'server/migrations' });
+
+    assertBashSyntax(script);
+    assert.match(script, /exec litefs mount -config \/etc\/litefs\.yml/);
+    assert.doesNotMatch(script, /litestream/);
+  });
+});
+
+describe('generateDockerfile', () => {
+  it('installs Litestream by default', () => {
+    const dockerfile = generateDockerfile();
+
+    assert.match(dockerfile, /^FROM node:22-slim$/m);
+    assert.match(dockerfile, /litestream-v0\.3\.13/);
+    assert.match(dockerfile, /COPY \.nuxfly\/drizzle\.config\.ts/);
+  });
+
+  it('installs LiteFS and FUSE for LiteFS replication', () => {
+    const dockerfile = generateDockerfile({ migrations: { runner: 'sql-dir' }, replication: { mode: 'litefs' } });
+
+    assert.match(dockerfile, /fuse3/);
+    assert.match(dockerfile, /COPY --from=flyio\/litefs:0\.5/);
+    assert.doesNotMatch(dockerfile, /litestream|drizzle\.config\.ts/);
+  });
+});
+
+describe('generateFlyToml', () => {
+  it('round trips through parseFlyToml', () => {
+    const toml = generateFlyToml({
+      app: 'demo',
+      region: 'fra',
+      env: { NUXFLY_REPLICA_INTERVAL: '30' },
+      processes: { app: '/start.sh', replica: '/start.sh replica' },
+      databasePath: '/litefs/db.sqlite',
+    });
+    const parsed = parseFlyToml(toml);
+
+    assert.equal(parsed.app, 'demo');
+    assert.equal(parsed.region, 'fra');
+    assert.deepEqual(parsed.processes, { app: '/start.sh', replica: '/start.sh replica' });
+    assert.deepEqual(parsed.env, { NUXFLY_REPLICA_INTERVAL: '30', DATABASE_PATH: '/litefs/db.sqlite', NUXFLY_DATA_DIR: '/data' });
+    assert.match(toml, /processes = \["app", "replica"\]/);
+  });
+
+  it('serves http from the app process by default', () => {
+    assert.match(generateFlyToml({ app: 'demo', region: 'ord' }), /processes = \["app"\]/);
+  });
+});
@@ -0,0 +1,18 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateNodeVersion } from '../src/utils/validation.mjs';
+import { ConfigError } from '../src/utils/errors.mjs';
+
+describe('validateNodeVersion', () => {
+  it('accepts versions with node:sqlite and its backup()', () => {
+    assert.equal(validateNodeVersion(), '22');
+    assert.equal(validateNodeVersion('22.16'), '22.16');
+    assert.equal(validateNodeVersion('24.1.0'), '24.1.0');
+    assert.equal(validateNodeVersion('lts'), 'lts');
+  });
+
+  it('rejects older versions', () => {
+    assert.throws(() => validateNodeVersion('20'), ConfigError);
+    assert.throws(() => validateNodeVersion('22.12.0'), /needs Node.js 22.16 or newer/);
+  });
+});
@@ -1,4 +1,4 @@
-import { defineNuxtModule, createResolver, addServerImportsDir } from '@nuxt/kit'
+import { defineNuxtModule, createResolver, addServerImportsDir, addServerHandler } from '@nuxt/kit'
 import { defu } from 'defu'
 import { type ModuleOptions } from './runtime/types'
 
@@ -19,9 +19,20 @@ export default defineNuxtModule<ModuleOptions>({
     const { resolve } = createResolver(import.meta.url);
     console.log('ℹ Nuxfly module is being set up with options:', options)
 
+    // Nuxt matches NUXT_NUXFLY_DBS_<NAME>_URL to camelCase keys, so a name with separators could never be overridden
+    const invalidName = Object.keys(options.databases || {}).find(name => !/^[a-z][a-z0-9]*$/.test(name))
+    if (invalidName) {
+      throw new Error(`nuxfly.databases needs names of lowercase letters and digits, got "${invalidName}"`)
+    }
+
     // Set up the module options in the Nuxt runtime config so it can be overridden by env vars
     nuxt.options.runtimeConfig.nuxfly = defu(nuxt.options.runtimeConfig?.nuxfly || {}, {
       dbUrl: 'file:.data/db.sqlite',
+      // start.sh of the read replica machines sets NUXT_NUXFLY_DB_READ_ONLY
+      dbReadOnly: false,
+      // One entry per named database, so NUXT_NUXFLY_DBS_<NAME>_URL can override it
+      dbs: Object.fromEntries(Object.keys(options.databases || {}).map(name => [name, { url: `file:.data/${name}.sqlite` }])),
+      ...(options.database?.replication === 'litefs' && { litefs: { lease: options.database.lease || 'consul' } }),
       publicBucket: {
         s3AccessKeyId: null,
         s3SecretAccessKey: null,
@@ -41,5 +52,19 @@ export default defineNuxtModule<ModuleOptions>({
 
     // Add composables for easy access to public and private storage server-side
     addServerImportsDir(resolve('./runtime/server/utils'))
+
+    // Read replicas of LiteFS cannot write, their writes are replayed on the primary
+    if (options.database?.replication === 'litefs') {
+      addServerHandler({
+        middleware: true,
+        handler: resolve('./runtime/server/middleware/litefs'),
+      })
+    } else if (options.litestream) {
+      // Same for the read replicas `nuxfly scale regions add` restores from Litestream
+      addServerHandler({
+        middleware: true,
+        handler: resolve('./runtime/server/middleware/read-replica'),
+      })
+    }
   },
 })
@@ -0,0 +1,28 @@
+import { defineEventHandler, setResponseHeader, setResponseStatus } from 'h3'
+import { useRuntimeConfig } from '#imports'
+import { useLiteFS } from '../utils/useLiteFS'
+
+// Any replica can serve these, they must not write
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+/**
+ * Send writes from LiteFS read replicas to the primary, Fly Proxy replays the request when it sees `fly-replay`
+ *
+ * A consul lease can move the primary to any machine of the primary region, a static lease keeps it on the
+ * only machine there.
+ */
+export default defineEventHandler((event) => {
+  if (READ_METHODS.includes(event.method)) {
+    return
+  }
+
+  const { isPrimary, primary } = useLiteFS()
+  if (isPrimary) {
+    return
+  }
+
+  const lease = useRuntimeConfig().nuxfly?.litefs?.lease
+  setResponseHeader(event, 'fly-replay', lease === 'static' ? `region=${process.env.PRIMARY_REGION}` : `instance=${primary}`)
+  setResponseStatus(event, 409)
+  return ''
+})
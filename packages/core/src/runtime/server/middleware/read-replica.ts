@@ -0,0 +1,18 @@
+import { defineEventHandler, setResponseHeader, setResponseStatus } from 'h3'
+import { useRuntimeConfig } from '#imports'
+
+// Any replica can serve these, they must not write
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+/**
+ * Send writes from read replica machines to the primary region, Fly Proxy replays the request when it sees `fly-replay`
+ */
+export default defineEventHandler((event) => {
+  if (READ_METHODS.includes(event.method) || !useRuntimeConfig().nuxfly?.dbReadOnly) {
+    return
+  }
+
+  setResponseHeader(event, 'fly-replay', `region=${process.env.PRIMARY_REGION}`)
+  setResponseStatus(event, 409)
+  return ''
+})
@@ -0,0 +1,25 @@
+import { readFileSync } from 'node:fs'
+import { dirname } from 'node:path'
+import { useRuntimeConfig } from '#imports'
+import { type LiteFSInfo } from '../../types'
+
+/**
+ * Get the LiteFS role of this machine
+ *
+ * On read replicas LiteFS keeps a `.primary` file with the primary's hostname next to the databases.
+ * Without it, e.g. on the primary, in development or with Litestream, this machine can write.
+ */
+export const useLiteFS = (): LiteFSInfo => {
+  const dbUrl: string = useRuntimeConfig().nuxfly?.dbUrl || ''
+  let primary: string | null = null
+  try {
+    primary = readFileSync(`${dirname(dbUrl.replace(/^file:/, ''))}/.primary`, 'utf8').trim() || null
+  } catch {
+    // No .primary file, this machine is the primary
+  }
+
+  return {
+    isPrimary: primary === null,
+    primary,
+  }
+}
@@ -1,18 +1,63 @@
-import { createClient } from '@libsql/client'
+import { createClient, type Client } from '@libsql/client'
 import { useRuntimeConfig } from '#imports'
 
-let db: ReturnType<typeof createClient> | undefined
+const clients = new Map<string, Client>()
 
-export const useSqliteDatabase = () => {
+const QUERY_ONLY = 'PRAGMA query_only = ON'
+
+/**
+ * Wrap a client so every connection it uses refuses writes
+ *
+ * libsql does not accept `?mode=ro` in file URLs, and its local client opens a new connection after each
+ * transaction, so the pragma is awaited before every call and at the start of every transaction.
+ */
+function withQueryOnly(client: Client): Client {
+  return new Proxy(client, {
+    get(target, property) {
+      const value = Reflect.get(target, property, target)
+      if (property === 'transaction') {
+        return async (...args: Parameters<Client['transaction']>) => {
+          const transaction = await target.transaction(...args)
+          await transaction.execute(QUERY_ONLY)
+          return transaction
+        }
+      }
+      if (property === 'execute' || property === 'batch' || property === 'executeMultiple' || property === 'migrate') {
+        return async (...args: unknown[]) => {
+          await target.execute(QUERY_ONLY)
+          return value.apply(target, args)
+        }
+      }
+      // The client keeps its connection in private fields, which only work with the client itself as `this`
+      return typeof value === 'function' ? value.bind(target) : value
+    },
+  })
+}
+
+/**
+ * Get a client for the main database, or for a named database from the `databases` module option
+ *
+ * On read replica machines the client refuses writes.
+ */
+export const useSqliteDatabase = (name?: string) => {
+  const key = name || ''
+  let db = clients.get(key)
   if (!db) {
     const nuxflyConfig = useRuntimeConfig().nuxfly || {}
-    if (!nuxflyConfig.dbUrl) {
-      throw new Error('Database URL is not configured in nuxfly configuration.')
+    const url = name ? nuxflyConfig.dbs?.[name]?.url : nuxflyConfig.dbUrl
+    if (!url) {
+      throw new Error(name
+        ? `Database "${name}" is not configured, add it to the nuxfly databases option.`
+        : 'Database URL is not configured in nuxfly configuration.')
     }
     db = createClient({
-      url: nuxflyConfig.dbUrl,
+      url,
     });
-
+    // Read replica machines serve a copy restored from Litestream
+    if (nuxflyConfig.dbReadOnly) {
+      db = withQueryOnly(db)
+    }
+    clients.set(key, db)
   }
   return {
     db,
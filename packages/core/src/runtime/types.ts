@@ -1,8 +1,86 @@
+/**
+ * An additional Litestream replica, keys are written to litestream.yml in kebab-case
+ *
+ * Values can reference secrets with `${NAME}`, Litestream expands them on the machine.
+ */
+export type LitestreamReplicaOptions = {
+  /** Replica type: `s3`, `gcs`, `abs`, `sftp` or `file` */
+  type: string
+  /** Unique replica name, defaults to the secret prefix in kebab-case */
+  name?: string
+  /** Read bucket, endpoint, region and keys from `<prefix>_BUCKET_NAME`, `<prefix>_ENDPOINT_URL`, `<prefix>_REGION`, `<prefix>_ACCESS_KEY_ID` and `<prefix>_SECRET_ACCESS_KEY` secrets */
+  secretPrefix?: string
+  bucket?: string
+  path?: string
+  endpoint?: string
+  region?: string
+  accessKeyId?: string
+  secretAccessKey?: string
+  syncInterval?: string
+  retention?: string
+  snapshotInterval?: string
+  [key: string]: string | number | boolean | undefined
+}
+
+export type LitestreamOptions = {
+  /** How often WAL changes are shipped to the replica, defaults to `30s` */
+  syncInterval?: string
+  /** How long snapshots and WAL files are kept, defaults to `96h` */
+  retention?: string
+  /** How often a full snapshot is taken, defaults to `2h` */
+  snapshotInterval?: string
+  /** Path inside the Litestream bucket, defaults to `litestream/` */
+  path?: string
+  /** How often Litestream restores the replica to validate it, disabled by default */
+  validationInterval?: string
+  /** Encrypt every replica with the age key from `nuxfly db keygen` */
+  encrypt?: boolean
+  /** Replicas besides the app's Litestream bucket, e.g. an off-site bucket */
+  replicas?: LitestreamReplicaOptions[]
+}
+
+export type MigrationRunner = 'drizzle' | 'prisma' | 'sql-dir' | 'command'
+
+export type MigrationOptions = {
+  /** Tool that applies the migrations, defaults to `command` when a command is set and `drizzle` otherwise */
+  runner?: MigrationRunner
+  /** Migrations directory copied into the image, defaults to drizzle's `out`, `prisma` or `migrations` */
+  path?: string
+  /** Shell command that applies the migrations, required for `command` and overrides `prisma migrate deploy` */
+  command?: string
+  /** Packages installed next to the migrations for the command, e.g. `{ knex: '^3.1.0' }` */
+  dependencies?: Record<string, string>
+}
+
+export type DatabaseOptions = {
+  /** How the database's migrations are shipped and applied, `path` is required unless a command applies them */
+  migrations?: MigrationRunner | MigrationOptions
+}
+
+export type ReplicationOptions = {
+  /** `litestream` keeps the database on one machine and backs it up, `litefs` replicates it to read replicas */
+  replication?: 'litestream' | 'litefs'
+  /** How LiteFS elects the primary, `consul` by default or `static` for the one machine in the primary region */
+  lease?: 'consul' | 'static'
+}
+
 // Module options TypeScript interface definition
 export type ModuleOptions = {
-  litestream?: boolean
+  /** Back up the database with Litestream, `true` uses the default settings */
+  litestream?: boolean | LitestreamOptions
+  /** How the databases are replicated, Litestream by default */
+  database?: ReplicationOptions
+  /** How migrations are shipped and applied on boot, a runner name uses its defaults */
+  migrations?: MigrationRunner | MigrationOptions
+  /** Named SQLite databases besides the main one, each next to the main database and replicated the same way */
+  databases?: Record<string, true | DatabaseOptions>
   publicStorage?: boolean
   privateStorage?: boolean
+  /** Options for `nuxfly preview` environments */
+  preview?: {
+    /** Share the base app's public and private buckets, or copy their objects into new buckets */
+    storage?: 'share' | 'copy'
+  }
 }
 
 export type FlyProxyHeaders = {
@@ -44,3 +122,10 @@ export type FlyProxyInfo = {
   /** Get the original client IP from X-Forwarded-For (first IP) */
   getOriginalClientIP(): string | null
 }
+
+export type LiteFSInfo = {
+  /** Whether this machine can write, always true outside of LiteFS */
+  isPrimary: boolean
+  /** Hostname of the primary when this machine is a read replica */
+  primary: string | null
+}